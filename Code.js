@@ -2,11 +2,64 @@
 const CONFIG = {
   mainSheetId: SpreadsheetApp.getActiveSpreadsheet().getId(),
   workLogSheetId: '17BzCsrHTQQi4e1hg59_AmP9PtiKWdkKCjbAvu5_EjO0',
-  workLogSheetName: 'MASTER'
+  workLogSheetName: 'MASTER',
+  // Invoice numbering - tokens: {yyyy}, {yy}, {MM}, {dd}, {seq}
+  // Override the format with the INVOICE_NUMBER_FORMAT script property
+  invoiceNumberFormat: 'INV-{yyyy}-{seq}',
+  invoiceSequenceDigits: 4,
+  // Contractor sub-numbers are <invoice number><separator><NN>, e.g. INV-2026-0042.03 - the format
+  // may not contain the separator, so the base number is always the part before the last one
+  invoiceSubNumberSeparator: '.',
+  invoiceSubNumberDigits: 2,
+  // Currencies - staff without a Currency on the staff mapping sheet use the default; Pay Config
+  // rows without one pay any currency. The Exchange Rates sheet converts totals to the base currency.
+  defaultCurrency: 'VND',
+  baseCurrency: 'VND',
+  // Tax - GST is added for GST-registered staff; withholding is deducted using the staff member's
+  // Withholding % or, when they have no Tax ID, this rate (e.g. 0.47 for Australian no-ABN withholding)
+  gstRate: 0.1,
+  withholdingWithoutTaxIdRate: 0,
+  currencyLocales: {
+    VND: 'vi-VN',
+    AUD: 'en-AU',
+    USD: 'en-US',
+    EUR: 'de-DE',
+    GBP: 'en-GB'
+  },
+  // Invoice documents - one PDF per contractor rendered from InvoiceTemplate.html
+  // Saved to the INVOICE_FOLDER_ID script property folder, or a folder with this name (created on first use)
+  invoiceFolderId: '',
+  invoiceFolderName: 'Staff Pay Invoices',
+  invoiceDueDays: 14,
+  // Exported PDFs are saved under <invoice folder>/yyyy/MM. Re-exporting a file with the same name
+  // either replaces it ('replace' - the old file is trashed) or saves a new _v2, _v3... ('version')
+  pdfExistingFileMode: 'replace',
+  invoiceBillTo: {
+    name: '', // Blank uses the spreadsheet name
+    address: '',
+    email: ''
+  },
+  // Preview snapshots - how long a preview token can be committed
+  snapshotTtlSeconds: 21600,
+  // Maker/checker - invoices are only created by approving a draft pay run (Draft Runs sheet).
+  // Override with the REQUIRE_APPROVAL script property ('true' / 'false')
+  requireApproval: true,
+  // Payability rules a Done task must pass before it is paid
+  // Override with the PAYABILITY_RULES script property (see setPayabilityRules)
+  payabilityRules: {
+    // Accepted QA values (case-insensitive), e.g. ['Passed']; empty disables the QA check. MASTER has no
+    // QA column by default, so it is off until one is added and setPayabilityRules lists the values
+    qaValues: [],
+    requirePlaybackLink: false,
+    requirePublicStatsLinks: false
+  },
+  // Pay runs - how long to wait for a concurrent run, and how long to remember results
+  payRunLockTimeoutMs: 30000,
+  payRunResultTtlSeconds: 21600
 };
 
 // Helper function to get column index by name
-function getColumnIndex(sheet, columnName, headerRow = 1) {
+function getColumnIndex_(sheet, columnName, headerRow = 1) {
   const headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
   const index = headers.indexOf(columnName);
   if (index === -1) {
@@ -16,7 +69,7 @@ function getColumnIndex(sheet, columnName, headerRow = 1) {
 }
 
 // Helper function to get multiple column indices
-function getColumnIndices(sheet, columnNames, headerRow = 1) {
+function getColumnIndices_(sheet, columnNames, headerRow = 1) {
   const headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
   const indices = {};
   
@@ -36,10 +89,20 @@ function getColumnIndices(sheet, columnNames, headerRow = 1) {
 // Add menu on open
 function onOpen() {
   const ui = SpreadsheetApp.getUi();
-  ui.createMenu('Staff Pay Automation')
+  const menu = ui.createMenu('Staff Pay Automation')
     .addItem('Calculate Staff Pay', 'calculateStaffPayUI')
-    .addSeparator()
-    .addItem('Create Invoices', 'createInvoicesAndMarkUI')
+    .addSeparator();
+  if (isApprovalRequired_()) {
+    menu
+      .addItem('Submit Draft for Approval', 'createDraftRunUI')
+      .addItem('Review Draft Runs', 'reviewDraftRunsUI');
+  } else {
+    menu.addItem('Create Invoices', 'createInvoicesAndMarkUI');
+  }
+  menu
+    .addItem('Mark Invoice as Paid', 'markInvoiceAsPaidUI')
+    .addItem('Void Invoice', 'voidInvoiceUI')
+    .addItem('Generate Invoice PDFs', 'generateInvoiceDocumentsUI')
     .addSeparator()
     .addItem('Analyze Sheet Structure', 'analyzeSheets')
     .addItem('Get Sample Data', 'getSampleData')
@@ -51,1625 +114,7208 @@ function onOpen() {
  * 
  * Usage as Web App:
  * - No parameters: Returns HTML interface for manual use
- * - ?action=preview: Returns payment preview as JSON
- * - ?action=calculatePay: Executes payment calculation and creates invoices
- * - ?action=getStatus: Returns current status (unpaid tasks count)
- * - ?action=getDebugLog: Returns debug information
- * - ?action=getDeploymentUrl: Returns the current deployment URL for frontend use
+ * - Versioned API: <web app url>/v1/<route> (doGet for reads, doPost for changes). The routes, their parameters
+ *   and response schemas are declared once in API_ROUTES; GET v1/openapi (or ?action=openapi) serves them as an
+ *   OpenAPI 3 document and the API docs on the web interface are generated from them.
+ * - v1 responses are { ok: true, data } or { ok: false, error: { code, message, details } } - see API_ERROR_CODES.
+ * - Runs and calculate refuse to invoice while tasks have no pay rate or staff keys are not in the staff
+ *   registry (VALIDATION_BLOCKED, details list validationErrors). Pass force=true to invoice anyway.
+ * - Maker/checker (CONFIG.requireApproval): invoices are only created by approving a draft pay run, so runs and
+ *   calculate answer APPROVAL_REQUIRED. The preparer cannot review their own draft.
+ * - Deprecated: the old ?action=... (doGet) and { "function": ... } (doPost) names still work as aliases of
+ *   the v1 routes and keep their old response shape, plus a "deprecation" note and an error "code".
+ *   Aliases of POST routes (commit, markPaid, voidInvoice, ...) answer GET with METHOD_NOT_ALLOWED, except the
+ *   PDF exports, which over GET always return a data URL and save nothing.
+ * - Breaking change: GET ?action=calculatePay used to invoice every unpaid task. It now answers METHOD_NOT_ALLOWED -
+ *   send { "function": "calculatePay" } as POST, or move to POST v1/runs/calculate.
+ * 
+ * Authentication and Permissions:
+ * - The Permissions sheet maps Google account emails to a role: viewer (preview, status, history, lookups),
+ *   preparer (+ PDF exports and aliases), approver (+ create, pay and void invoices) or admin (+ debug log).
+ *   The menu, the web interface and the API check the role of Session.getActiveUser() before acting.
+ *   Any public function can be called from the web page through google.script.run, so each one checks the role
+ *   itself; internal helpers end in _ (private in Apps Script) and cannot be called that way.
+ * - Every API route except v1/test and v1/openapi needs &apiKey=spk_... (doPost: "apiKey" in the JSON body) unless the caller
+ *   is signed in with a sufficient role. Key roles act as user roles: read = viewer, invoicing = approver,
+ *   admin = admin; see the role of each entry in API_ROUTES. Rejected requests are logged on the API Auth Log sheet.
+ * - createApiKey(role, label) / revokeApiKey(keyId) / listApiKeys() - Manage keys from the script editor
+ *   (only a hash of each key is stored, in the API_KEYS script property)
  * 
  * Direct API Usage:
- * - calculateStaffPay() - Returns payment calculation results
- * - createInvoicesAndMark(workLogData, payments) - Creates invoices and marks work as paid
- * - getUnpaidWorkFromMaster() - Gets unpaid work data
+ * - calculateStaffPay({ periodStart, periodEnd }) - Returns payment calculation results
+ * - createInvoicesAndMark(workLogData, payments, { idempotencyKey }) - Creates invoices and marks work as invoiced
+ * - commitPayRunSnapshot(token, { selection: { staff, rows, adjustments } }) - Invoices the previewed rows (or a selection of them)
+ * - createDraftRun(token, { selection }) / getDraftRuns({ status, limit }) - Submit and list draft pay runs
+ * - approveDraftRun(draftId, comment, { force }) / rejectDraftRun(draftId, comment) - Review a draft pay run
+ * - markInvoiceAsPaid(invoiceNumber, { contractor, paymentMethod, paidDate }) - Marks invoiced work as paid
+ * - getInvoiceTasks(invoiceNumber) / getTaskInvoice(rowIndex) - Invoice <-> MASTER row lookups
+ * - getInvoiceLines(invoiceNumber) - One line per invoiced task or adjustment (Invoice Lines sheet)
+ * - voidInvoice(invoiceNumber, reason) - Voids an invoice and releases its tasks back to unpaid
+ * - generateInvoiceDocuments(invoiceNumber) - One PDF per contractor from InvoiceTemplate.html, saved to Drive
+ * - getPayRuns({ limit, since, until }) - Reads the Pay Runs history sheet
+ * - getPendingAdjustments(period) - Bonuses / deductions on the Adjustments sheet not yet invoiced
+ * - getUnpaidWorkFromMaster(period) - Gets unpaid work data
  * - getPayConfiguration() - Gets pay rates configuration
- * - getStaffMapping() - Gets staff name mappings
+ * - getStaffRegistry() - Full contractor profiles from "Staff Key to Staff name", with validation
+ * - getStaffMapping() - Gets staff name mappings (key or alias -> legal name)
+ * - getStaffCurrencies() / getExchangeRates() - Currency per staff member and rates to CONFIG.baseCurrency
+ * - getStaffTaxSettings() - GST registration, Tax ID and Withholding % per staff member
+ * - saveStaffAlias(alias, staffKey) / saveTaskTypeAlias(alias, taskType) - Save an alias so an unmatched
+ *   Assign or STATS LEVEL value resolves next run (the preview suggests close matches)
+ * 
+ * Invoice Numbering:
+ * - setInvoiceNumberFormat(format) - Change the sequential format, e.g. 'INV-{yyyy}-{seq}'
+ * - Each contractor row gets a sub-number after a "." (INV-2026-0042.03), so formats cannot contain "."
+ * 
+ * Payability Rules:
+ * - getPayabilityRules() / setPayabilityRules({ qaValues, requirePlaybackLink, requirePublicStatsLinks })
+ *   Done tasks failing a rule are listed as "blocked" in the preview instead of being paid
  * 
  * Deployment Management:
  * - setCurrentDeploymentUrl(url) - Store deployment URL after deploying
  * - updateDeploymentAfterPush(deploymentId) - Helper to update URL with deployment ID
  */
 function doGet(e) {
+  const params = e && e.parameter ? e.parameter : {};
+  const routeName = (e && e.pathInfo) || params.action;
+  
+  // If no route or action, serve the web interface
+  if (!routeName) {
+    return createWebAppInterface_();
+  }
+  
+  return handleApiRequest_(routeName, 'GET', params, params.apiKey);
+}
+
+function doPost(e) {
+  const query = e && e.parameter ? e.parameter : {};
+  let body;
   try {
-    const action = e.parameter ? e.parameter.action : null;
-    
-    // If no action parameter, serve the web interface
-    if (!action) {
-      return createWebAppInterface();
-    }
-    
-    let result;
-    switch(action) {
-      case 'preview':
-        result = handleCalculatePayPreviewRequest();
-        break;
-      case 'calculatePay':
-        result = handleCalculatePayRequest();
-        break;
-      case 'getStatus':
-        result = handleStatusRequest();
-        break;
-      case 'getDebugLog':
-        result = handleDebugLogRequest();
-        break;
-      case 'test':
-        result = ContentService
-          .createTextOutput(JSON.stringify({
-            success: true,
-            message: 'Test endpoint working',
-            timestamp: new Date().toISOString()
-          }))
-          .setMimeType(ContentService.MimeType.JSON);
-        break;
-      case 'exportLatestInvoice':
-        result = ContentService
-          .createTextOutput(JSON.stringify(exportLatestInvoicePDF()))
-          .setMimeType(ContentService.MimeType.JSON);
-        break;
-      case 'exportInvoicePDF':
-        const invoiceNum = e.parameter.invoiceNumber;
-        const days = e.parameter.daysBack ? parseInt(e.parameter.daysBack) : 30;
-        result = ContentService
-          .createTextOutput(JSON.stringify(exportInvoicesPDF(invoiceNum, days)))
-          .setMimeType(ContentService.MimeType.JSON);
-        break;
-      default:
-        result = ContentService
-          .createTextOutput(JSON.stringify({
-            error: 'Invalid action. Available actions: preview, calculatePay, getStatus, getDebugLog, test, exportLatestInvoice, exportInvoicePDF'
-          }))
-          .setMimeType(ContentService.MimeType.JSON);
-    }
-    
-    return result;
+    body = e && e.postData && e.postData.contents ? JSON.parse(e.postData.contents) : {};
   } catch (error) {
-    // Log the error for debugging
-    console.error('Error in doGet:', error);
-    
-    const errorResult = ContentService
-      .createTextOutput(JSON.stringify({
-        success: false,
-        error: 'Server error: ' + error.toString(),
-        stack: error.stack || 'No stack trace available'
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
-    
-    return errorResult;
+    return createApiResponse_(null, apiError_('INVALID_PARAMETER', 'The request body must be JSON'));
+  }
+  
+  // Legacy functions sent { selection: { staff, rows, adjustments } } - v1 routes take them directly
+  const params = { ...query, ...body };
+  if (body.selection) {
+    params.staff = body.selection.staff;
+    params.rows = body.selection.rows;
+    params.adjustments = body.selection.adjustments;
   }
+  
+  let routeName = (e && e.pathInfo) || body.action || body.function || query.action;
+  // { "function": "calculateStaffPay", "preview": true } was the old preview; without preview it only calculated
+  if (routeName === 'calculateStaffPay' && body.preview) {
+    routeName = 'preview';
+  }
+  return handleApiRequest_(routeName, 'POST', params, body.apiKey || query.apiKey);
 }
 
-// Add CORS headers to allow cross-origin requests
-function addCorsHeaders(response) {
-  // ContentService responses don't support setHeaders, so we return the response as-is
-  // CORS is handled at the web app deployment level in Google Apps Script
-  return response;
+/**
+ * Web app API routes - every action is declared once here and served by doGet and doPost
+ * The OpenAPI document (v1/openapi), the API docs on the web interface and the unknown route error are built
+ * from this list, so a route added here is documented everywhere.
+ * path: versioned route, {name} segments are path parameters; method: GET reads, POST changes something
+ * role: minimum role (null = public); aliases: deprecated ?action= / "function" names that still work
+ * (answering in the old { success, error } shape; aliases of GET routes also take POST, aliases of POST routes
+ * refuse GET unless legacyGet is set) - the last one is the OpenAPI operationId
+ * params: validated before the handler runs - type string, integer, boolean, date (yyyy-MM-dd) or array
+ * legacyParams: defaults for params the deprecated aliases did not send, so old callers keep the old behaviour
+ * legacyGet: the aliases of this POST route also answer GET, with legacyParams fixed rather than defaulted
+ * response: JSON schema of "data" in a successful response (apiSchemaRef_ points into API_SCHEMAS)
+ * handler(params) receives only the declared params and returns a core API result ({ success, error?, ... })
+ */
+const API_ROUTES = [
+  {
+    path: 'v1/test', method: 'GET', role: null, aliases: ['test'],
+    summary: 'Check API connectivity',
+    params: {},
+    response: { type: 'object', properties: { message: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } } },
+    handler: () => ({ success: true, message: 'Test endpoint working', timestamp: new Date().toISOString() })
+  },
+  {
+    path: 'v1/status', method: 'GET', role: 'viewer', aliases: ['getStatus'],
+    summary: 'Unpaid and blocked task counts',
+    params: {},
+    response: { type: 'object', properties: { status: apiSchemaRef_('Status') } },
+    handler: () => handleStatusRequest(true)
+  },
+  {
+    path: 'v1/debug-log', method: 'GET', role: 'admin', aliases: ['getDebugLog'],
+    summary: 'Debug log of the last calculation',
+    params: {},
+    response: { type: 'object', properties: { debugLog: { type: 'array', items: { type: 'string' } } } },
+    handler: () => handleDebugLogRequest(true)
+  },
+  {
+    path: 'v1/preview', method: 'GET', role: 'viewer', aliases: ['preview'],
+    summary: 'Preview payments without invoicing - returns a snapshotToken for v1/drafts or v1/runs',
+    params: {
+      periodStart: { type: 'date', description: 'Only pay tasks done on or after this date' },
+      periodEnd: { type: 'date', description: 'Only pay tasks done on or before this date' }
+    },
+    response: apiSchemaRef_('Preview'),
+    handler: params => handleCalculatePayPreviewRequest(true, getPayPeriodOptions_(params))
+  },
+  {
+    path: 'v1/calculation', method: 'GET', role: 'viewer', aliases: ['calculateStaffPay'],
+    summary: 'Calculate payments for unpaid work without invoicing or taking a preview snapshot',
+    params: {
+      periodStart: { type: 'date', description: 'Only pay tasks done on or after this date' },
+      periodEnd: { type: 'date', description: 'Only pay tasks done on or before this date' }
+    },
+    response: apiSchemaRef_('Calculation'),
+    handler: params => calculateStaffPay(getPayPeriodOptions_(params))
+  },
+  {
+    path: 'v1/runs', method: 'GET', role: 'viewer', aliases: ['getPayRuns'],
+    summary: 'Pay run history, newest first',
+    params: {
+      limit: { type: 'integer', minimum: 1, description: 'Maximum runs to return (default 50)' },
+      since: { type: 'date', description: 'Only runs started on or after this date' },
+      until: { type: 'date', description: 'Only runs started on or before this date' }
+    },
+    response: { type: 'object', properties: { runs: { type: 'array', items: apiSchemaRef_('PayRun') } } },
+    handler: params => getPayRuns(params)
+  },
+  {
+    path: 'v1/runs', method: 'POST', role: 'approver', aliases: ['commit', 'commitPayRun'],
+    summary: 'Invoice exactly the rows of a preview (only when approval is not required)',
+    params: {
+      token: { type: 'string', required: true, description: 'snapshotToken from v1/preview' },
+      staff: { type: 'array', items: 'string', description: 'Only invoice these staff (legal names)' },
+      rows: { type: 'array', items: 'integer', description: 'Only invoice these MASTER rows' },
+      adjustments: { type: 'array', items: 'integer', description: 'Also invoice these Adjustments rows (for staff with no selected task)' },
+      force: { type: 'boolean', description: 'Invoice despite blocking validation errors' }
+    },
+    response: apiSchemaRef_('PayRunResult'),
+    handler: params => commitPayRunSnapshot(params.token, {
+      source: 'api',
+      selection: getPaySelectionOptions_(params),
+      force: params.force === true
+    })
+  },
+  {
+    path: 'v1/runs/calculate', method: 'POST', role: 'approver', aliases: ['calculatePay', 'createInvoicesAndMark'],
+    summary: 'Calculate and invoice all unpaid work in one step (only when approval is not required)',
+    params: {
+      periodStart: { type: 'date', description: 'Only pay tasks done on or after this date' },
+      periodEnd: { type: 'date', description: 'Only pay tasks done on or before this date' },
+      idempotencyKey: { type: 'string', description: 'Retrying with the same key returns the original result' },
+      force: { type: 'boolean', description: 'Invoice despite blocking validation errors' }
+    },
+    response: apiSchemaRef_('PayRunResult'),
+    handler: params => handleCalculatePayRequest(true, {
+      ...getPayPeriodOptions_(params),
+      idempotencyKey: params.idempotencyKey || null,
+      force: params.force === true,
+      source: 'api'
+    })
+  },
+  {
+    path: 'v1/drafts', method: 'GET', role: 'viewer', aliases: ['getDraftRuns'],
+    summary: 'Draft pay runs with their per-staff breakdown, newest first',
+    params: {
+      status: { type: 'string', enum: ['Pending', 'Approved', 'Rejected', 'Failed'], description: 'Only drafts with this status' },
+      limit: { type: 'integer', minimum: 1, description: 'Maximum drafts to return (default 50)' }
+    },
+    response: { type: 'object', properties: { drafts: { type: 'array', items: apiSchemaRef_('DraftRun') } } },
+    handler: params => getDraftRuns(params)
+  },
+  {
+    path: 'v1/drafts', method: 'POST', role: 'preparer', aliases: ['createDraft', 'createDraftRun'],
+    summary: 'Submit a preview (or a selection of it) as a draft pay run for approval',
+    params: {
+      token: { type: 'string', required: true, description: 'snapshotToken from v1/preview' },
+      staff: { type: 'array', items: 'string', description: 'Only include these staff (legal names)' },
+      rows: { type: 'array', items: 'integer', description: 'Only include these MASTER rows' },
+      adjustments: { type: 'array', items: 'integer', description: 'Also include these Adjustments rows (for staff with no selected task)' }
+    },
+    response: { type: 'object', properties: { message: { type: 'string' }, draftId: { type: 'string' }, staff: { type: 'array', items: apiSchemaRef_('DraftStaff') } } },
+    handler: params => createDraftRun(params.token, { selection: getPaySelectionOptions_(params) })
+  },
+  {
+    path: 'v1/drafts/{draftId}/approve', method: 'POST', role: 'approver', aliases: ['approveDraft', 'approveDraftRun'],
+    summary: 'Approve a pending draft and create its invoices (not by the draft\'s preparer)',
+    params: {
+      draftId: { type: 'string', required: true, in: 'path', description: 'Draft ID' },
+      comment: { type: 'string', description: 'Approval comment' },
+      force: { type: 'boolean', description: 'Invoice despite blocking validation errors' }
+    },
+    response: apiSchemaRef_('PayRunResult'),
+    handler: params => approveDraftRun(params.draftId, params.comment, { source: 'api', force: params.force === true })
+  },
+  {
+    path: 'v1/drafts/{draftId}/reject', method: 'POST', role: 'approver', aliases: ['rejectDraft', 'rejectDraftRun'],
+    summary: 'Reject a pending draft - its tasks stay unpaid',
+    params: {
+      draftId: { type: 'string', required: true, in: 'path', description: 'Draft ID' },
+      comment: { type: 'string', required: true, description: 'Why the draft was rejected' }
+    },
+    response: { type: 'object', properties: { message: { type: 'string' }, draftId: { type: 'string' }, status: { type: 'string', enum: ['Rejected'] } } },
+    handler: params => rejectDraftRun(params.draftId, params.comment)
+  },
+  {
+    path: 'v1/invoices/latest/pdf', method: 'POST', role: 'preparer', aliases: ['exportLatestInvoice'],
+    summary: 'Export the most recent invoice as a PDF to Drive',
+    params: {
+      delivery: { type: 'string', enum: ['drive', 'dataUrl'], description: 'drive (default) saves to the invoice folder, dataUrl returns base64 (default for the deprecated name)' },
+      existingFileMode: { type: 'string', enum: ['replace', 'version'], description: 'What to do with an earlier export of the same name' }
+    },
+    // The deprecated name always answered with a downloadUrl, and was a GET link
+    legacyParams: { delivery: 'dataUrl' },
+    legacyGet: true,
+    response: apiSchemaRef_('PdfExport'),
+    handler: params => exportLatestInvoicePDF(getPdfExportOptions_(params))
+  },
+  {
+    path: 'v1/invoices/pdf', method: 'POST', role: 'preparer', aliases: ['exportInvoicePDF'],
+    summary: 'Export one invoice, or the invoices of the last N days, as a PDF to Drive',
+    params: {
+      invoiceNumber: { type: 'string', description: 'Invoice to export (default: all invoices of the last daysBack days)' },
+      daysBack: { type: 'integer', minimum: 1, description: 'Days of invoices to export when no invoice number is given (default 30)' },
+      delivery: { type: 'string', enum: ['drive', 'dataUrl'], description: 'drive (default) saves to the invoice folder, dataUrl returns base64 (default for the deprecated name)' },
+      existingFileMode: { type: 'string', enum: ['replace', 'version'], description: 'What to do with an earlier export of the same name' }
+    },
+    legacyParams: { delivery: 'dataUrl' },
+    legacyGet: true,
+    response: apiSchemaRef_('PdfExport'),
+    handler: params => exportInvoicesPDF(params.invoiceNumber || null, params.daysBack || 30, null, getPdfExportOptions_(params))
+  },
+  {
+    path: 'v1/invoices/{invoiceNumber}', method: 'GET', role: 'viewer', aliases: ['getInvoiceLines'],
+    summary: 'Itemised lines (tasks and adjustments) of an invoice with totals per contractor invoice',
+    params: {
+      invoiceNumber: { type: 'string', required: true, in: 'path', description: 'Invoice number' }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        invoiceNumber: { type: 'string' },
+        lines: { type: 'array', items: apiSchemaRef_('InvoiceLine') },
+        totalsByInvoice: { type: 'object', additionalProperties: { type: 'number' }, description: 'Total per contractor invoice number' }
+      }
+    },
+    handler: params => getInvoiceLines(params.invoiceNumber)
+  },
+  {
+    path: 'v1/invoices/{invoiceNumber}/tasks', method: 'GET', role: 'viewer', aliases: ['getInvoiceTasks'],
+    summary: 'MASTER task rows covered by an invoice',
+    params: {
+      invoiceNumber: { type: 'string', required: true, in: 'path', description: 'Invoice number' }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        invoiceNumber: { type: 'string' },
+        invoices: { type: 'array', items: apiSchemaRef_('InvoiceRecord') },
+        taskCount: { type: 'integer' },
+        tasks: { type: 'array', items: apiSchemaRef_('InvoiceTask') }
+      }
+    },
+    handler: params => getInvoiceTasks(params.invoiceNumber)
+  },
+  {
+    path: 'v1/invoices/{invoiceNumber}/payments', method: 'POST', role: 'approver', aliases: ['markPaid', 'markInvoiceAsPaid'],
+    summary: 'Mark an invoice\'s tasks (or one contractor\'s) as Paid',
+    params: {
+      invoiceNumber: { type: 'string', required: true, in: 'path', description: 'Invoice number' },
+      paymentMethod: { type: 'string', required: true, description: 'e.g. Bank Transfer' },
+      contractor: { type: 'string', description: 'Only mark this contractor\'s tasks' },
+      paidDate: { type: 'date', description: 'Payment date (default today)' }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        invoiceNumber: { type: 'string' },
+        contractor: { type: 'string', nullable: true },
+        paymentMethod: { type: 'string' },
+        paidDate: { type: 'string', format: 'date' },
+        rowsUpdated: { type: 'integer' },
+        masterRows: { type: 'array', items: { type: 'integer' } }
+      }
+    },
+    handler: params => markInvoiceAsPaid(params.invoiceNumber, {
+      contractor: params.contractor,
+      paymentMethod: params.paymentMethod,
+      paidDate: params.paidDate
+    })
+  },
+  {
+    path: 'v1/invoices/{invoiceNumber}/void', method: 'POST', role: 'approver', aliases: ['voidInvoice'],
+    summary: 'Void an invoice and release its tasks back to unpaid',
+    params: {
+      invoiceNumber: { type: 'string', required: true, in: 'path', description: 'Invoice number' },
+      reason: { type: 'string', required: true, description: 'Why the invoice is voided' }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        invoiceNumber: { type: 'string' },
+        reason: { type: 'string' },
+        voidedAt: { type: 'string', format: 'date-time' },
+        invoiceRowsVoided: { type: 'array', items: { type: 'integer' } },
+        tasksReleased: { type: 'integer' },
+        masterRows: { type: 'array', items: { type: 'integer' } },
+        adjustmentsReleased: { type: 'array', items: { type: 'integer' } }
+      }
+    },
+    handler: params => voidInvoice(params.invoiceNumber, params.reason)
+  },
+  {
+    path: 'v1/invoices/{invoiceNumber}/documents', method: 'POST', role: 'preparer', aliases: ['generateInvoices', 'generateInvoiceDocuments'],
+    summary: 'Save one PDF per contractor to Drive and return a manifest',
+    params: {
+      invoiceNumber: { type: 'string', required: true, in: 'path', description: 'Invoice number' },
+      existingFileMode: { type: 'string', enum: ['replace', 'version'], description: 'What to do with an earlier export of the same name' }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        invoiceNumber: { type: 'string' },
+        folder: { type: 'object', properties: { id: { type: 'string' }, url: { type: 'string' } } },
+        files: { type: 'array', items: apiSchemaRef_('InvoiceDocument') },
+        skipped: { type: 'array', items: { type: 'object' } }
+      }
+    },
+    handler: params => generateInvoiceDocuments(params.invoiceNumber, getPdfExportOptions_(params))
+  },
+  {
+    path: 'v1/tasks/{row}/invoice', method: 'GET', role: 'viewer', aliases: ['getTaskInvoice'],
+    summary: 'The invoice a MASTER task row was paid under',
+    params: {
+      row: { type: 'integer', required: true, in: 'path', minimum: 3, description: 'MASTER row number' }
+    },
+    response: { type: 'object', properties: { task: apiSchemaRef_('InvoiceTask'), invoice: apiSchemaRef_('InvoiceRecord') } },
+    handler: params => getTaskInvoice(params.row)
+  },
+  {
+    path: 'v1/aliases/staff', method: 'POST', role: 'preparer', aliases: ['saveStaffAlias'],
+    summary: 'Save an alias so an unmatched Assign value resolves to a staff key',
+    params: {
+      alias: { type: 'string', required: true, description: 'The unmatched value' },
+      staffKey: { type: 'string', required: true, description: 'Staff key in the staff registry' }
+    },
+    response: apiSchemaRef_('Message'),
+    handler: params => saveStaffAlias(params.alias, params.staffKey)
+  },
+  {
+    path: 'v1/aliases/task-types', method: 'POST', role: 'preparer', aliases: ['saveTaskTypeAlias'],
+    summary: 'Save an alias so an unmatched STATS LEVEL value resolves to a Pay Config task type',
+    params: {
+      alias: { type: 'string', required: true, description: 'The unmatched value' },
+      taskType: { type: 'string', required: true, description: 'Task type in Pay Config' }
+    },
+    response: apiSchemaRef_('Message'),
+    handler: params => saveTaskTypeAlias(params.alias, params.taskType)
+  },
+  {
+    path: 'v1/openapi', method: 'GET', role: null, aliases: ['openapi'],
+    summary: 'This catalogue as an OpenAPI 3 document (served as is, without the { ok, data } envelope)',
+    params: {},
+    response: { type: 'object', description: 'OpenAPI 3.0 document' },
+    rawResponse: true,
+    handler: () => buildOpenApiDocument_()
+  }
+];
+
+/**
+ * API error codes - failures answer { ok: false, error: { code, message, details? } }
+ */
+const API_ERROR_CODES = {
+  UNKNOWN_ROUTE: 'No route or legacy action has this name',
+  METHOD_NOT_ALLOWED: 'The route exists for another HTTP method (v1 routes that change data need POST)',
+  INVALID_PARAMETER: 'A parameter is missing or invalid - details.errors lists each problem',
+  UNAUTHORIZED: 'The API key is missing, malformed, unknown or revoked',
+  FORBIDDEN: 'The API key or signed-in user does not have the role the route needs',
+  NOT_FOUND: 'The invoice, draft, preview snapshot or task does not exist',
+  NO_UNPAID_WORK: 'There is no unpaid work to preview or invoice',
+  CONFLICT: 'Tasks, rates or adjustments changed since the preview or draft, or the draft was already reviewed',
+  VALIDATION_BLOCKED: 'Invoicing was refused because of blocking errors - details.validationErrors lists them; retry with force',
+  APPROVAL_REQUIRED: 'Invoices are only created by approving a draft pay run (v1/drafts)',
+  OPERATION_FAILED: 'The action could not be completed - see message',
+  INTERNAL_ERROR: 'Unexpected server error'
+};
+
+// Reference to a shared schema in API_SCHEMAS
+function apiSchemaRef_(name) {
+  return { $ref: `#/components/schemas/${name}` };
 }
 
 /**
- * Creates the web app HTML interface
- * Provides a user-friendly interface for external consumers
+ * Schemas shared by API_ROUTES responses - published under components.schemas of the OpenAPI document
+ * They list the fields clients rely on; responses may carry more (e.g. debugLog).
  */
-function createWebAppInterface() {
-  const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <title>Staff Pay Calculator</title>
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <style>
-    body {
-      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-      max-width: 1200px;
-      margin: 0 auto;
-      padding: 20px;
-      background-color: #f5f7fa;
+const API_SCHEMAS = {
+  Message: {
+    type: 'object',
+    properties: { message: { type: 'string' } }
+  },
+  Status: {
+    type: 'object',
+    properties: {
+      unpaidTasks: { type: 'integer' },
+      blockedTasks: { type: 'integer' },
+      lastCheck: { type: 'string', format: 'date-time' }
     }
-    .container {
-      background: white;
-      border-radius: 8px;
-      padding: 30px;
-      box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+  },
+  Period: {
+    type: 'object',
+    nullable: true,
+    description: 'Pay period the run was limited to (null = all unpaid work)',
+    properties: {
+      start: { type: 'string', format: 'date', nullable: true },
+      end: { type: 'string', format: 'date', nullable: true }
     }
-    h1 {
-      color: #2c3e50;
-      text-align: center;
-      margin-bottom: 30px;
+  },
+  TaxTotals: {
+    type: 'object',
+    properties: {
+      subtotal: { type: 'number' },
+      tax: { type: 'number' },
+      withholding: { type: 'number' },
+      netPayable: { type: 'number' }
     }
-    .action-grid {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-      gap: 20px;
-      margin-bottom: 30px;
+  },
+  PaySummary: {
+    type: 'object',
+    properties: {
+      totalTasks: { type: 'integer' },
+      totalStaff: { type: 'integer' },
+      totalsByCurrency: { type: 'object', additionalProperties: { type: 'number' } },
+      taxByCurrency: { type: 'object', additionalProperties: apiSchemaRef_('TaxTotals') },
+      grandTotal: { type: 'number', nullable: true },
+      baseCurrency: { type: 'string' },
+      baseCurrencyTotal: { type: 'number', nullable: true },
+      missingExchangeRates: { type: 'array', items: { type: 'string' } },
+      carriedOverTasks: { type: 'integer' },
+      blockedTasks: { type: 'integer' },
+      adjustmentCount: { type: 'integer' },
+      staffWarnings: { type: 'integer' },
+      blockingErrors: { type: 'array', items: { type: 'string' } },
+      errors: {
+        type: 'object',
+        description: 'Unmatched task types and staff keys, tasks with no rate and suggested aliases',
+        properties: {
+          unmatchedTaskTypes: { type: 'array', items: { type: 'string' } },
+          unmatchedStaffKeys: { type: 'array', items: { type: 'string' } },
+          tasksWithNoRate: { type: 'array', items: { type: 'object' } },
+          suggestions: { type: 'object' }
+        }
+      }
     }
-    .action-card {
-      border: 1px solid #e1e8ed;
-      border-radius: 8px;
-      padding: 20px;
-      text-align: center;
-      transition: transform 0.2s, box-shadow 0.2s;
+  },
+  Adjustment: {
+    type: 'object',
+    properties: {
+      row: { type: 'integer', description: 'Adjustments sheet row' },
+      staffKey: { type: 'string' },
+      amount: { type: 'number' },
+      reason: { type: 'string' },
+      periodStart: { type: 'string', nullable: true },
+      periodEnd: { type: 'string', nullable: true }
     }
-    .action-card:hover {
-      transform: translateY(-2px);
-      box-shadow: 0 4px 15px rgba(0,0,0,0.1);
+  },
+  PreviewTask: {
+    type: 'object',
+    properties: {
+      rowIndex: { type: 'integer', description: 'MASTER row' },
+      staffName: { type: 'string' },
+      taskType: { type: 'string' },
+      league: { type: 'string' },
+      round: { type: 'string' },
+      team1: { type: 'string' },
+      team2: { type: 'string' },
+      doneDate: { type: 'string' },
+      rate: { type: 'number' },
+      rateType: { type: 'string' },
+      rateSource: { type: 'string' },
+      hasValidRate: { type: 'boolean' }
     }
-    .btn {
-      background: #3498db;
-      color: white;
-      border: none;
-      padding: 12px 24px;
-      border-radius: 5px;
-      cursor: pointer;
-      font-size: 16px;
-      transition: background-color 0.3s;
-      margin: 5px;
+  },
+  StaffPayment: {
+    type: 'object',
+    properties: {
+      staffKey: { type: 'string' },
+      legalName: { type: 'string' },
+      hasMapping: { type: 'boolean' },
+      currency: { type: 'string' },
+      totalAmount: { type: 'number' },
+      adjustmentTotal: { type: 'number' },
+      tax: { allOf: [apiSchemaRef_('TaxTotals')], nullable: true },
+      missingPaymentDetails: { type: 'array', items: { type: 'string' } },
+      adjustments: { type: 'array', items: apiSchemaRef_('Adjustment') },
+      taskCount: { type: 'integer' },
+      tasks: { type: 'array', items: apiSchemaRef_('PreviewTask') }
     }
-    .btn:hover {
-      background: #2980b9;
+  },
+  Preview: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      period: apiSchemaRef_('Period'),
+      summary: apiSchemaRef_('PaySummary'),
+      payments: { type: 'object', additionalProperties: apiSchemaRef_('StaffPayment'), description: 'Keyed by staff name' },
+      carriedOver: { type: 'array', items: { type: 'object' }, description: 'Tasks outside the period, with a reason' },
+      blocked: { type: 'array', items: { type: 'object' }, description: 'Done tasks failing the payability rules, with reasons' },
+      staffWarnings: { type: 'array', items: { type: 'object' } },
+      registryErrors: { type: 'array', items: { type: 'string' } },
+      snapshotToken: { type: 'string', description: 'Pass to v1/drafts or v1/runs to invoice exactly these tasks' },
+      snapshotExpiresAt: { type: 'string', format: 'date-time' }
     }
-    .btn-success {
-      background: #27ae60;
+  },
+  Calculation: {
+    type: 'object',
+    properties: {
+      workLogData: { type: 'array', items: { type: 'object' }, description: 'The unpaid MASTER tasks that were priced' },
+      payments: { type: 'object', additionalProperties: apiSchemaRef_('StaffPayment'), description: 'Keyed by staff name' },
+      errors: { type: 'object', description: 'unmatchedTaskTypes, unmatchedStaffKeys, tasksWithNoRate and suggestions' },
+      blockingErrors: { type: 'array', items: { type: 'string' } },
+      summary: apiSchemaRef_('PaySummary'),
+      period: apiSchemaRef_('Period'),
+      carriedOver: { type: 'array', items: { type: 'object' } },
+      blocked: { type: 'array', items: { type: 'object' } },
+      staffWarnings: { type: 'array', items: { type: 'object' } },
+      registryErrors: { type: 'array', items: { type: 'string' } }
     }
-    .btn-success:hover {
-      background: #229954;
+  },
+  ContractorInvoice: {
+    type: 'object',
+    properties: {
+      contractor: { type: 'string' },
+      currency: { type: 'string' },
+      total: { type: 'number' },
+      netPayable: { type: 'number' },
+      invoiceNumber: { type: 'string' },
+      invoiceRow: { type: 'integer' },
+      masterRows: { type: 'array', items: { type: 'integer' } },
+      adjustmentRows: { type: 'array', items: { type: 'integer' } }
     }
-    .btn-warning {
-      background: #f39c12;
+  },
+  PayRunResult: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      runId: { type: 'string' },
+      forced: { type: 'boolean' },
+      period: apiSchemaRef_('Period'),
+      excludedTasks: { type: 'integer', description: 'Previewed tasks left out by the staff / rows selection' },
+      summary: apiSchemaRef_('PaySummary'),
+      invoiceInfo: {
+        type: 'object',
+        properties: {
+          invoiceNumber: { type: 'string' },
+          invoiceDate: { type: 'string' },
+          rowsCreated: { type: 'integer' },
+          contractorInvoices: { type: 'array', items: apiSchemaRef_('ContractorInvoice') }
+        }
+      },
+      draftId: { type: 'string', description: 'Approved draft (v1/drafts/{draftId}/approve only)' },
+      status: { type: 'string', description: 'Draft status after approval (v1/drafts/{draftId}/approve only)' }
     }
-    .btn-warning:hover {
-      background: #e67e22;
+  },
+  PayRun: {
+    type: 'object',
+    properties: {
+      runId: { type: 'string' },
+      startedAt: { type: 'string', format: 'date-time' },
+      triggeredBy: { type: 'string' },
+      user: { type: 'string' },
+      periodStart: { type: 'string' },
+      periodEnd: { type: 'string' },
+      taskCount: { type: 'integer' },
+      staffCount: { type: 'integer' },
+      grandTotal: { type: 'number', nullable: true },
+      totalsByCurrency: { type: 'object', additionalProperties: { type: 'number' } },
+      invoiceNumber: { type: 'string' },
+      status: { type: 'string' },
+      errors: { type: 'string' },
+      durationSeconds: { type: 'number' },
+      forced: { type: 'boolean' },
+      draftId: { type: 'string' }
     }
-    .btn-info {
-      background: #8e44ad;
+  },
+  DraftStaff: {
+    type: 'object',
+    properties: {
+      staffName: { type: 'string' },
+      currency: { type: 'string' },
+      taskCount: { type: 'integer' },
+      adjustmentCount: { type: 'integer' },
+      total: { type: 'number' },
+      rows: { type: 'array', items: { type: 'integer' } }
     }
-    .btn-info:hover {
-      background: #7d3c98;
+  },
+  DraftRun: {
+    type: 'object',
+    properties: {
+      draftId: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      preparedBy: { type: 'string' },
+      periodStart: { type: 'string' },
+      periodEnd: { type: 'string' },
+      taskCount: { type: 'integer' },
+      staffCount: { type: 'integer' },
+      totals: { type: 'string' },
+      status: { type: 'string', enum: ['Pending', 'Approved', 'Rejected', 'Failed'] },
+      reviewedBy: { type: 'string' },
+      reviewedAt: { type: 'string' },
+      reviewComment: { type: 'string' },
+      runId: { type: 'string' },
+      invoiceNumber: { type: 'string' },
+      error: { type: 'string' },
+      staff: { type: 'array', items: apiSchemaRef_('DraftStaff') }
     }
-    .results {
-      margin-top: 20px;
-      padding: 20px;
-      border-radius: 5px;
-      display: none;
+  },
+  InvoiceLine: {
+    type: 'object',
+    description: 'One Invoice Lines row, keyed by its column headers',
+    properties: {
+      sheetRow: { type: 'integer' },
+      'Invoice Number': { type: 'string' },
+      'Contractor': { type: 'string' },
+      'Line Type': { type: 'string', enum: ['Task', 'Adjustment'] },
+      'MASTER Row': { description: 'MASTER row number (empty for adjustments)' },
+      'Adjustments Row': { description: 'Adjustments sheet row number (empty for tasks)' },
+      'Task Type': { type: 'string' },
+      'League': { type: 'string' },
+      'Round': { type: 'string' },
+      'Teams': { type: 'string' },
+      'Done Date': { type: 'string' },
+      'Description': { type: 'string' },
+      'Rate': { type: 'number' },
+      'Currency': { type: 'string' },
+      'Rate Source': { type: 'string' },
+      'Playback Link': { type: 'string' }
     }
-    .results.success {
-      background: #d4edda;
-      border: 1px solid #c3e6cb;
-      color: #155724;
+  },
+  InvoiceRecord: {
+    type: 'object',
+    properties: {
+      invoiceNumber: { type: 'string' },
+      invoiceRow: { type: 'integer' },
+      contractor: { type: 'string' },
+      date: { type: 'string' },
+      total: { type: 'number' }
     }
-    .results.error {
-      background: #f8d7da;
-      border: 1px solid #f5c6cb;
-      color: #721c24;
+  },
+  InvoiceTask: {
+    type: 'object',
+    properties: {
+      rowIndex: { type: 'integer', description: 'MASTER row' },
+      staffName: { type: 'string' },
+      taskType: { type: 'string' },
+      league: { type: 'string' },
+      round: { type: 'string' },
+      team1: { type: 'string' },
+      team2: { type: 'string' },
+      playbackLink: { type: 'string' },
+      doneDate: { type: 'string' },
+      paid: { type: 'string' },
+      paidDate: { type: 'string' },
+      paymentMethod: { type: 'string' },
+      invoiceNumber: { type: 'string' },
+      invoiceRow: { type: 'integer' }
     }
-    .loading {
-      display: none;
-      text-align: center;
-      padding: 20px;
+  },
+  PdfExport: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      fileId: { type: 'string' },
+      url: { type: 'string' },
+      fileName: { type: 'string' },
+      folderId: { type: 'string' },
+      folderPath: { type: 'string' },
+      replacedFileIds: { type: 'array', items: { type: 'string' } },
+      rowsExported: { type: 'integer' },
+      downloadUrl: { type: 'string', description: 'base64 data URL (delivery=dataUrl only)' }
     }
-    .spinner {
-      border: 4px solid #f3f3f3;
-      border-top: 4px solid #3498db;
-      border-radius: 50%;
-      width: 40px;
-      height: 40px;
-      animation: spin 1s linear infinite;
-      margin: 0 auto 10px;
+  },
+  InvoiceDocument: {
+    type: 'object',
+    properties: {
+      invoiceNumber: { type: 'string' },
+      contractor: { type: 'string' },
+      fileName: { type: 'string' },
+      fileId: { type: 'string' },
+      url: { type: 'string' },
+      folderPath: { type: 'string' },
+      replacedFileIds: { type: 'array', items: { type: 'string' } },
+      currency: { type: 'string' },
+      total: { type: 'number' },
+      netPayable: { type: 'number' },
+      taskCount: { type: 'integer' },
+      adjustmentCount: { type: 'integer' },
+      rateMismatch: { type: 'boolean' }
     }
-    @keyframes spin {
-      0% { transform: rotate(0deg); }
-      100% { transform: rotate(360deg); }
+  }
+};
+
+/**
+ * Build the OpenAPI 3 document of the web app API from API_ROUTES, API_SCHEMAS and API_ERROR_CODES
+ * Apps Script web apps always answer HTTP 200, so every operation documents both envelopes under 200.
+ * Legacy action names are listed per operation as x-legacy-actions.
+ * 
+ * @return {Object} OpenAPI 3.0 document
+ */
+function buildOpenApiDocument_() {
+  const paths = {};
+  
+  API_ROUTES.forEach(route => {
+    const paramNames = Object.keys(route.params);
+    const pathParams = paramNames.filter(name => route.params[name].in === 'path');
+    const otherParams = paramNames.filter(name => route.params[name].in !== 'path');
+    const parameters = pathParams.map(name => ({
+      name: name,
+      in: 'path',
+      required: true,
+      description: route.params[name].description,
+      schema: getApiParamSchema_(route.params[name])
+    }));
+    
+    const operation = {
+      operationId: route.aliases[route.aliases.length - 1],
+      summary: route.summary,
+      tags: [route.path.split('/')[1]],
+      'x-required-role': route.role,
+      'x-legacy-actions': route.aliases,
+      security: route.role === null ? [] : [{ apiKey: [] }],
+      parameters: parameters,
+      responses: {
+        200: {
+          description: route.rawResponse ? 'The document itself' : '{ ok: true, data } on success, { ok: false, error } otherwise',
+          content: {
+            'application/json': {
+              schema: route.rawResponse ? route.response : {
+                oneOf: [
+                  {
+                    type: 'object',
+                    required: ['ok', 'data'],
+                    properties: { ok: { type: 'boolean', enum: [true] }, data: route.response }
+                  },
+                  apiSchemaRef_('ApiError')
+                ]
+              }
+            }
+          }
+        }
+      }
+    };
+    
+    if (route.method === 'GET') {
+      otherParams.forEach(name => {
+        const spec = route.params[name];
+        parameters.push({
+          name: name,
+          in: 'query',
+          required: Boolean(spec.required),
+          description: spec.description,
+          schema: getApiParamSchema_(spec),
+          ...(spec.type === 'array' ? { style: 'form', explode: false } : {})
+        });
+      });
+    } else {
+      const required = otherParams.filter(name => route.params[name].required);
+      operation.requestBody = {
+        required: required.length > 0,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              ...(required.length > 0 ? { required: required } : {}),
+              properties: otherParams.reduce((properties, name) => {
+                properties[name] = { ...getApiParamSchema_(route.params[name]), description: route.params[name].description };
+                return properties;
+              }, {})
+            }
+          }
+        }
+      };
     }
-    pre {
-      background: #f8f9fa;
-      padding: 15px;
-      border-radius: 5px;
-      overflow-x: auto;
-      white-space: pre-wrap;
+    
+    paths['/' + route.path] = paths['/' + route.path] || {};
+    paths['/' + route.path][route.method.toLowerCase()] = operation;
+  });
+  
+  let serverUrl = null;
+  try {
+    serverUrl = ScriptApp.getService().getUrl();
+  } catch (error) {
+    Logger.log(`Web app URL unavailable: ${error.toString()}`);
+  }
+  
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Staff Pay Automation API',
+      version: '1.0.0',
+      description: 'Reads are GET requests with query parameters, changes are POST requests with a JSON body. ' +
+        'Send the API key as the apiKey query parameter (or "apiKey" in the POST body); users signed in with ' +
+        'a role on the Permissions sheet need no key. x-required-role is the role a route needs ' +
+        '(read keys act as viewer, invoicing keys as approver, admin keys as admin).'
+    },
+    servers: [{ url: serverUrl || getCurrentDeploymentUrl_() || '/' }],
+    paths: paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'query', name: 'apiKey' }
+      },
+      schemas: {
+        ...API_SCHEMAS,
+        ApiError: {
+          type: 'object',
+          required: ['ok', 'error'],
+          properties: {
+            ok: { type: 'boolean', enum: [false] },
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: {
+                  type: 'string',
+                  enum: Object.keys(API_ERROR_CODES),
+                  description: Object.keys(API_ERROR_CODES).map(code => `${code}: ${API_ERROR_CODES[code]}`).join('\n')
+                },
+                message: { type: 'string' },
+                details: { type: 'object', description: 'Rest of the failed result, e.g. errors, validationErrors, changedRows' }
+              }
+            }
+          }
+        }
+      }
     }
-    .api-docs {
-      margin-top: 40px;
-      padding: 20px;
-      background: #f8f9fa;
-      border-radius: 8px;
+  };
+}
+
+// JSON schema of a declared route parameter
+function getApiParamSchema_(spec) {
+  const schema = spec.type === 'date' ? { type: 'string', format: 'date' }
+    : spec.type === 'array' ? { type: 'array', items: getApiParamSchema_({ type: spec.items || 'string' }) }
+    : { type: spec.type || 'string' };
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.minimum !== undefined) schema.minimum = spec.minimum;
+  return schema;
+}
+
+/**
+ * API documentation for the web interface, generated from API_ROUTES and API_ERROR_CODES
+ * 
+ * @return {string} HTML of the endpoint list and error codes
+ */
+function renderApiDocsHtml_() {
+  const escape = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  
+  const endpoints = API_ROUTES.map(route => {
+    const params = Object.keys(route.params).map(name => {
+      const spec = route.params[name];
+      const type = spec.enum ? spec.enum.join('|') : spec.type + (spec.type === 'array' ? ' of ' + (spec.items || 'string') : '');
+      return `<li><code>${escape(name)}</code> (${escape(type)}${spec.required ? ', required' : ''}${spec.in === 'path' ? ', in path' : ''})` +
+        `${spec.description ? ' - ' + escape(spec.description) : ''}</li>`;
+    }).join('');
+    return `
+      <div class="endpoint">
+        <strong>${route.method} ${escape(route.path)}</strong> <em>(${route.role ? escape(route.role) : 'public'})</em><br>
+        ${escape(route.summary)}
+        ${params ? `<ul>${params}</ul>` : ''}
+        <small>Legacy names: ${route.aliases.map(alias => `<code>${escape(alias)}</code>`).join(', ')}</small>
+      </div>`;
+  }).join('\n');
+  
+  const errorCodes = Object.keys(API_ERROR_CODES)
+    .map(code => `<li><code>${code}</code> - ${escape(API_ERROR_CODES[code])}</li>`)
+    .join('');
+  
+  return `${endpoints}
+      <h4>Error Codes</h4>
+      <ul>${errorCodes}</ul>`;
+}
+
+// Build a router-level error result
+function apiError_(code, message, details) {
+  return { success: false, error: message, errorCode: code, ...(details ? { details: details } : {}) };
+}
+
+/**
+ * Route, authorise, validate and run one API request, answering in the v1 envelope
+ * (or the legacy { success, error } shape when called by a deprecated action name)
+ * 
+ * @param {string} routeName - v1 path (e.g. 'v1/invoices/INV-2026-0001') or legacy action / function name
+ * @param {string} method - 'GET' or 'POST'
+ * @param {Object} params - Query parameters and POST body fields
+ * @param {string} apiKey - API key sent with the request, if any
+ * @return {TextOutput} JSON response
+ */
+function handleApiRequest_(routeName, method, params, apiKey) {
+  let match = { legacy: false };
+  
+  try {
+    match = findApiRoute_(routeName, method);
+    if (match.error) {
+      return createApiResponse_(match, match.error);
     }
-    .api-docs h3 {
-      color: #2c3e50;
-      margin-top: 0;
+    
+    const authorization = authorizeApiRequest_(match.route, apiKey);
+    if (!authorization.ok) {
+      return createApiResponse_(match, apiError_(authorization.code, authorization.error));
     }
-    .endpoint {
-      background: white;
-      padding: 10px;
-      margin: 10px 0;
-      border-left: 4px solid #3498db;
-      border-radius: 4px;
+    
+    const legacyParams = match.legacy ? match.route.legacyParams || {} : {};
+    // A legacy GET link can only do what it always did (e.g. return a data URL, never save to Drive)
+    const values = match.legacy && method !== match.route.method
+      ? { ...params, ...legacyParams, ...match.pathParams }
+      : { ...legacyParams, ...params, ...match.pathParams };
+    const validation = validateApiParams_(match.route, values);
+    if (validation.errors.length > 0) {
+      return createApiResponse_(match, apiError_('INVALID_PARAMETER', validation.errors.join('; '), { errors: validation.errors }));
     }
-    code {
-      background: #e9ecef;
-      padding: 2px 6px;
-      border-radius: 3px;
-      font-family: 'Courier New', monospace;
+    
+    return createApiResponse_(match, match.route.handler(validation.values));
+  } catch (error) {
+    Logger.log(`API ${method} ${routeName} failed: ${error.toString()}\n${error.stack || ''}`);
+    return createApiResponse_(match, apiError_('INTERNAL_ERROR', 'Server error: ' + error.toString()));
+  }
+}
+
+/**
+ * Find the route for a v1 path or legacy action name
+ * 
+ * @return {Object} { route, pathParams, legacy } or { error, legacy } for unknown routes and wrong methods
+ */
+function findApiRoute_(routeName, method) {
+  const name = String(routeName || '').replace(/^\/+|\/+$/g, '');
+  
+  const aliased = API_ROUTES.find(route => route.aliases.indexOf(name) !== -1);
+  if (aliased) {
+    // A link or crawler following ?action=markPaid must not change data, so POST aliases refuse GET
+    if (aliased.method === 'POST' && method === 'GET' && !aliased.legacyGet) {
+      return {
+        route: aliased,
+        legacy: true,
+        error: apiError_('METHOD_NOT_ALLOWED', `${name} changes data - send it as POST (${aliased.method} ${aliased.path})`)
+      };
     }
-    input[type="text"], input[type="number"] {
-      border: 1px solid #ddd;
-      border-radius: 4px;
-      font-size: 14px;
-      box-sizing: border-box;
+    return { route: aliased, pathParams: {}, legacy: true };
+  }
+  
+  const segments = name.split('/');
+  const pathMatches = [];
+  API_ROUTES.forEach(route => {
+    const routeSegments = route.path.split('/');
+    if (routeSegments.length !== segments.length) {
+      return;
     }
-    input[type="text"]:focus, input[type="number"]:focus {
-      outline: none;
-      border-color: #3498db;
-      box-shadow: 0 0 5px rgba(52, 152, 219, 0.3);
+    const pathParams = {};
+    const matches = routeSegments.every((segment, index) => {
+      const paramName = segment.match(/^\{(\w+)\}$/);
+      if (paramName) {
+        try {
+          pathParams[paramName[1]] = decodeURIComponent(segments[index]);
+        } catch (error) {
+          // Malformed % escape - reported as a bad parameter rather than a server error
+          pathParams[paramName[1]] = null;
+        }
+        return segments[index] !== '';
+      }
+      return segment === segments[index];
+    });
+    if (matches) {
+      pathMatches.push({ route: route, pathParams: pathParams, legacy: false });
     }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <h1>Staff Pay Calculator</h1>
-    
-    <div class="action-grid">
-      <div class="action-card">
-        <h3>Preview Payments</h3>
+  });
+  
+  // Fixed segments win over path parameters, e.g. POST v1/invoices/pdf is not invoice "pdf"
+  const forMethod = pathMatches
+    .filter(match => match.route.method === method)
+    .sort((a, b) => Object.keys(a.pathParams).length - Object.keys(b.pathParams).length);
+  if (forMethod.length > 0) {
+    const malformed = Object.keys(forMethod[0].pathParams).filter(param => forMethod[0].pathParams[param] === null);
+    if (malformed.length > 0) {
+      return {
+        legacy: false,
+        error: apiError_('INVALID_PARAMETER', `${malformed.join(', ')}: malformed URL encoding in "${name}"`)
+      };
+    }
+    return forMethod[0];
+  }
+  if (pathMatches.length > 0) {
+    return {
+      legacy: false,
+      error: apiError_('METHOD_NOT_ALLOWED', `${name} needs ${pathMatches.map(match => match.route.method).join(' or ')}, not ${method}`)
+    };
+  }
+  
+  return {
+    legacy: !/^v\d+\//.test(name),
+    error: apiError_('UNKNOWN_ROUTE', `Unknown route or action "${name}". Routes: ` +
+      API_ROUTES.map(route => `${route.method} ${route.path}`).join(', '))
+  };
+}
+
+/**
+ * Validate and convert request parameters against a route's declaration
+ * GET parameters arrive as strings, so numbers, booleans and comma-separated arrays are parsed here.
+ * 
+ * @return {Object} { values: declared params only, errors: Array of messages }
+ */
+function validateApiParams_(route, params) {
+  const values = {};
+  const errors = [];
+  
+  Object.keys(route.params).forEach(name => {
+    const spec = route.params[name];
+    const raw = params[name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (spec.required) {
+        errors.push(`${name} is required`);
+      }
+      return;
+    }
+    
+    const value = convertApiParam_(raw, spec.type, spec.items);
+    if (value === undefined) {
+      errors.push(`${name} must be ${describeApiParamType_(spec)}`);
+    } else if (spec.enum && spec.enum.indexOf(value) === -1) {
+      errors.push(`${name} must be one of ${spec.enum.join(', ')}`);
+    } else if (spec.minimum !== undefined && value < spec.minimum) {
+      errors.push(`${name} must be at least ${spec.minimum}`);
+    } else {
+      values[name] = value;
+    }
+  });
+  
+  return { values: values, errors: errors };
+}
+
+// Convert one parameter value to its declared type - undefined when it can't be
+function convertApiParam_(raw, type, items) {
+  switch (type) {
+    case 'integer': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      return Number.isInteger(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return true;
+      if (raw === false || raw === 'false') return false;
+      return undefined;
+    case 'date': {
+      const text = String(raw).trim();
+      return /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(new Date(text).getTime()) ? text : undefined;
+    }
+    case 'array': {
+      const list = Array.isArray(raw) ? raw : String(raw).split(',').map(item => item.trim()).filter(item => item);
+      const converted = list.map(item => convertApiParam_(item, items || 'string'));
+      return converted.some(item => item === undefined) ? undefined : converted;
+    }
+    default:
+      return typeof raw === 'object' ? undefined : String(raw).trim();
+  }
+}
+
+// Describe a parameter's expected type for validation messages
+function describeApiParamType_(spec) {
+  switch (spec.type) {
+    case 'integer': return 'a whole number';
+    case 'boolean': return 'true or false';
+    case 'date': return 'a date as yyyy-MM-dd';
+    case 'array': return spec.items === 'integer' ? 'a list of whole numbers (comma-separated or an array)' : 'a list (comma-separated or an array)';
+    default: return 'text';
+  }
+}
+
+// Error code for a failed core API result
+// Core functions report failures as { success: false, error } - flags they set are mapped first, then known messages
+function getApiErrorCode_(result) {
+  const message = String(result.error || result.message || '');
+  if (result.errorCode) return result.errorCode;
+  if (result.permissionDenied) return 'FORBIDDEN';
+  if (result.requiresForce) return 'VALIDATION_BLOCKED';
+  if (result.requiresApproval) return 'APPROVAL_REQUIRED';
+  if (result.message === 'No unpaid work found') return 'NO_UNPAID_WORK';
+  if (result.changedRows || /changed since the preview|is already (approved|rejected|failed)/i.test(message)) return 'CONFLICT';
+  if (/not found|^No .* found for/i.test(message)) return 'NOT_FOUND';
+  return 'OPERATION_FAILED';
+}
+
+/**
+ * Turn a core API result into the JSON response
+ * v1: { ok: true, data } or { ok: false, error: { code, message, details } } - details holds the rest of a failed
+ * result (e.g. validationErrors, changedRows). Legacy action names keep the old { success, error } shape.
+ * Routes marked rawResponse (v1/openapi) answer with the handler's result as is.
+ */
+function createApiResponse_(match, result) {
+  let body;
+  if (match && match.route && match.route.rawResponse && result.success !== false) {
+    body = result;
+  } else if (match && match.legacy) {
+    const { errorCode, details, ...legacyResult } = result;
+    body = {
+      ...legacyResult,
+      ...(details || {}),
+      ...(result.success === false ? { code: getApiErrorCode_(result) } : {}),
+      ...(match.route ? { deprecation: `Deprecated - use ${match.route.method} ${match.route.path}` } : {})
+    };
+  } else if (result.success === false) {
+    const { success, error, message, errorCode, details, ...rest } = result;
+    const errorDetails = { ...rest, ...(details || {}) };
+    body = {
+      ok: false,
+      error: {
+        code: getApiErrorCode_(result),
+        message: String(error || message || 'Request failed'),
+        ...(Object.keys(errorDetails).length > 0 ? { details: errorDetails } : {})
+      }
+    };
+  } else {
+    const { success, ...data } = result;
+    body = { ok: true, data: data };
+  }
+  
+  return addCorsHeaders_(ContentService
+    .createTextOutput(JSON.stringify(body))
+    .setMimeType(ContentService.MimeType.JSON));
+}
+
+// Read pay period options from request parameters
+function getPayPeriodOptions_(params) {
+  return {
+    periodStart: params ? params.periodStart || null : null,
+    periodEnd: params ? params.periodEnd || null : null
+  };
+}
+
+// Read a commit selection from request parameters (staff names, MASTER rows and Adjustments rows)
+// JSON bodies send arrays, used as they are - names like "Smith, John" contain commas. Query strings are comma-separated.
+function getPaySelectionOptions_(params) {
+  const splitList = value => (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(item => item);
+  if (!params || (params.staff === undefined && params.rows === undefined && params.adjustments === undefined)) {
+    return null;
+  }
+  return {
+    staff: params.staff !== undefined ? splitList(params.staff) : null,
+    rows: params.rows !== undefined ? splitList(params.rows).map(Number) : null,
+    ...(params.adjustments !== undefined ? { adjustments: splitList(params.adjustments).map(Number) } : {})
+  };
+}
+
+// Read PDF export options from request parameters (&delivery=drive|dataUrl, &existingFileMode=replace|version)
+function getPdfExportOptions_(params) {
+  return {
+    delivery: params && params.delivery ? params.delivery : 'drive',
+    existingFileMode: params && params.existingFileMode ? params.existingFileMode : null
+  };
+}
+
+// Add CORS headers to allow cross-origin requests
+function addCorsHeaders_(response) {
+  // ContentService responses don't support setHeaders, so we return the response as-is
+  // CORS is handled at the web app deployment level in Google Apps Script
+  return response;
+}
+
+/**
+ * User roles in ascending order - each role can do everything the roles before it can
+ * viewer: previews, status, history and lookups; preparer: draft pay runs, PDF exports and aliases;
+ * approver: approve drafts, create, pay and void invoices; admin: debug log, permissions and API keys
+ */
+const PERMISSION_ROLES = ['viewer', 'preparer', 'approver', 'admin'];
+
+/**
+ * Permissions sheet columns (headers in row 1) - one row per Google account
+ */
+const PERMISSION_HEADERS = [
+  'Email',
+  'Role',
+  'Notes'
+];
+
+// API key roles and the user role each one acts as
+const API_KEY_ROLES = {
+  read: 'viewer',
+  invoicing: 'approver',
+  admin: 'admin'
+};
+const API_ROLES = Object.keys(API_KEY_ROLES);
+
+/**
+ * API Auth Log sheet columns (headers in row 1)
+ */
+const API_AUTH_LOG_HEADERS = [
+  'Timestamp',
+  'Action',
+  'Key ID',
+  'Required Role',
+  'Reason'
+];
+
+// The API key that authorised the current doGet/doPost request ({ keyId, label, role }), if any
+let REQUEST_AUTH = null;
+
+/**
+ * Check the API key of a web app request against the role its route needs
+ * Keys look like spk_<keyId>_<secret>; only a SHA-256 hash of the secret is stored in the
+ * API_KEYS script property. Failed attempts are written to the API Auth Log sheet.
+ * 
+ * @param {Object} route - Entry of API_ROUTES
+ * @param {string} apiKey - Key from the apiKey parameter (or POST body)
+ * @return {Object} { ok: true, auth } or { ok: false, code: 'UNAUTHORIZED'|'FORBIDDEN', error }
+ */
+function authorizeApiRequest_(route, apiKey) {
+  REQUEST_AUTH = null;
+  if (route.role === null) {
+    return { ok: true, auth: null };
+  }
+  
+  const action = `${route.method} ${route.path}`;
+  const requiredRole = route.role;
+  const reject = (reason, keyId, code = 'UNAUTHORIZED') => {
+    logApiAuthFailure_(action, keyId || '', requiredRole, reason);
+    return {
+      ok: false,
+      code: code,
+      error: reason === 'Missing API key' ? 'An API key is required for this action (apiKey parameter)'
+        : code === 'FORBIDDEN' ? `This API key cannot call ${action} (needs the ${requiredRole} role)` : 'Invalid API key'
+    };
+  };
+  
+  if (!apiKey) {
+    // Signed-in users can call the API with their Permissions sheet role instead of a key
+    if (hasRole_(getUserRole_(Session.getActiveUser().getEmail()), requiredRole)) {
+      return { ok: true, auth: null };
+    }
+    return reject('Missing API key');
+  }
+  const match = String(apiKey).match(/^spk_([0-9a-f]{8})_([0-9a-f]{32})$/);
+  if (!match) {
+    return reject('Malformed API key');
+  }
+  
+  const keys = getApiKeys_();
+  const key = keys[match[1]];
+  if (!key || key.revokedAt || key.hash !== computeHash_(match[2])) {
+    return reject(key && key.revokedAt ? 'Revoked API key' : 'Unknown API key', match[1]);
+  }
+  if (!hasRole_(API_KEY_ROLES[key.role], requiredRole)) {
+    return reject(`Role ${key.role} cannot call ${action}`, match[1], 'FORBIDDEN');
+  }
+  
+  REQUEST_AUTH = { keyId: match[1], label: key.label, role: key.role };
+  return { ok: true, auth: REQUEST_AUTH };
+}
+
+// Read the stored API keys: { keyId: { hash, role, label, createdAt, revokedAt } }
+// Private (trailing _) so the web page cannot call it through google.script.run
+function getApiKeys_() {
+  return JSON.parse(PropertiesService.getScriptProperties().getProperty('API_KEYS') || '{}');
+}
+
+/**
+ * Create an API key (run from the script editor)
+ * The key is only returned once - store it somewhere safe. Needs the admin role: like every global function it
+ * can also be called from the web page through google.script.run.
+ * 
+ * @param {string} role - 'read' (acts as viewer), 'invoicing' (approver) or 'admin'
+ * @param {string} label - Who or what uses the key, e.g. "Finance dashboard"
+ * @return {Object} { success, keyId, apiKey, role } or { success: false, error }
+ */
+function createApiKey(role, label) {
+  const denied = requireRole_('admin', 'create API keys');
+  if (denied) {
+    return denied;
+  }
+  
+  if (API_ROLES.indexOf(role) === -1) {
+    return { success: false, error: `Invalid role "${role}". Use ${API_ROLES.join(', ')}` };
+  }
+  
+  const keyId = Utilities.getUuid().replace(/-/g, '').slice(0, 8);
+  const secret = Utilities.getUuid().replace(/-/g, '');
+  const keys = getApiKeys_();
+  keys[keyId] = {
+    hash: computeHash_(secret),
+    role: role,
+    label: String(label || ''),
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  PropertiesService.getScriptProperties().setProperty('API_KEYS', JSON.stringify(keys));
+  
+  Logger.log(`Created ${role} API key ${keyId} (${label})`);
+  return { success: true, keyId: keyId, apiKey: `spk_${keyId}_${secret}`, role: role };
+}
+
+// Revoke an API key by its key ID (the part after spk_)
+function revokeApiKey(keyId) {
+  const denied = requireRole_('admin', 'revoke API keys');
+  if (denied) {
+    return denied;
+  }
+  
+  const keys = getApiKeys_();
+  if (!keys[keyId]) {
+    return { success: false, error: `API key ${keyId} not found` };
+  }
+  keys[keyId].revokedAt = new Date().toISOString();
+  PropertiesService.getScriptProperties().setProperty('API_KEYS', JSON.stringify(keys));
+  return { success: true, message: `API key ${keyId} revoked` };
+}
+
+// List API keys without their hashes (admin only)
+function listApiKeys() {
+  const denied = requireRole_('admin', 'list API keys');
+  if (denied) {
+    return denied;
+  }
+  
+  const keys = getApiKeys_();
+  return Object.keys(keys).map(keyId => ({
+    keyId: keyId,
+    role: keys[keyId].role,
+    label: keys[keyId].label,
+    createdAt: keys[keyId].createdAt,
+    revokedAt: keys[keyId].revokedAt || null
+  }));
+}
+
+// Who is making the current request - the signed-in user, or api:<label> for API key requests
+function getRequestUser_() {
+  const email = Session.getActiveUser().getEmail();
+  if (email) {
+    return email;
+  }
+  return REQUEST_AUTH ? `api:${REQUEST_AUTH.label || REQUEST_AUTH.keyId}` : '';
+}
+
+// Permissions sheet roles by lower-case email, read once per execution
+let PERMISSIONS_CACHE = null;
+
+/**
+ * Read the Permissions sheet: { email: role }
+ * The sheet is created on first use with the script owner as admin, so someone can grant roles.
+ * Rows with an unknown role are ignored (and logged).
+ */
+function getPermissions_() {
+  if (PERMISSIONS_CACHE) {
+    return PERMISSIONS_CACHE;
+  }
+  
+  let sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Permissions');
+  if (!sheet) {
+    sheet = getOrCreateSheet_('Permissions', PERMISSION_HEADERS);
+    const owner = Session.getEffectiveUser().getEmail();
+    if (owner) {
+      sheet.appendRow([owner, 'admin', 'Script owner - added when the sheet was created']);
+    }
+  }
+  
+  const permissions = {};
+  const data = sheet.getDataRange().getValues();
+  const emailIndex = data[0].indexOf('Email');
+  const roleIndex = data[0].indexOf('Role');
+  for (let i = 1; i < data.length; i++) {
+    const email = String(data[i][emailIndex] || '').trim().toLowerCase();
+    const role = String(data[i][roleIndex] || '').trim().toLowerCase();
+    if (!email) {
+      continue;
+    }
+    if (PERMISSION_ROLES.indexOf(role) === -1) {
+      Logger.log(`Permissions row ${i + 1}: unknown role "${data[i][roleIndex]}" for ${email} - ignored`);
+      continue;
+    }
+    permissions[email] = role;
+  }
+  
+  PERMISSIONS_CACHE = permissions;
+  return permissions;
+}
+
+// Permissions sheet role of an email, or null if the account has none
+function getUserRole_(email) {
+  if (!email) {
+    return null;
+  }
+  return getPermissions_()[String(email).trim().toLowerCase()] || null;
+}
+
+// Whether a role is at least minRole
+function hasRole_(role, minRole) {
+  return PERMISSION_ROLES.indexOf(role) !== -1 && PERMISSION_ROLES.indexOf(role) >= PERMISSION_ROLES.indexOf(minRole);
+}
+
+/**
+ * Who is making the current request and what they may do
+ * API requests authorised by a key use the key's role; everything else uses the Permissions sheet role
+ * of Session.getActiveUser(). The web app runs as the deployer, so Google only reveals the visitor's
+ * email to accounts in the deployer's Workspace domain - other visitors have no role.
+ * 
+ * @return {Object} { user, role, roles } - role is null when the user has no access
+ */
+function getCurrentAccess_() {
+  if (REQUEST_AUTH) {
+    return { user: getRequestUser_(), role: API_KEY_ROLES[REQUEST_AUTH.role], roles: PERMISSION_ROLES };
+  }
+  const email = Session.getActiveUser().getEmail();
+  return { user: email, role: getUserRole_(email), roles: PERMISSION_ROLES };
+}
+
+/**
+ * Check the current user (or API key) has at least minRole before acting
+ * 
+ * @param {string} minRole - 'viewer', 'preparer', 'approver' or 'admin'
+ * @param {string} actionLabel - What the caller is about to do, e.g. "create invoices"
+ * @return {Object|null} null when allowed, otherwise a { success: false, error, permissionDenied } result
+ */
+function requireRole_(minRole, actionLabel) {
+  const access = getCurrentAccess_();
+  if (hasRole_(access.role, minRole)) {
+    return null;
+  }
+  
+  Logger.log(`Permission denied: ${access.user || 'unknown user'} (${access.role || 'no role'}) tried to ${actionLabel}`);
+  return {
+    success: false,
+    error: `Permission denied: you need the ${minRole} role to ${actionLabel}` +
+      (access.user ? ` (${access.user} is ${access.role || 'not on the Permissions sheet'})` : ' (your Google account could not be identified)'),
+    permissionDenied: true
+  };
+}
+
+// Record a rejected API request - logging never fails the request itself
+function logApiAuthFailure_(action, keyId, requiredRole, reason) {
+  try {
+    const sheet = getOrCreateSheet_('API Auth Log', API_AUTH_LOG_HEADERS);
+    sheet.appendRow([new Date(), String(action || ''), keyId, requiredRole, reason]);
+  } catch (error) {
+    Logger.log('Could not log API auth failure: ' + error.toString());
+  }
+}
+
+/**
+ * Creates the web app HTML interface
+ * Provides a user-friendly interface for external consumers
+ * Buttons the visitor's Permissions sheet role does not allow are disabled
+ */
+function createWebAppInterface_() {
+  const accessJson = JSON.stringify(getCurrentAccess_()).replace(/</g, '\\u003c');
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Staff Pay Calculator</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>
+    body {
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background-color: #f5f7fa;
+    }
+    .container {
+      background: white;
+      border-radius: 8px;
+      padding: 30px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+    }
+    h1 {
+      color: #2c3e50;
+      text-align: center;
+      margin-bottom: 30px;
+    }
+    .action-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+      gap: 20px;
+      margin-bottom: 30px;
+    }
+    .action-card {
+      border: 1px solid #e1e8ed;
+      border-radius: 8px;
+      padding: 20px;
+      text-align: center;
+      transition: transform 0.2s, box-shadow 0.2s;
+    }
+    .action-card:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 4px 15px rgba(0,0,0,0.1);
+    }
+    .btn {
+      background: #3498db;
+      color: white;
+      border: none;
+      padding: 12px 24px;
+      border-radius: 5px;
+      cursor: pointer;
+      font-size: 16px;
+      transition: background-color 0.3s;
+      margin: 5px;
+    }
+    .btn:hover {
+      background: #2980b9;
+    }
+    .btn-success {
+      background: #27ae60;
+    }
+    .btn-success:hover {
+      background: #229954;
+    }
+    .btn-warning {
+      background: #f39c12;
+    }
+    .btn-warning:hover {
+      background: #e67e22;
+    }
+    .btn-info {
+      background: #8e44ad;
+    }
+    .btn-info:hover {
+      background: #7d3c98;
+    }
+    .btn:disabled {
+      background: #bdc3c7;
+      cursor: not-allowed;
+    }
+    .access-note {
+      color: #7f8c8d;
+      font-size: 13px;
+      margin-top: -10px;
+    }
+    .results {
+      margin-top: 20px;
+      padding: 20px;
+      border-radius: 5px;
+      display: none;
+    }
+    .results.success {
+      background: #d4edda;
+      border: 1px solid #c3e6cb;
+      color: #155724;
+    }
+    .history-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+      background: white;
+    }
+    .history-table th, .history-table td {
+      border: 1px solid #e1e8ed;
+      padding: 6px 8px;
+      text-align: left;
+      vertical-align: top;
+    }
+    .history-table th {
+      background: #f8f9fa;
+    }
+    .results.error {
+      background: #f8d7da;
+      border: 1px solid #f5c6cb;
+      color: #721c24;
+    }
+    .validation-gate {
+      margin: 15px 0;
+      padding: 10px 15px;
+      border: 1px solid #f5c6cb;
+      border-radius: 5px;
+      background: #f8d7da;
+      color: #721c24;
+    }
+    .loading {
+      display: none;
+      text-align: center;
+      padding: 20px;
+    }
+    .spinner {
+      border: 4px solid #f3f3f3;
+      border-top: 4px solid #3498db;
+      border-radius: 50%;
+      width: 40px;
+      height: 40px;
+      animation: spin 1s linear infinite;
+      margin: 0 auto 10px;
+    }
+    @keyframes spin {
+      0% { transform: rotate(0deg); }
+      100% { transform: rotate(360deg); }
+    }
+    pre {
+      background: #f8f9fa;
+      padding: 15px;
+      border-radius: 5px;
+      overflow-x: auto;
+      white-space: pre-wrap;
+    }
+    .api-docs {
+      margin-top: 40px;
+      padding: 20px;
+      background: #f8f9fa;
+      border-radius: 8px;
+    }
+    .api-docs h3 {
+      color: #2c3e50;
+      margin-top: 0;
+    }
+    .endpoint {
+      background: white;
+      padding: 10px;
+      margin: 10px 0;
+      border-left: 4px solid #3498db;
+      border-radius: 4px;
+    }
+    code {
+      background: #e9ecef;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-family: 'Courier New', monospace;
+    }
+    input[type="text"], input[type="number"] {
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      font-size: 14px;
+      box-sizing: border-box;
+    }
+    input[type="text"]:focus, input[type="number"]:focus {
+      outline: none;
+      border-color: #3498db;
+      box-shadow: 0 0 5px rgba(52, 152, 219, 0.3);
+    }
+    .period-bar {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 10px;
+      margin-bottom: 20px;
+      padding: 15px 20px;
+      border: 1px solid #e1e8ed;
+      border-radius: 8px;
+    }
+    .period-bar input[type="date"] {
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      font-size: 14px;
+      padding: 6px;
+    }
+    .period-bar .hint {
+      color: #7f8c8d;
+      font-size: 13px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Staff Pay Calculator</h1>
+    <p class="access-note" id="accessNote"></p>
+    
+    <div class="period-bar">
+      <strong>Pay Period</strong>
+      <label>From <input type="date" id="periodStart" onchange="clearSnapshot()"></label>
+      <label>To <input type="date" id="periodEnd" onchange="clearSnapshot()"></label>
+      <span class="hint">Only tasks with a Done Date in this range are paid; leave blank to include all unpaid work</span>
+    </div>
+    
+    <div class="action-grid">
+      <div class="action-card">
+        <h3>Preview Payments</h3>
         <p>Review payment calculations without creating invoices</p>
-        <button class="btn" onclick="previewPayments()">Preview</button>
+        <button class="btn" onclick="previewPayments()" data-role="viewer">Preview</button>
+      </div>
+      
+      <div class="action-card">
+        ${isApprovalRequired_() ? `<h3>Submit for Approval</h3>
+        <p>Send the tasks ticked in the last preview to an approver as a draft pay run</p>
+        <button class="btn btn-success" onclick="submitDraft()" data-role="preparer">Submit Draft</button>` : `<h3>Create Invoices from Preview</h3>
+        <p>Invoice exactly the tasks shown in the last preview</p>
+        <button class="btn btn-success" onclick="calculatePayments()" data-role="approver">Execute</button>`}
+      </div>
+      
+      <div class="action-card">
+        <h3>Draft Runs</h3>
+        <p>Drafts waiting for approval, and who approved or rejected earlier drafts</p>
+        <button class="btn btn-info" onclick="showDraftRuns()" data-role="viewer">Drafts</button>
+      </div>
+      
+      <div class="action-card">
+        <h3>Check Status</h3>
+        <p>View current status and unpaid task count</p>
+        <button class="btn btn-warning" onclick="checkStatus()" data-role="viewer">Status</button>
+      </div>
+      
+      <div class="action-card">
+        <h3>Pay Run History</h3>
+        <p>Audit previous pay runs: who ran them, period, totals and errors</p>
+        <button class="btn btn-info" onclick="showPayRunHistory()" data-role="viewer">History</button>
+      </div>
+      
+      <div class="action-card">
+        <h3>Debug Information</h3>
+        <p>View debug logs for troubleshooting</p>
+        <button class="btn btn-info" onclick="getDebugLog()" data-role="admin">Debug</button>
       </div>
       
-      <div class="action-card">
-        <h3>Calculate & Create Invoices</h3>
-        <p>Calculate payments and create invoices in the spreadsheet</p>
-        <button class="btn btn-success" onclick="calculatePayments()">Execute</button>
-      </div>
+      <div class="action-card">
+        <h3>Test Connection</h3>
+        <p>Test basic API connectivity</p>
+        <button class="btn" onclick="testConnection()">Test</button>
+      </div>
+      
+      
+      <div class="action-card">
+        <h3>Export Latest Invoice</h3>
+        <p>Export the most recently created invoice as PDF</p>
+        <button class="btn btn-warning" onclick="exportLatestInvoice()" data-role="preparer">Export PDF</button>
+      </div>
+      
+      <div class="action-card">
+        <h3>Export Invoice by Number</h3>
+        <p>Export specific invoice by invoice number</p>
+        <input type="text" id="invoiceNumber" placeholder="Invoice Number" style="width: 100%; margin-bottom: 10px; padding: 8px;">
+        <button class="btn btn-warning" onclick="exportInvoiceByNumber()" data-role="preparer">Export PDF</button>
+        <button class="btn btn-warning" onclick="generateInvoiceDocuments()" data-role="preparer">Contractor PDFs</button>
+      </div>
+      
+      <div class="action-card">
+        <h3>Mark Invoice as Paid</h3>
+        <p>Record payment for every task on an invoice (or one contractor)</p>
+        <input type="text" id="paidInvoiceNumber" placeholder="Invoice Number" style="width: 100%; margin-bottom: 10px; padding: 8px;">
+        <input type="text" id="paidContractor" placeholder="Contractor (optional)" style="width: 100%; margin-bottom: 10px; padding: 8px;">
+        <input type="text" id="paymentMethod" placeholder="Payment Method" value="Bank Transfer" style="width: 100%; margin-bottom: 10px; padding: 8px;">
+        <button class="btn btn-success" onclick="markInvoicePaid()" data-role="approver">Mark Paid</button>
+      </div>
+      
+      <div class="action-card">
+        <h3>Void Invoice</h3>
+        <p>Void an invoice and release its tasks back to unpaid</p>
+        <input type="text" id="voidInvoiceNumber" placeholder="Invoice Number" style="width: 100%; margin-bottom: 10px; padding: 8px;">
+        <input type="text" id="voidReason" placeholder="Reason" style="width: 100%; margin-bottom: 10px; padding: 8px;">
+        <button class="btn btn-warning" onclick="voidInvoice()" data-role="approver">Void</button>
+      </div>
+      
+      <div class="action-card">
+        <h3>Export Recent Invoices</h3>
+        <p>Export invoices from the last N days</p>
+        <input type="number" id="daysBack" placeholder="Days back (default: 30)" value="30" style="width: 100%; margin-bottom: 10px; padding: 8px;">
+        <button class="btn btn-warning" onclick="exportRecentInvoices()" data-role="preparer">Export PDF</button>
+      </div>
+    </div>
+    
+    <div class="loading" id="loading">
+      <div class="spinner"></div>
+      <div>Processing request...</div>
+    </div>
+    
+    <div class="results" id="results"></div>
+    
+    <div class="api-docs">
+      <h3>API Documentation</h3>
+      <p>This web app provides both a user interface and programmatic API access under <code>[web app url]/v1/...</code>:
+      reads are GET requests with query parameters, changes are POST requests with a JSON body. Parameters are checked
+      against each route before it runs.</p>
+      <p>API requests need an <code>apiKey=[key]</code> parameter (POST: <code>"apiKey"</code> in the JSON body), except
+      <code>v1/test</code> and <code>v1/openapi</code>. <strong>read</strong> keys act as viewers (preview and look up), <strong>invoicing</strong> keys
+      as approvers (also export, create, pay and void invoices), <strong>admin</strong> keys can do everything. Keys are created with
+      <code>createApiKey(role, label)</code> in the script editor. Signed-in users with a role on the Permissions sheet need no key.</p>
+      <p>Every v1 response is <code>{ "ok": true, "data": ... }</code> or
+      <code>{ "ok": false, "error": { "code", "message", "details" } }</code>. The full description, with parameter and
+      response schemas for generating a client, is served as an OpenAPI 3 document by <code>GET v1/openapi</code>.</p>
+      ${renderApiDocsHtml_()}
+      
+      <p><em>Deprecated:</em> the older <code>?action=preview</code>, <code>?action=commit</code>, <code>?action=calculatePay</code> ... names
+      (and <code>{ "function": ... }</code> POST bodies) still work as aliases of these routes in their old response shape,
+      with a <code>deprecation</code> note naming the route to move to. Names for routes that change data
+      (<code>commit</code>, <code>markPaid</code>, <code>voidInvoice</code> ...) must be sent as POST; over GET they
+      answer <code>METHOD_NOT_ALLOWED</code>. <code>?action=exportLatestInvoice</code> and <code>?action=exportInvoicePDF</code>
+      still work over GET and always return a data URL.</p>
+      <p><strong>Breaking change:</strong> <code>GET ?action=calculatePay</code> no longer invoices - it answers
+      <code>METHOD_NOT_ALLOWED</code>. Send <code>{ "function": "calculatePay" }</code> as POST, or use
+      <code>POST v1/runs/calculate</code>.</p>
+      
+      <h4>Direct Function Calls (Google Apps Script)</h4>
+      <p>You can also call these functions directly:</p>
+      <ul>
+        <li><code>calculateStaffPay({ periodStart, periodEnd })</code> - Returns payment calculation results</li>
+        <li><code>createInvoicesAndMark(workLogData, payments, { idempotencyKey })</code> - Creates invoices (locked, safe to retry)</li>
+        <li><code>commitPayRunSnapshot(token, { selection: { staff, rows, adjustments } })</code> - Invoices the previewed rows, or only the selected staff/rows</li>
+        <li><code>createDraftRun(token, { selection })</code> / <code>getDraftRuns({ status, limit })</code> - Draft pay runs awaiting approval</li>
+        <li><code>approveDraftRun(draftId, comment, { force })</code> / <code>rejectDraftRun(draftId, comment)</code> - Review a draft (approver)</li>
+        <li><code>markInvoiceAsPaid(invoiceNumber, { contractor, paymentMethod, paidDate })</code> - Marks invoiced work as paid</li>
+        <li><code>getInvoiceTasks(invoiceNumber)</code> / <code>getTaskInvoice(rowIndex)</code> - Invoice and task lookups</li>
+        <li><code>getInvoiceLines(invoiceNumber)</code> - Itemised task and adjustment lines of an invoice</li>
+        <li><code>voidInvoice(invoiceNumber, reason)</code> - Voids an invoice and releases its tasks</li>
+        <li><code>generateInvoiceDocuments(invoiceNumber)</code> - One PDF per contractor saved to Drive, returns a manifest</li>
+        <li><code>getPayRuns({ limit, since, until })</code> - Pay run history</li>
+        <li><code>getUnpaidWorkFromMaster()</code> - Gets unpaid work data</li>
+        <li><code>getPayConfiguration()</code> - Gets pay rates</li>
+        <li><code>getStaffRegistry()</code> - Full contractor profiles (aliases, email, bank, currency, tax, active) with validation</li>
+        <li><code>getStaffMapping()</code> - Gets staff mappings</li>
+        <li><code>saveStaffAlias(alias, staffKey)</code> / <code>saveTaskTypeAlias(alias, taskType)</code> - Resolve an unmatched value next time</li>
+      </ul>
+    </div>
+  </div>
+
+  <script>
+    // The visitor's role from the Permissions sheet - { user, role, roles }
+    const userAccess = ${accessJson};
+    // Invoices are only created by approving a draft pay run
+    const approvalRequired = ${isApprovalRequired_()};
+    
+    function canDo(minRole) {
+      return userAccess.role !== null && userAccess.roles.indexOf(userAccess.role) >= userAccess.roles.indexOf(minRole);
+    }
+    
+    // Disable the buttons the visitor's role doesn't allow (the server checks again on every call)
+    function applyPermissions() {
+      document.querySelectorAll('[data-role]').forEach(function(button) {
+        if (!canDo(button.getAttribute('data-role'))) {
+          button.disabled = true;
+          button.title = 'Needs the ' + button.getAttribute('data-role') + ' role';
+        }
+      });
+      document.getElementById('accessNote').textContent = userAccess.user
+        ? 'Signed in as ' + userAccess.user + ' (' + (userAccess.role || 'no access - ask an admin to add you to the Permissions sheet') + ')'
+        : 'Your Google account could not be identified, so actions are disabled';
+    }
+    
+    function showLoading() {
+      document.getElementById('loading').style.display = 'block';
+      document.getElementById('results').style.display = 'none';
+    }
+    
+    function hideLoading() {
+      document.getElementById('loading').style.display = 'none';
+    }
+    
+    function showResults(content, isError = false) {
+      const resultsDiv = document.getElementById('results');
+      resultsDiv.innerHTML = content;
+      resultsDiv.className = 'results ' + (isError ? 'error' : 'success');
+      resultsDiv.style.display = 'block';
+      hideLoading();
+    }
+    
+    function getPeriodOptions() {
+      return {
+        periodStart: document.getElementById('periodStart').value || null,
+        periodEnd: document.getElementById('periodEnd').value || null
+      };
+    }
+    
+    // Snapshot token of the last preview - Execute invoices exactly those tasks
+    let snapshotToken = null;
+    
+    function clearSnapshot() {
+      snapshotToken = null;
+    }
+    
+    function previewPayments() {
+      showLoading();
+      clearSnapshot();
+      console.log('Calling handleCalculatePayPreviewRequest with directReturn=true');
+      google.script.run
+        .withSuccessHandler(function(result) {
+          snapshotToken = result && result.success ? result.snapshotToken : null;
+          if (snapshotToken) {
+            renderPreview(result);
+          } else {
+            handleSuccess(result);
+          }
+        })
+        .withFailureHandler(handleFailure)
+        .handleCalculatePayPreviewRequest(true, getPeriodOptions());
+    }
+    
+    // Preview with a checkbox per staff member and task - Execute invoices only the ticked tasks
+    function renderPreview(result) {
+      let html = '<h3>Payment Preview</h3>' +
+        '<p>' + result.summary.totalTasks + ' tasks, ' + result.summary.totalStaff + ' staff, total ' +
+        formatTotals(result.summary) +
+        (result.summary.carriedOverTasks ? ' (' + result.summary.carriedOverTasks + ' carried over)' : '') +
+        (result.summary.blockedTasks ? ' - ' + result.summary.blockedTasks + ' blocked' : '') +
+        (result.summary.adjustmentCount ? ' - includes ' + result.summary.adjustmentCount + ' adjustments' : '') + '</p>' +
+        '<p>Untick staff or tasks to hold them back - they stay unpaid for a later run.</p>' +
+        '<table class="history-table"><tr><th></th><th>Staff / Task</th><th>Done Date</th><th>MASTER Row</th><th>Amount</th></tr>';
+      Object.keys(result.payments).forEach(function(staffName) {
+        const payment = result.payments[staffName];
+        html += '<tr><th><input type="checkbox" class="staff-select" checked data-staff="' + escapeHtml(staffName) + '" onchange="toggleStaffSelection(this)"></th>' +
+          '<th colspan="3">' + escapeHtml(staffName) + (payment.hasMapping ? '' : ' (no legal name mapping)') + '</th>' +
+          '<th>' + formatMoney(payment.totalAmount, payment.currency) + '</th></tr>';
+        if (payment.tax && (payment.tax.tax || payment.tax.withholding)) {
+          html += '<tr><td></td><td colspan="3">Subtotal ' + formatMoney(payment.tax.subtotal, payment.currency) +
+            (payment.tax.tax ? ' + GST ' + Math.round(payment.tax.taxRate * 100) + '% ' + formatMoney(payment.tax.tax, payment.currency) : '') +
+            (payment.tax.withholding ? ' - withholding ' + Math.round(payment.tax.withholdingRate * 100) + '% ' + formatMoney(payment.tax.withholding, payment.currency) : '') +
+            '</td><td><strong>Net ' + formatMoney(payment.tax.netPayable, payment.currency) + '</strong></td></tr>';
+        }
+        payment.tasks.forEach(function(task) {
+          html += '<tr><td><input type="checkbox" class="task-select" checked value="' + task.rowIndex + '" data-staff="' + escapeHtml(staffName) + '"></td>' +
+            '<td>' + escapeHtml(task.taskType + ' - ' + task.league + ' ' + task.round + ' - ' + task.team1 + ' vs ' + task.team2) + '</td>' +
+            '<td>' + escapeHtml(task.doneDate) + '</td>' +
+            '<td>' + task.rowIndex + '</td>' +
+            '<td title="' + escapeHtml(task.rateSource) + '">' + formatMoney(task.rate, payment.currency) + '</td></tr>';
+        });
+        // Adjustments are invoiced with their staff member's ticked tasks - staff with no tasks tick the adjustments themselves
+        payment.adjustments.forEach(function(adjustment) {
+          const adjustmentBox = payment.tasks.length > 0 ? '' :
+            '<input type="checkbox" class="adjustment-select" checked value="' + adjustment.row + '" data-staff="' + escapeHtml(staffName) + '">';
+          html += '<tr><td>' + adjustmentBox + '</td><td colspan="2"><em>Adjustment: ' + escapeHtml(adjustment.reason || 'No reason given') + '</em></td>' +
+            '<td>Adjustments row ' + adjustment.row + '</td>' +
+            '<td>' + (adjustment.amount > 0 ? '+' : '') + formatMoney(adjustment.amount, payment.currency) + '</td></tr>';
+        });
+      });
+      html += '</table>';
+      if ((result.staffWarnings && result.staffWarnings.length > 0) || (result.registryErrors && result.registryErrors.length > 0)) {
+        html += '<h4>Staff registry warnings</h4><ul>';
+        result.staffWarnings.forEach(function(warning) {
+          html += '<li><strong>' + escapeHtml(warning.legalName) + '</strong> (registry row ' + warning.registryRow + '): ' +
+            escapeHtml(warning.issues.join('; ')) + '</li>';
+        });
+        result.registryErrors.forEach(function(error) {
+          html += '<li>' + escapeHtml(error) + '</li>';
+        });
+        html += '</ul>';
+      }
+      html += renderUnmatched(result.summary.errors);
+      if (result.summary.blockingErrors && result.summary.blockingErrors.length > 0) {
+        html += '<div class="validation-gate"><h4>Invoicing blocked</h4><ul>';
+        result.summary.blockingErrors.forEach(function(error) {
+          html += '<li>' + escapeHtml(error) + '</li>';
+        });
+        html += '</ul><p>Fix these and preview again, untick the affected tasks, or ' +
+          (approvalRequired ? 'submit the draft anyway - the approver decides whether to invoice it.' :
+            '<label><input type="checkbox" id="forceInvoice"> invoice anyway (recorded as forced in the Pay Runs log)</label>') + '</p></div>';
+      }
+      if (result.blocked && result.blocked.length > 0) {
+        html += '<h4>Blocked (not payable yet)</h4><table class="history-table"><tr><th>MASTER Row</th><th>Staff</th><th>Task</th><th>QA</th><th>Reason</th></tr>';
+        result.blocked.forEach(function(task) {
+          html += '<tr><td>' + task.rowIndex + '</td>' +
+            '<td>' + escapeHtml(task.staffName) + '</td>' +
+            '<td>' + escapeHtml(task.taskType + ' - ' + task.league + ' ' + task.round + ' - ' + task.team1 + ' vs ' + task.team2) + '</td>' +
+            '<td>' + escapeHtml(task.qa) + '</td>' +
+            '<td>' + escapeHtml(task.reasons.join('; ')) + '</td></tr>';
+        });
+        html += '</table>';
+      }
+      html += '<details><summary>Full response</summary><pre>' + escapeHtml(JSON.stringify(result, null, 2)) + '</pre></details>';
+      showResults(html);
+    }
+    
+    // Unmatched staff keys and task types, with a button to save each suggestion as an alias
+    function renderUnmatched(errors) {
+      if (!errors || (errors.unmatchedStaffKeys.length === 0 && errors.unmatchedTaskTypes.length === 0)) {
+        return '';
+      }
+      let html = '<h4>Unmatched staff keys and task types</h4><table class="history-table"><tr><th>Value</th><th>Did you mean</th></tr>';
+      [['staff', errors.unmatchedStaffKeys, errors.suggestions.staffKeys], ['taskType', errors.unmatchedTaskTypes, errors.suggestions.taskTypes]].forEach(function(group) {
+        group[1].forEach(function(value) {
+          const suggestions = group[2][value] || [];
+          html += '<tr><td>' + (group[0] === 'staff' ? 'Staff key ' : 'Task type ') + '"' + escapeHtml(value) + '"</td><td>';
+          html += suggestions.length === 0 ? 'No close match - add it to ' + (group[0] === 'staff' ? 'the staff registry' : 'Pay Config') :
+            !canDo('preparer') ? escapeHtml(suggestions.join(', ')) :
+            suggestions.map(function(suggestion) {
+              return '<button data-kind="' + group[0] + '" data-alias="' + escapeHtml(value) + '" data-target="' + escapeHtml(suggestion) + '" onclick="saveAlias(this)">' +
+                escapeHtml(suggestion) + '</button>';
+            }).join(' ');
+          html += '</td></tr>';
+        });
+      });
+      return html + '</table>';
+    }
+    
+    // Save the unmatched value as an alias, then preview again so it resolves
+    function saveAlias(button) {
+      const alias = button.getAttribute('data-alias');
+      const target = button.getAttribute('data-target');
+      if (!confirm('Always pay "' + alias + '" as "' + target + '"?')) {
+        return;
+      }
+      showLoading();
+      const runner = google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            previewPayments();
+          } else {
+            showResults('<h3>Alias not saved</h3><p>' + escapeHtml(result.error) + '</p>', true);
+          }
+        })
+        .withFailureHandler(handleFailure);
+      if (button.getAttribute('data-kind') === 'staff') {
+        runner.saveStaffAlias(alias, target);
+      } else {
+        runner.saveTaskTypeAlias(alias, target);
+      }
+    }
+    
+    function formatMoney(amount, currency) {
+      try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency }).format(amount);
+      } catch (e) {
+        return amount.toLocaleString() + ' ' + currency;
+      }
+    }
+    
+    // Per-currency totals, plus the base currency equivalent when there is more than one currency
+    function formatTotals(summary) {
+      const currencies = Object.keys(summary.totalsByCurrency || {});
+      const parts = currencies.map(function(currency) {
+        return formatMoney(summary.totalsByCurrency[currency], currency);
+      });
+      currencies.forEach(function(currency) {
+        const breakdown = summary.taxByCurrency && summary.taxByCurrency[currency];
+        if (breakdown && (breakdown.tax || breakdown.withholding)) {
+          parts.push('net payable ' + formatMoney(breakdown.netPayable, currency));
+        }
+      });
+      if (currencies.length > 1) {
+        parts.push(summary.baseCurrencyTotal !== null
+          ? '≈ ' + formatMoney(summary.baseCurrencyTotal, summary.baseCurrency)
+          : 'no ' + summary.baseCurrency + ' total - missing exchange rates for ' + summary.missingExchangeRates.join(', '));
+      }
+      return parts.join(' + ');
+    }
+    
+    function toggleStaffSelection(checkbox) {
+      document.querySelectorAll('.task-select, .adjustment-select').forEach(function(taskBox) {
+        if (taskBox.getAttribute('data-staff') === checkbox.getAttribute('data-staff')) {
+          taskBox.checked = checkbox.checked;
+        }
+      });
+    }
+    
+    function getPreviewSelection() {
+      const rows = [];
+      document.querySelectorAll('.task-select').forEach(function(taskBox) {
+        if (taskBox.checked) {
+          rows.push(Number(taskBox.value));
+        }
+      });
+      const adjustments = [];
+      document.querySelectorAll('.adjustment-select').forEach(function(adjustmentBox) {
+        if (adjustmentBox.checked) {
+          adjustments.push(Number(adjustmentBox.value));
+        }
+      });
+      return { rows: rows, adjustments: adjustments };
+    }
+    
+    function calculatePayments() {
+      if (!snapshotToken || !document.querySelector('.task-select, .adjustment-select')) {
+        showResults('<strong>Error:</strong> Preview the payments first - Execute invoices exactly what the preview showed', true);
+        return;
+      }
+      const selection = getPreviewSelection();
+      if (selection.rows.length === 0 && selection.adjustments.length === 0) {
+        showResults('<strong>Error:</strong> No tasks are ticked in the preview', true);
+        return;
+      }
+      const forceBox = document.getElementById('forceInvoice');
+      const force = !!(forceBox && forceBox.checked);
+      if (confirm('This will create invoices for ' + selection.rows.length + ' ticked tasks and mark them as invoiced' +
+          (force ? ' despite the blocking errors' : '') + '. Continue?')) {
+        showLoading();
+        // The token doubles as the idempotency key, so a double-click replays the same run
+        google.script.run
+          .withSuccessHandler(function(result) {
+            if (result && result.success) {
+              clearSnapshot();
+            }
+            if (result && result.requiresForce) {
+              showResults('<strong>Error:</strong> ' + escapeHtml(result.error) + '<ul>' +
+                result.validationErrors.map(function(error) { return '<li>' + escapeHtml(error) + '</li>'; }).join('') + '</ul>', true);
+              return;
+            }
+            handleSuccess(result);
+          })
+          .withFailureHandler(handleFailure)
+          .commitPayRunSnapshot(snapshotToken, { source: 'web', selection: selection, force: force });
+      }
+    }
+    
+    function submitDraft() {
+      if (!snapshotToken || !document.querySelector('.task-select, .adjustment-select')) {
+        showResults('<strong>Error:</strong> Preview the payments first - the draft contains exactly what the preview showed', true);
+        return;
+      }
+      const selection = getPreviewSelection();
+      if (selection.rows.length === 0 && selection.adjustments.length === 0) {
+        showResults('<strong>Error:</strong> No tasks are ticked in the preview', true);
+        return;
+      }
+      if (confirm('Submit ' + selection.rows.length + ' ticked tasks as a draft pay run for approval?')) {
+        showLoading();
+        google.script.run
+          .withSuccessHandler(function(result) {
+            if (result && result.success) {
+              clearSnapshot();
+              showDraftRuns();
+              return;
+            }
+            handleSuccess(result);
+          })
+          .withFailureHandler(handleFailure)
+          .createDraftRun(snapshotToken, { selection: selection });
+      }
+    }
+    
+    function showDraftRuns() {
+      showLoading();
+      google.script.run
+        .withSuccessHandler(renderDraftRuns)
+        .withFailureHandler(handleFailure)
+        .getDraftRuns({ limit: 50 });
+    }
+    
+    // Draft pay runs with their per-staff breakdown - approvers get Approve / Reject on pending drafts
+    function renderDraftRuns(result) {
+      if (!result || !result.success) {
+        showResults('<strong>Error:</strong> ' + escapeHtml(result ? result.error : 'No response'), true);
+        return;
+      }
+      if (result.drafts.length === 0) {
+        showResults('No draft pay runs yet.');
+        return;
+      }
+      
+      let html = '<h3>Draft Runs</h3><table class="history-table"><tr>' +
+        '<th>Draft ID</th><th>Created</th><th>Prepared By</th><th>Period</th><th>Staff Breakdown</th><th>Total</th>' +
+        '<th>Status</th><th>Reviewed By</th><th>Comment</th><th>Invoice</th><th></th></tr>';
+      result.drafts.forEach(function(draft) {
+        const breakdown = draft.staff.map(function(entry) {
+          return escapeHtml(entry.staffName) + ': ' + entry.taskCount + ' tasks' +
+            (entry.adjustmentCount ? ', ' + entry.adjustmentCount + ' adjustments' : '') + ' - ' + formatMoney(entry.total, entry.currency);
+        }).join('<br>');
+        const reviewable = draft.status === 'Pending' && canDo('approver') && draft.preparedBy !== userAccess.user;
+        html += '<tr>' +
+          '<td>' + escapeHtml(draft.draftId) + '</td>' +
+          '<td>' + escapeHtml(draft.createdAt ? new Date(draft.createdAt).toLocaleString() : '') + '</td>' +
+          '<td>' + escapeHtml(draft.preparedBy) + '</td>' +
+          '<td>' + escapeHtml((draft.periodStart || '…') + ' to ' + (draft.periodEnd || '…')) + '</td>' +
+          '<td>' + breakdown + '</td>' +
+          '<td>' + escapeHtml(draft.totals) + '</td>' +
+          '<td>' + escapeHtml(draft.status) + (draft.error ? '<br><small>' + escapeHtml(draft.error) + '</small>' : '') + '</td>' +
+          '<td>' + escapeHtml(draft.reviewedBy) + '</td>' +
+          '<td>' + escapeHtml(draft.reviewComment) + '</td>' +
+          '<td>' + escapeHtml(draft.invoiceNumber) + '</td>' +
+          '<td>' + (reviewable
+            ? '<button data-draft="' + escapeHtml(draft.draftId) + '" onclick="approveDraft(this)">Approve</button> ' +
+              '<button data-draft="' + escapeHtml(draft.draftId) + '" onclick="rejectDraft(this)">Reject</button>'
+            : '') + '</td>' +
+          '</tr>';
+      });
+      html += '</table>';
+      showResults(html);
+    }
+    
+    function approveDraft(button) {
+      const draftId = button.getAttribute('data-draft');
+      const comment = prompt('Approve ' + draftId + ' and create its invoices. Comment (optional):', '');
+      if (comment === null) {
+        return;
+      }
+      runDraftApproval(draftId, comment, false);
+    }
+    
+    function runDraftApproval(draftId, comment, force) {
+      showLoading();
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result && result.requiresForce) {
+            if (confirm(result.error + '\\n\\n' + result.validationErrors.join('\\n') + '\\n\\nInvoice anyway? The run will be recorded as forced.')) {
+              runDraftApproval(draftId, comment, true);
+            } else {
+              hideLoading();
+            }
+            return;
+          }
+          handleSuccess(result);
+        })
+        .withFailureHandler(handleFailure)
+        .approveDraftRun(draftId, comment, { source: 'web', force: force });
+    }
+    
+    function rejectDraft(button) {
+      const draftId = button.getAttribute('data-draft');
+      const comment = prompt('Reason for rejecting ' + draftId + ':', '');
+      if (!comment) {
+        return;
+      }
+      showLoading();
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result && result.success) {
+            showDraftRuns();
+            return;
+          }
+          handleSuccess(result);
+        })
+        .withFailureHandler(handleFailure)
+        .rejectDraftRun(draftId, comment);
+    }
+    
+    function checkStatus() {
+      showLoading();
+      google.script.run
+        .withSuccessHandler(handleSuccess)
+        .withFailureHandler(handleFailure)
+        .handleStatusRequest(true);
+    }
+    
+    function getDebugLog() {
+      showLoading();
+      google.script.run
+        .withSuccessHandler(handleSuccess)
+        .withFailureHandler(handleFailure)
+        .handleDebugLogRequest(true);
+    }
+    
+    function testConnection() {
+      showLoading();
+      console.log('Calling simpleTest function');
+      google.script.run
+        .withSuccessHandler(handleSuccess)
+        .withFailureHandler(handleFailure)
+        .simpleTest();
+    }
+    
+    
+    function handleSuccess(result) {
+      console.log('handleSuccess called with result:', result);
+      console.log('Result type:', typeof result);
+      console.log('Result keys:', Object.keys(result || {}));
+      
+      // Check if result is null or undefined
+      if (!result) {
+        console.error('Result is null/undefined');
+        showResults('<strong>Error:</strong> Server function returned null. Check server-side logs.', true);
+        return;
+      }
+      
+      // Result should now be a direct object when using directReturn=true
+      if (result.error) {
+        console.log('Error found:', result.error);
+        showResults('<strong>Error:</strong> ' + result.error, true);
+      } else {
+        console.log('Attempting to JSON.stringify result...');
+        try {
+          const jsonString = JSON.stringify(result, null, 2);
+          console.log('JSON stringify successful, length:', jsonString.length);
+          showResults('<pre>' + jsonString + '</pre>');
+        } catch (e) {
+          console.error('JSON.stringify failed:', e);
+          showResults('<strong>JSON Error:</strong> Could not serialize result - ' + e.message, true);
+        }
+      }
+    }
+    
+    function handleFailure(error) {
+      console.error('handleFailure called with error:', error);
+      console.error('Error message:', error.message);
+      console.error('Error stack:', error.stack);
+      showResults('<strong>Request failed:</strong> ' + error.message, true);
+    }
+    
+    function exportLatestInvoice() {
+      showLoading();
+      google.script.run
+        .withSuccessHandler(handleExportResult)
+        .withFailureHandler(handleFailure)
+        .exportLatestInvoicePDF();
+    }
+    
+    // Exported PDFs are saved to Drive - link to the file rather than dumping the response
+    function handleExportResult(result) {
+      if (!result || !result.success || !result.url) {
+        handleSuccess(result);
+        return;
+      }
+      showResults('<h3>' + escapeHtml(result.message) + '</h3>' +
+        '<p><a href="' + escapeHtml(result.url) + '" target="_blank">Open ' + escapeHtml(result.fileName) + '</a>' +
+        ' (' + result.rowsExported + ' rows, saved in ' + escapeHtml(result.folderPath) +
+        (result.replacedFileIds.length > 0 ? ', replaced the previous export' : '') + ')</p>');
+    }
+    
+    function exportInvoiceByNumber() {
+      const invoiceNumber = document.getElementById('invoiceNumber').value.trim();
+      if (!invoiceNumber) {
+        showResults('<strong>Error:</strong> Please enter an invoice number', true);
+        return;
+      }
+      showLoading();
+      google.script.run
+        .withSuccessHandler(handleExportResult)
+        .withFailureHandler(handleFailure)
+        .exportInvoicesPDF(invoiceNumber, null);
+    }
+    
+    // One PDF per contractor, saved to the invoice Drive folder
+    function generateInvoiceDocuments() {
+      const invoiceNumber = document.getElementById('invoiceNumber').value.trim();
+      if (!invoiceNumber) {
+        showResults('<strong>Error:</strong> Please enter an invoice number', true);
+        return;
+      }
+      showLoading();
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (!result || !result.success) {
+            handleSuccess(result);
+            return;
+          }
+          let html = '<h3>' + escapeHtml(result.message) + '</h3>' +
+            '<p><a href="' + escapeHtml(result.folder.url) + '" target="_blank">Open invoice folder</a></p>' +
+            '<table class="history-table"><tr><th>Invoice</th><th>Contractor</th><th>Tasks</th><th>Net Payable</th><th>File</th></tr>';
+          result.files.forEach(function(file) {
+            html += '<tr><td>' + escapeHtml(file.invoiceNumber) + '</td>' +
+              '<td>' + escapeHtml(file.contractor) + '</td>' +
+              '<td>' + file.taskCount + (file.adjustmentCount ? ' + ' + file.adjustmentCount + ' adjustments' : '') + '</td>' +
+              '<td>' + formatMoney(file.netPayable, file.currency) + (file.rateMismatch ? ' (rates changed since invoicing)' : '') + '</td>' +
+              '<td><a href="' + escapeHtml(file.url) + '" target="_blank">' + escapeHtml(file.fileName) + '</a></td></tr>';
+          });
+          html += '</table>';
+          showResults(html);
+        })
+        .withFailureHandler(handleFailure)
+        .generateInvoiceDocuments(invoiceNumber);
+    }
+    
+    function markInvoicePaid() {
+      const invoiceNumber = document.getElementById('paidInvoiceNumber').value.trim();
+      const paymentMethod = document.getElementById('paymentMethod').value.trim();
+      if (!invoiceNumber || !paymentMethod) {
+        showResults('<strong>Error:</strong> Please enter an invoice number and payment method', true);
+        return;
+      }
+      if (confirm('Mark every invoiced task on ' + invoiceNumber + ' as paid?')) {
+        showLoading();
+        google.script.run
+          .withSuccessHandler(handleSuccess)
+          .withFailureHandler(handleFailure)
+          .markInvoiceAsPaid(invoiceNumber, {
+            contractor: document.getElementById('paidContractor').value.trim() || null,
+            paymentMethod: paymentMethod
+          });
+      }
+    }
+    
+    function voidInvoice() {
+      const invoiceNumber = document.getElementById('voidInvoiceNumber').value.trim();
+      const reason = document.getElementById('voidReason').value.trim();
+      if (!invoiceNumber || !reason) {
+        showResults('<strong>Error:</strong> Please enter an invoice number and a reason', true);
+        return;
+      }
+      if (confirm('Void ' + invoiceNumber + ' and release its tasks back to unpaid?')) {
+        showLoading();
+        google.script.run
+          .withSuccessHandler(handleSuccess)
+          .withFailureHandler(handleFailure)
+          .voidInvoice(invoiceNumber, reason);
+      }
+    }
+    
+    function escapeHtml(value) {
+      return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    }
+    
+    function showPayRunHistory() {
+      showLoading();
+      google.script.run
+        .withSuccessHandler(renderPayRunHistory)
+        .withFailureHandler(handleFailure)
+        .getPayRuns({ limit: 50 });
+    }
+    
+    function renderPayRunHistory(result) {
+      if (!result || !result.success) {
+        showResults('<strong>Error:</strong> ' + escapeHtml(result ? result.error : 'No response'), true);
+        return;
+      }
+      if (result.runs.length === 0) {
+        showResults('No pay runs recorded yet.');
+        return;
+      }
+      
+      let html = '<h3>Pay Run History</h3><table class="history-table"><tr>' +
+        '<th>Run ID</th><th>Started</th><th>Triggered By</th><th>User</th><th>Period</th>' +
+        '<th>Tasks</th><th>Staff</th><th>Grand Total</th><th>Invoice</th><th>Status</th><th>Errors</th><th>Duration (s)</th></tr>';
+      result.runs.forEach(function(run) {
+        html += '<tr>' +
+          '<td>' + escapeHtml(run.runId) + '</td>' +
+          '<td>' + escapeHtml(run.startedAt ? new Date(run.startedAt).toLocaleString() : '') + '</td>' +
+          '<td>' + escapeHtml(run.triggeredBy) + '</td>' +
+          '<td>' + escapeHtml(run.user) + '</td>' +
+          '<td>' + escapeHtml((run.periodStart || '…') + ' to ' + (run.periodEnd || '…')) + '</td>' +
+          '<td>' + run.taskCount + '</td>' +
+          '<td>' + run.staffCount + '</td>' +
+          '<td>' + escapeHtml(Object.keys(run.totalsByCurrency || {}).map(function(currency) {
+            return formatMoney(run.totalsByCurrency[currency], currency);
+          }).join(', ') || (run.grandTotal !== null ? run.grandTotal.toLocaleString() : '')) + '</td>' +
+          '<td>' + escapeHtml(run.invoiceNumber) + '</td>' +
+          '<td>' + escapeHtml(run.status) + '</td>' +
+          '<td style="white-space: pre-wrap;">' + escapeHtml(run.errors) + '</td>' +
+          '<td>' + run.durationSeconds + '</td>' +
+          '</tr>';
+      });
+      html += '</table>';
+      showResults(html);
+    }
+    
+    function exportRecentInvoices() {
+      const daysBack = parseInt(document.getElementById('daysBack').value) || 30;
+      showLoading();
+      google.script.run
+        .withSuccessHandler(handleExportResult)
+        .withFailureHandler(handleFailure)
+        .exportInvoicesPDF(null, daysBack);
+    }
+    
+    applyPermissions();
+  </script>
+</body>
+</html>
+  `;
+  
+  return HtmlService.createHtmlOutput(html)
+    .setTitle('Staff Pay Calculator')
+    .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+}
+
+// Handle calculate pay preview request from web (no execution)
+// options: { periodStart, periodEnd } to limit the preview to a pay period
+function handleCalculatePayPreviewRequest(directReturn = false, options = {}) {
+  try {
+    const denied = requireRole_('viewer', 'preview payments');
+    if (denied) {
+      return directReturn ? denied : ContentService
+        .createTextOutput(JSON.stringify(denied))
+        .setMimeType(ContentService.MimeType.JSON);
+    }
+    
+    const period = parsePayPeriod_(options.periodStart, options.periodEnd);
+    const { workLogData, carriedOver, blocked } = getUnpaidWorkByPeriod_(period);
+    
+    if (workLogData.length === 0) {
+      const result = {
+        success: false,
+        message: 'No unpaid work found',
+        period: serializePayPeriod_(period),
+        carriedOver: serializeCarriedOver_(carriedOver),
+        blocked: serializeBlockedTasks_(blocked),
+        debugLog: JSON.parse(PropertiesService.getScriptProperties().getProperty('lastDebugLog') || '[]')
+      };
       
-      <div class="action-card">
-        <h3>Check Status</h3>
-        <p>View current status and unpaid task count</p>
-        <button class="btn btn-warning" onclick="checkStatus()">Status</button>
-      </div>
+      if (directReturn) {
+        return result;
+      } else {
+        return ContentService
+          .createTextOutput(JSON.stringify(result))
+          .setMimeType(ContentService.MimeType.JSON);
+      }
+    }
+    
+    const payConfig = getPayConfiguration_();
+    const staffRegistry = getStaffRegistry_();
+    const staffMapping = getStaffMapping_(staffRegistry);
+    const adjustments = getPendingAdjustments_(period);
+    const { payments, errors } = calculatePayments_(workLogData, payConfig, staffMapping, {
+      adjustments: adjustments,
+      staffRegistry: staffRegistry
+    });
+    
+    const staffWarnings = getStaffWarnings_(payments, staffRegistry);
+    const blockingErrors = findBlockingPaymentErrors_(payments);
+    
+    // Create a clean, serializable result object
+    const result = {
+      success: true,
+      message: 'Payment preview calculated successfully',
+      period: serializePayPeriod_(period),
+      summary: {
+        totalTasks: workLogData.length,
+        totalStaff: Object.keys(payments).length,
+        ...summarizeCurrencyTotals_(payments),
+        carriedOverTasks: carriedOver.length,
+        blockedTasks: blocked.length,
+        adjustmentCount: adjustments.length,
+        staffWarnings: staffWarnings.length,
+        // Invoicing is refused without force while these exist
+        blockingErrors: blockingErrors,
+        errors: serializeCalculationErrors_(errors)
+      },
+      // Create a clean payments object that's guaranteed to serialize
+      payments: {},
+      carriedOver: serializeCarriedOver_(carriedOver),
+      blocked: serializeBlockedTasks_(blocked),
+      staffWarnings: staffWarnings,
+      registryErrors: staffRegistry.errors
+    };
+    
+    // Snapshot the previewed rows so a commit invoices exactly what was reviewed
+    const snapshot = createPayRunSnapshot_(workLogData, payments, period);
+    result.snapshotToken = snapshot.token;
+    result.snapshotExpiresAt = snapshot.expiresAt;
+    if (snapshot.error) {
+      result.snapshotError = snapshot.error;
+    }
+    
+    // Manually construct payments object to avoid serialization issues
+    Object.keys(payments).forEach(staffName => {
+      const payment = payments[staffName];
+      result.payments[staffName] = {
+        staffKey: String(payment.staffKey || ''),
+        legalName: String(payment.legalName || ''),
+        hasMapping: Boolean(payment.hasMapping),
+        currency: String(payment.currency || CONFIG.defaultCurrency),
+        totalAmount: Number(payment.totalAmount || 0),
+        adjustmentTotal: Number(payment.adjustmentTotal || 0),
+        tax: payment.tax ? { ...payment.tax } : null,
+        // Only which details are missing - bank details are not sent to the browser
+        missingPaymentDetails: Object.keys(payment.paymentDetails || {})
+          .filter(field => !payment.paymentDetails[field])
+          .map(field => STAFF_REGISTRY_COLUMNS[field]),
+        adjustments: serializeAdjustments_(payment.adjustments),
+        taskCount: Array.isArray(payment.tasks) ? payment.tasks.length : 0,
+        tasks: Array.isArray(payment.tasks) ? payment.tasks.map(task => ({
+          rowIndex: Number(task.rowIndex || 0),
+          staffName: String(task.staffName || ''),
+          taskType: String(task.taskType || ''),
+          league: String(task.league || ''),
+          round: String(task.round || ''),
+          team1: String(task.team1 || ''),
+          team2: String(task.team2 || ''),
+          doneDate: formatDateValue_(task.doneDate),
+          rate: Number(task.rate || 0),
+          rateType: String(task.rateType || ''),
+          rateSource: String(task.rateSource || ''),
+          hasValidRate: Boolean(task.hasValidRate)
+        })) : []
+      };
+    });
+    
+    if (directReturn) {
+      return result;
+    } else {
+      return ContentService
+        .createTextOutput(JSON.stringify(result))
+        .setMimeType(ContentService.MimeType.JSON);
+    }
       
-      <div class="action-card">
-        <h3>Debug Information</h3>
-        <p>View debug logs for troubleshooting</p>
-        <button class="btn btn-info" onclick="getDebugLog()">Debug</button>
-      </div>
+  } catch (error) {
+    const errorResult = {
+      success: false,
+      error: error.toString()
+    };
+    
+    if (directReturn) {
+      return errorResult;
+    } else {
+      return ContentService
+        .createTextOutput(JSON.stringify(errorResult))
+        .setMimeType(ContentService.MimeType.JSON);
+    }
+  }
+}
+
+// Handle calculate pay request from web
+// options: { periodStart, periodEnd } to only invoice work done inside a pay period,
+// idempotencyKey so a repeated request returns the original run instead of invoicing again,
+// force to invoice despite blocking errors (recorded on the Pay Runs sheet)
+function handleCalculatePayRequest(directReturn = false, options = {}) {
+  let result;
+  
+  try {
+    // Read and invoice under the pay run lock so concurrent requests can't pick up the same rows
+    const startedAt = new Date();
+    result = requireRole_('approver', 'create invoices') || runPayRunWithLock_(options.idempotencyKey, () => {
+      const payResult = calculateStaffPay(options);
+      if (!payResult.success) {
+        return payResult;
+      }
       
-      <div class="action-card">
-        <h3>Test Connection</h3>
-        <p>Test basic API connectivity</p>
-        <button class="btn" onclick="testConnection()">Test</button>
-      </div>
+      // Auto-create invoices (since this is from web, assume user wants to proceed)
+      const invoiceResult = createInvoicesAndMark(payResult.workLogData, payResult.payments, {
+        idempotencyKey: options.idempotencyKey,
+        source: options.source || (directReturn ? 'web' : 'api'),
+        period: payResult.period,
+        errors: payResult.errors,
+        force: options.force,
+        startedAt: startedAt
+      });
+      if (!invoiceResult.success) {
+        return invoiceResult;
+      }
       
+      return {
+        success: true,
+        message: 'Invoices created successfully',
+        runId: invoiceResult.runId,
+        forced: invoiceResult.forced,
+        period: payResult.period,
+        summary: {
+          ...payResult.summary,
+          errors: payResult.errors
+        },
+        invoiceInfo: buildInvoiceInfo_(invoiceResult.invoiceResult),
+        carriedOver: payResult.carriedOver
+      };
+    }, { checkHistory: true });
       
-      <div class="action-card">
-        <h3>Export Latest Invoice</h3>
-        <p>Export the most recently created invoice as PDF</p>
-        <button class="btn btn-warning" onclick="exportLatestInvoice()">Export PDF</button>
+  } catch (error) {
+    result = {
+      success: false,
+      error: error.toString()
+    };
+  }
+  
+  if (directReturn) {
+    return result;
+  }
+  return ContentService
+    .createTextOutput(JSON.stringify(result))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+// Handle status request
+function handleStatusRequest(directReturn = false) {
+  let result;
+  
+  try {
+    const denied = requireRole_('viewer', 'check the status');
+    if (denied) {
+      result = denied;
+    } else {
+      const { workLogData, blocked } = getUnpaidWorkByPeriod_();
+      result = {
+        success: true,
+        status: {
+          unpaidTasks: workLogData.length,
+          blockedTasks: blocked.length,
+          lastCheck: new Date().toISOString()
+        }
+      };
+    }
+      
+  } catch (error) {
+    result = {
+      success: false,
+      error: error.toString()
+    };
+  }
+  
+  if (directReturn) {
+    return result;
+  }
+  return ContentService
+    .createTextOutput(JSON.stringify(result))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+// Handle debug log request
+function handleDebugLogRequest(directReturn = false) {
+  const result = requireRole_('admin', 'view the debug log') || {
+    success: true,
+    debugLog: JSON.parse(PropertiesService.getScriptProperties().getProperty('lastDebugLog') || '[]')
+  };
+  
+  if (directReturn) {
+    return result;
+  }
+  return ContentService
+    .createTextOutput(JSON.stringify(result))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+// Handle get deployment URL request
+
+// Test endpoint for basic connectivity
+function testEndpoint() {
+  return ContentService
+    .createTextOutput(JSON.stringify({
+      success: true,
+      message: 'Test endpoint working - direct function call',
+      timestamp: new Date().toISOString()
+    }))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+// Simple test function for google.script.run
+function simpleTest() {
+  return {
+    success: true,
+    message: 'Simple test working',
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Simplified preview function to test step by step
+function testPreview() {
+  const denied = requireRole_('viewer', 'preview payments');
+  if (denied) {
+    return denied;
+  }
+  
+  try {
+    // Test 1: Basic function call
+    console.log('testPreview: Starting');
+    
+    // Test 2: Can we get work log data?
+    const workLogData = getUnpaidWorkFromMaster_();
+    console.log('testPreview: Work log data length:', workLogData.length);
+    
+    if (workLogData.length === 0) {
+      return {
+        success: false,
+        message: 'No unpaid work found',
+        step: 'workLogData check'
+      };
+    }
+    
+    // Test 3: Can we get config data?
+    const payConfig = getPayConfiguration_();
+    console.log('testPreview: Pay config keys:', Object.keys(payConfig));
+    
+    const staffMapping = getStaffMapping_();
+    console.log('testPreview: Staff mapping keys:', Object.keys(staffMapping));
+    
+    // Test 4: Can we calculate payments?
+    const { payments, errors } = calculatePayments_(workLogData, payConfig, staffMapping);
+    console.log('testPreview: Payments calculated, staff count:', Object.keys(payments).length);
+    
+    // Test 5: Return minimal result
+    return {
+      success: true,
+      message: 'Test preview completed',
+      taskCount: workLogData.length,
+      staffCount: Object.keys(payments).length
+    };
+    
+  } catch (error) {
+    console.error('testPreview error:', error);
+    return {
+      success: false,
+      error: error.toString(),
+      step: 'exception caught'
+    };
+  }
+}
+
+/**
+ * Deployment Management Functions
+ * Use these to manage deployment URLs dynamically
+ */
+
+// Set the current deployment URL (call this after deploying)
+function setCurrentDeploymentUrl(url) {
+  const denied = requireRole_('admin', 'change the deployment URL');
+  if (denied) {
+    return denied;
+  }
+  
+  if (!url) {
+    throw new Error('URL is required');
+  }
+  
+  PropertiesService.getScriptProperties().setProperty('CURRENT_DEPLOYMENT_URL', url);
+  
+  console.log(`Deployment URL updated to: ${url}`);
+  return {
+    success: true,
+    url: url,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Get the current deployment URL (for internal use)
+function getCurrentDeploymentUrl_() {
+  return PropertiesService.getScriptProperties().getProperty('CURRENT_DEPLOYMENT_URL');
+}
+
+// Utility function to help with deployment
+function updateDeploymentAfterPush(deploymentId) {
+  const baseUrl = 'https://script.google.com/macros/s/';
+  const fullUrl = `${baseUrl}${deploymentId}/exec`;
+  
+  return setCurrentDeploymentUrl(fullUrl);
+}
+
+/**
+ * Core API function to calculate staff pay
+ * Returns payment calculation results without UI interaction
+ * 
+ * @param {Object} options - Optional { periodStart, periodEnd } (Date or 'yyyy-MM-dd');
+ *   only tasks whose Done Date falls inside the period are included
+ * @return {Object} {
+ *   success: boolean,
+ *   workLogData: Array,
+ *   carriedOver: Array,
+ *   staffWarnings: Array,
+ *   period: Object,
+ *   payments: Object,
+ *   errors: Object,
+ *   summary: Object
+ * }
+ */
+function calculateStaffPay(options = {}) {
+  try {
+    const denied = requireRole_('viewer', 'calculate pay');
+    if (denied) {
+      return denied;
+    }
+    
+    const period = parsePayPeriod_(options.periodStart, options.periodEnd);
+    const { workLogData, carriedOver, blocked } = getUnpaidWorkByPeriod_(period);
+    
+    if (workLogData.length === 0) {
+      return {
+        success: false,
+        message: 'No unpaid work found',
+        period: serializePayPeriod_(period),
+        carriedOver: serializeCarriedOver_(carriedOver),
+        blocked: serializeBlockedTasks_(blocked),
+        debugLog: JSON.parse(PropertiesService.getScriptProperties().getProperty('lastDebugLog') || '[]')
+      };
+    }
+    
+    const payConfig = getPayConfiguration_();
+    const staffRegistry = getStaffRegistry_();
+    const staffMapping = getStaffMapping_(staffRegistry);
+    const adjustments = getPendingAdjustments_(period);
+    const { payments, errors } = calculatePayments_(workLogData, payConfig, staffMapping, {
+      adjustments: adjustments,
+      staffRegistry: staffRegistry
+    });
+    const staffWarnings = getStaffWarnings_(payments, staffRegistry);
+    
+    return {
+      success: true,
+      workLogData: workLogData,
+      blockingErrors: findBlockingPaymentErrors_(payments),
+      carriedOver: serializeCarriedOver_(carriedOver),
+      blocked: serializeBlockedTasks_(blocked),
+      staffWarnings: staffWarnings,
+      registryErrors: staffRegistry.errors,
+      period: serializePayPeriod_(period),
+      payments: payments,
+      errors: serializeCalculationErrors_(errors),
+      summary: {
+        totalTasks: workLogData.length,
+        totalStaff: Object.keys(payments).length,
+        ...summarizeCurrencyTotals_(payments),
+        carriedOverTasks: carriedOver.length,
+        blockedTasks: blocked.length,
+        adjustmentCount: adjustments.length,
+        staffWarnings: staffWarnings.length
+      }
+    };
+    
+  } catch (error) {
+    Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
+  }
+}
+
+/**
+ * Google Sheets UI version of calculateStaffPay
+ * Shows interactive dialog for confirmation and actions
+ */
+function calculateStaffPayUI() {
+  const ui = SpreadsheetApp.getUi();
+  
+  try {
+    const denied = requireRole_('viewer', 'calculate pay');
+    if (denied) {
+      ui.alert('Permission denied', denied.error, ui.ButtonSet.OK);
+      return;
+    }
+    
+    const periodResponse = ui.prompt(
+      'Pay Period',
+      'Enter the pay period as "yyyy-MM-dd to yyyy-MM-dd".\nLeave blank to include all unpaid work.',
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (periodResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    
+    const periodText = periodResponse.getResponseText().trim();
+    const periodParts = periodText ? periodText.split(/\s+to\s+/i) : [];
+    const result = calculateStaffPay({
+      periodStart: periodParts[0] || null,
+      periodEnd: periodParts[1] || null
+    });
+    
+    if (!result.success) {
+      if (result.message === 'No unpaid work found') {
+        const response = ui.alert(
+          'No unpaid work found',
+          'All tasks are either already paid or invoiced.\n\nClick "Yes" to see debug log, "No" to exit.',
+          ui.ButtonSet.YES_NO
+        );
+        
+        if (response === ui.Button.YES) {
+          showDebugLog();
+        }
+      } else {
+        ui.alert('Error', result.error || 'An unknown error occurred', ui.ButtonSet.OK);
+      }
+      return;
+    }
+    
+    const { payments, errors } = result;
+    
+    // Build error message
+    let errorMessage = '';
+    if (errors.unmatchedTaskTypes.length > 0) {
+      errorMessage += `\n⚠️ Unmatched Task Types in Pay Config:\n`;
+      errors.unmatchedTaskTypes.forEach(type => {
+        const suggestions = errors.suggestions.taskTypes[type];
+        errorMessage += `  - ${type}${suggestions ? ` (did you mean ${suggestions.map(s => `'${s}'`).join(' or ')}?)` : ''}\n`;
+      });
+    }
+    
+    if (errors.unmatchedStaffKeys.length > 0) {
+      errorMessage += `\n⚠️ Staff Keys not found in mapping:\n`;
+      errors.unmatchedStaffKeys.forEach(key => {
+        const suggestions = errors.suggestions.staffKeys[key];
+        errorMessage += `  - ${key}${suggestions ? ` (did you mean ${suggestions.map(s => `'${s}'`).join(' or ')}?)` : ''}\n`;
+      });
+    }
+    
+    if (errors.tasksWithNoRate.length > 0) {
+      errorMessage += `\n⚠️ Tasks with no pay rate:\n`;
+      errors.tasksWithNoRate.forEach(task => {
+        errorMessage += `  - ${task.staffName}: ${task.taskType} (${task.league} ${task.round})\n`;
+      });
+    }
+    
+    if (result.blockingErrors.length > 0) {
+      errorMessage += `\n⛔ Invoicing will be refused for ${result.blockingErrors.length} blocking problems unless you choose to invoice anyway.\n`;
+    }
+    
+    if (result.staffWarnings.length > 0 || result.registryErrors.length > 0) {
+      errorMessage += `\n⚠️ Staff registry warnings:\n`;
+      result.staffWarnings.forEach(warning => {
+        errorMessage += `  - ${warning.legalName} (row ${warning.registryRow}): ${warning.issues.join('; ')}\n`;
+      });
+      result.registryErrors.forEach(error => {
+        errorMessage += `  - ${error}\n`;
+      });
+    }
+    
+    let summary = createPaymentSummary_(payments);
+    if (result.period) {
+      summary = `Pay Period: ${describePayPeriod_(result.period)}\n\n` + summary;
+    }
+    if (result.carriedOver.length > 0) {
+      summary += `\n\nCarried over (outside pay period): ${result.carriedOver.length} tasks`;
+    }
+    if (result.blocked.length > 0) {
+      summary += `\n\nBlocked (not payable yet): ${result.blocked.length} tasks`;
+      result.blocked.forEach(task => {
+        summary += `\n  - Row ${task.rowIndex} ${task.staffName}: ${task.taskType} (${task.league} ${task.round}) - ${task.reasons.join('; ')}`;
+      });
+    }
+    
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif;">
+        <h3>Payment Summary</h3>
+        <pre style="background-color: #f5f5f5; padding: 10px; border-radius: 5px;">${summary}</pre>
+        ${errorMessage ? `<div style="color: red; margin-top: 10px;"><pre>${errorMessage}</pre></div>` : ''}
+        <div style="margin-top: 20px;">
+          <p>Choose an action:</p>
+          <button onclick="google.script.run.createInvoicesAndMarkUI()" style="padding: 10px 20px; margin-right: 10px;">Create Invoices</button>
+          <button onclick="google.script.run.showDebugLog()" style="padding: 10px 20px; margin-right: 10px;">Show Debug Log</button>
+          <button onclick="google.script.host.close()" style="padding: 10px 20px;">Cancel</button>
+        </div>
       </div>
+    `;
+    
+    // Use simple alert instead of modal dialog
+    let alertMessage = 'Payment Summary:\n\n' + summary;
+    if (errorMessage) {
+      alertMessage += '\n\nErrors:\n' + errorMessage;
+    }
+    alertMessage += isApprovalRequired_()
+      ? '\n\nUse "Submit Draft for Approval" from the menu to send this to an approver.'
+      : '\n\nUse "Create Invoices" from the menu to proceed.';
+    
+    ui.alert('Payment Summary', alertMessage, ui.ButtonSet.OK);
+    
+    // Snapshot what was shown so "Create Invoices" / "Submit Draft for Approval" uses exactly these rows
+    // (stored per user - script properties are shared between users)
+    const snapshot = createPayRunSnapshot_(result.workLogData, result.payments, parsePayPeriod_(periodParts[0] || null, periodParts[1] || null));
+    if (snapshot.token) {
+      PropertiesService.getUserProperties().setProperty('pendingSnapshotToken', snapshot.token);
+    } else {
+      ui.alert('Warning', snapshot.error, ui.ButtonSet.OK);
+    }
+    
+  } catch (error) {
+    ui.alert('Error', 'An error occurred: ' + error.toString(), ui.ButtonSet.OK);
+    Logger.log(error);
+  }
+}
+
+// Get unpaid work from MASTER sheet, optionally limited to a pay period
+function getUnpaidWorkFromMaster_(period = null) {
+  return getUnpaidWorkByPeriod_(period).workLogData;
+}
+
+// getUnpaidWorkFromMaster_ with a viewer role check, for the script editor
+function getUnpaidWorkFromMaster(period = null) {
+  return requireRole_('viewer', 'read unpaid work') || getUnpaidWorkFromMaster_(period);
+}
+
+/**
+ * Get unpaid work from MASTER sheet split by pay period
+ * Tasks whose Done Date falls outside the period are returned as carried over
+ * 
+ * @param {Object} period - Optional { start: Date, end: Date } from parsePayPeriod_
+ * @return {Object} { workLogData: Array, carriedOver: Array }
+ */
+function getUnpaidWorkByPeriod_(period = null) {
+  const { statusColumnName, cols, data } = readMasterWorkLog_();
+  const rules = getPayabilityRules_();
+  const unpaidWork = [];
+  const carriedOver = [];
+  const blocked = [];
+  const debugLog = [];
+  
+  debugLog.push(`Status column found: "${statusColumnName}"`);
+  debugLog.push(`Payability rules: ${JSON.stringify(rules)}`);
+  if (period) {
+    debugLog.push(`Pay period: ${describePayPeriod_(period)}`);
+  }
+  debugLog.push(`Total rows in sheet: ${data.length}`);
+  debugLog.push(`Column indices found: ${JSON.stringify(cols)}`);
+  
+  // Specific rows to check
+  const targetRows = [257, 261, 300, 302, 307];
+  
+  // Skip header rows (rows 0 and 1 based on your data)
+  for (let i = 2; i < data.length; i++) {
+    const row = data[i];
+    const status = row[cols[statusColumnName]];
+    const paid = row[cols['Paid']];
+    const rowNumber = i + 1; // 1-based row number
+    
+    // Log first few rows for debugging
+    if (i < 5) {
+      debugLog.push(`Row ${rowNumber}: Status="${status}", Paid="${paid}"`);
+    }
+    
+    // Log specific target rows in detail
+    if (targetRows.includes(rowNumber)) {
+      debugLog.push(`*** TARGET ROW ${rowNumber} ***`);
+      debugLog.push(`  Status: "${status}" (type: ${typeof status}, length: ${status ? status.length : 'null'})`);
+      debugLog.push(`  Paid: "${paid}" (type: ${typeof paid}, length: ${paid ? paid.length : 'null'})`);
+      debugLog.push(`  Status === 'Done': ${status === 'Done'}`);
+      debugLog.push(`  Paid !== 'Paid': ${paid !== 'Paid'}`);
+      debugLog.push(`  Paid !== 'Invoiced': ${paid !== 'Invoiced'}`);
+      debugLog.push(`  Overall condition: ${status === 'Done' && paid !== 'Paid' && paid !== 'Invoiced'}`);
+      debugLog.push(`  Staff: "${row[cols['Assign']]}"`);
+      debugLog.push(`  Task: "${row[cols['STATS LEVEL']]}"`);
+      debugLog.push(`  League: "${row[cols['LEAGUE']]}"`);
+      debugLog.push('');
+    }
+    
+    // Check if work is done but not paid or invoiced
+    if (status === 'Done' && paid !== 'Paid' && paid !== 'Invoiced') {
+      const work = buildWorkItem_(row, cols, rowNumber, statusColumnName);
       
-      <div class="action-card">
-        <h3>Export Invoice by Number</h3>
-        <p>Export specific invoice by invoice number</p>
-        <input type="text" id="invoiceNumber" placeholder="Invoice Number" style="width: 100%; margin-bottom: 10px; padding: 8px;">
-        <button class="btn btn-warning" onclick="exportInvoiceByNumber()">Export PDF</button>
-      </div>
+      // Tasks outside the pay period stay untouched and are reported separately
+      const periodCheck = checkDoneDateInPeriod_(work.doneDate, period);
+      if (!periodCheck.inPeriod) {
+        carriedOver.push({ ...work, reason: periodCheck.reason });
+        continue;
+      }
       
-      <div class="action-card">
-        <h3>Export Recent Invoices</h3>
-        <p>Export invoices from the last N days</p>
-        <input type="number" id="daysBack" placeholder="Days back (default: 30)" value="30" style="width: 100%; margin-bottom: 10px; padding: 8px;">
-        <button class="btn btn-warning" onclick="exportRecentInvoices()">Export PDF</button>
-      </div>
-    </div>
+      // Done but not yet payable (e.g. QA pending) - reported, never paid
+      const blockedReasons = checkPayability_(work, rules, cols);
+      if (blockedReasons.length > 0) {
+        blocked.push({ ...work, reasons: blockedReasons });
+      } else {
+        unpaidWork.push(work);
+      }
+    }
+  }
+  
+  debugLog.push(`Found ${unpaidWork.length} unpaid tasks`);
+  debugLog.push(`Blocked ${blocked.length} tasks by payability rules`);
+  if (period) {
+    debugLog.push(`Carried over ${carriedOver.length} unpaid tasks outside the pay period`);
+  }
+  
+  // Store debug log for access
+  PropertiesService.getScriptProperties().setProperty('lastDebugLog', JSON.stringify(debugLog));
+  
+  return {
+    workLogData: unpaidWork,
+    carriedOver: carriedOver,
+    blocked: blocked
+  };
+}
+
+/**
+ * Read the MASTER sheet with the column indices used for pay runs
+ * 
+ * @return {Object} { masterSheet, statusColumnName, cols (0-based), data }
+ */
+function readMasterWorkLog_() {
+  const masterSheet = getMasterSheet_();
+  
+  // Get column indices by name - MASTER sheet has headers in row 2
+  // First, find the actual Status column dynamically
+  const actualHeaders = masterSheet.getRange(2, 1, 1, masterSheet.getLastColumn()).getValues()[0];
+  const statusColumnName = actualHeaders.find(h => h && h.toString().toLowerCase().includes('status'));
+  
+  const columnNames = [
+    'Assign',
+    'Due Date',
+    'LEAGUE',
+    'Round',
+    'Team 1',
+    'Team 2',
+    'STATS LEVEL',
+    'Youtube link',
+    'QA',
+    'Playback Link',
+    statusColumnName, // Use the actual status column name found
+    'Team 1 Public Stats Link',
+    'Team 2 Public Stats link',
+    'Paid',
+    'Paid Date',
+    'Payment Method',
+    'Done Date'
+  ];
+  
+  return {
+    masterSheet: masterSheet,
+    statusColumnName: statusColumnName,
+    cols: getColumnIndices_(masterSheet, columnNames, 2), // Headers in row 2
+    data: masterSheet.getDataRange().getValues()
+  };
+}
+
+// Build a work item from a MASTER row
+function buildWorkItem_(row, cols, rowNumber, statusColumnName) {
+  return {
+    rowIndex: rowNumber, // 1-based for Sheets API
+    status: row[cols[statusColumnName]],
+    paid: row[cols['Paid']],
+    staffName: row[cols['Assign']],
+    taskType: row[cols['STATS LEVEL']],
+    league: row[cols['LEAGUE']],
+    round: row[cols['Round']],
+    team1: row[cols['Team 1']],
+    team2: row[cols['Team 2']],
+    playbackLink: row[cols['Playback Link']],
+    qa: row[cols['QA']],
+    team1PublicStatsLink: row[cols['Team 1 Public Stats Link']],
+    team2PublicStatsLink: row[cols['Team 2 Public Stats link']],
+    doneDate: row[cols['Done Date']]
+  };
+}
+
+/**
+ * Parse a pay period from start/end dates
+ * Accepts Date objects or 'yyyy-MM-dd' strings; either end may be omitted
+ * 
+ * @param {Date|string} periodStart - First day of the period (inclusive)
+ * @param {Date|string} periodEnd - Last day of the period (inclusive)
+ * @return {Object|null} { start: Date|null, end: Date|null }, or null when no period given
+ */
+function parsePayPeriod_(periodStart, periodEnd) {
+  if (!periodStart && !periodEnd) {
+    return null;
+  }
+  
+  const start = periodStart ? parsePeriodDate_(periodStart, 'start') : null;
+  const end = periodEnd ? parsePeriodDate_(periodEnd, 'end') : null;
+  
+  if (start) {
+    start.setHours(0, 0, 0, 0);
+  }
+  if (end) {
+    // End date is inclusive - include everything done that day
+    end.setHours(23, 59, 59, 999);
+  }
+  
+  if (start && end && start > end) {
+    throw new Error('Pay period start must be on or before the period end');
+  }
+  
+  return { start: start, end: end };
+}
+
+// Parse a single pay period date
+function parsePeriodDate_(value, label) {
+  let date;
+  if (value instanceof Date) {
+    date = new Date(value.getTime());
+  } else {
+    const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    date = match ?
+      new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) :
+      new Date(String(value).trim());
+  }
+  
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid pay period ${label} date: "${value}". Use yyyy-MM-dd`);
+  }
+  return date;
+}
+
+// Check whether a task's Done Date falls inside the pay period
+function checkDoneDateInPeriod_(doneDate, period) {
+  if (!period) {
+    return { inPeriod: true };
+  }
+  
+  const date = doneDate instanceof Date ? doneDate : (doneDate ? new Date(doneDate) : null);
+  if (!date || isNaN(date.getTime())) {
+    return { inPeriod: false, reason: 'No valid Done Date' };
+  }
+  if (period.start && date < period.start) {
+    return { inPeriod: false, reason: 'Done before pay period' };
+  }
+  if (period.end && date > period.end) {
+    return { inPeriod: false, reason: 'Done after pay period' };
+  }
+  return { inPeriod: true };
+}
+
+// Get the payability rules (script property overrides CONFIG)
+function getPayabilityRules_() {
+  const stored = PropertiesService.getScriptProperties().getProperty('PAYABILITY_RULES');
+  return {
+    ...CONFIG.payabilityRules,
+    ...(stored ? JSON.parse(stored) : {})
+  };
+}
+
+// getPayabilityRules_ with a viewer role check
+function getPayabilityRules() {
+  return requireRole_('viewer', 'read the payability rules') || getPayabilityRules_();
+}
+
+// Set the payability rules (stored in script properties)
+function setPayabilityRules(rules) {
+  const denied = requireRole_('admin', 'change the payability rules');
+  if (denied) {
+    return denied;
+  }
+  
+  const current = getPayabilityRules_();
+  const updated = {
+    qaValues: rules.qaValues !== undefined ? rules.qaValues : current.qaValues,
+    requirePlaybackLink: rules.requirePlaybackLink !== undefined ? Boolean(rules.requirePlaybackLink) : current.requirePlaybackLink,
+    requirePublicStatsLinks: rules.requirePublicStatsLinks !== undefined ? Boolean(rules.requirePublicStatsLinks) : current.requirePublicStatsLinks
+  };
+  
+  if (!Array.isArray(updated.qaValues)) {
+    throw new Error('qaValues must be a list of accepted QA values');
+  }
+  updated.qaValues = updated.qaValues.map(value => String(value).trim()).filter(value => value);
+  
+  PropertiesService.getScriptProperties().setProperty('PAYABILITY_RULES', JSON.stringify(updated));
+  return {
+    success: true,
+    rules: updated
+  };
+}
+
+// Check a Done task against the payability rules
+// Returns the reasons it is blocked (empty when payable)
+function checkPayability_(work, rules, cols) {
+  const reasons = [];
+  const isBlank = value => value === null || value === undefined || String(value).trim() === '';
+  
+  if (rules.qaValues && rules.qaValues.length > 0) {
+    if (cols['QA'] === -1) {
+      reasons.push('QA column not found in MASTER');
+    } else {
+      const qa = String(work.qa || '').trim().toLowerCase();
+      if (!rules.qaValues.some(value => String(value).trim().toLowerCase() === qa)) {
+        reasons.push(isBlank(work.qa) ? 'QA not recorded' : `QA is "${work.qa}"`);
+      }
+    }
+  }
+  
+  if (rules.requirePlaybackLink && isBlank(work.playbackLink)) {
+    reasons.push('Missing Playback Link');
+  }
+  
+  if (rules.requirePublicStatsLinks) {
+    if (isBlank(work.team1PublicStatsLink)) {
+      reasons.push('Missing Team 1 Public Stats Link');
+    }
+    if (isBlank(work.team2PublicStatsLink)) {
+      reasons.push('Missing Team 2 Public Stats link');
+    }
+  }
+  
+  return reasons;
+}
+
+// Describe a pay period for logs and responses
+function describePayPeriod_(period) {
+  if (!period) {
+    return 'All unpaid work';
+  }
+  const serialized = serializePayPeriod_(period);
+  return `${serialized.start || 'beginning'} to ${serialized.end || 'now'}`;
+}
+
+// Convert a pay period to plain strings for JSON / google.script.run responses
+function serializePayPeriod_(period) {
+  if (!period) {
+    return null;
+  }
+  return {
+    start: period.start ? formatDateValue_(period.start) : null,
+    end: period.end ? formatDateValue_(period.end) : null
+  };
+}
+
+// Format a sheet date value as yyyy-MM-dd (non-dates are returned as strings)
+function formatDateValue_(value) {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// Create a serializable list of carried over tasks
+function serializeCarriedOver_(carriedOver) {
+  return (carriedOver || []).map(task => ({
+    rowIndex: Number(task.rowIndex || 0),
+    staffName: String(task.staffName || ''),
+    taskType: String(task.taskType || ''),
+    league: String(task.league || ''),
+    round: String(task.round || ''),
+    doneDate: formatDateValue_(task.doneDate),
+    reason: String(task.reason || '')
+  }));
+}
+
+// Convert tasks blocked by payability rules to plain values
+function serializeBlockedTasks_(blocked) {
+  return (blocked || []).map(task => ({
+    rowIndex: Number(task.rowIndex || 0),
+    staffName: String(task.staffName || ''),
+    taskType: String(task.taskType || ''),
+    league: String(task.league || ''),
+    round: String(task.round || ''),
+    team1: String(task.team1 || ''),
+    team2: String(task.team2 || ''),
+    qa: String(task.qa || ''),
+    doneDate: formatDateValue_(task.doneDate),
+    reasons: (task.reasons || []).map(String)
+  }));
+}
+
+// Get pay configuration from Pay Config sheet
+function getPayConfiguration_() {
+  const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
+  const payConfigSheet = mainSheet.getSheetByName('Pay Config');
+  
+  if (!payConfigSheet) {
+    throw new Error('Pay Config sheet not found');
+  }
+  
+  const cols = getColumnIndices_(payConfigSheet, [
+    'Task Type (Stats Level)',
+    'Default Rate',
+    'Staff Name',
+    'Custom Rate',
+    // Optional rule conditions - a blank cell (or missing column) matches anything
+    'LEAGUE',
+    'Round pattern',
+    'Effective From',
+    'Effective To',
+    'Currency',
+    // Other STATS LEVEL spellings paid as this task type, comma-separated
+    'Aliases'
+  ]);
+  
+  const data = payConfigSheet.getDataRange().getValues();
+  const payConfig = {};
+  const cell = (row, name) => cols[name] === -1 ? '' : row[cols[name]];
+  
+  // Skip header row
+  for (let i = 1; i < data.length; i++) {
+    const taskType = data[i][cols['Task Type (Stats Level)']];
+    const defaultRate = parseFloat(String(data[i][cols['Default Rate']]).replace(/[^\d.-]/g, ''));
+    const staffName = data[i][cols['Staff Name']];
+    const customRate = data[i][cols['Custom Rate']] ? 
+      parseFloat(String(data[i][cols['Custom Rate']]).replace(/[^\d.-]/g, '')) : null;
+    
+    // defaultRate / customRates keep the original task-type view of the sheet;
+    // calculatePayments_ resolves rates from the rules list
+    if (!payConfig[taskType]) {
+      payConfig[taskType] = {
+        configRow: i + 1,
+        defaultRate: defaultRate,
+        customRates: {},
+        rules: [],
+        aliases: []
+      };
+    }
+    
+    String(cell(data[i], 'Aliases') || '').split(',').map(alias => alias.trim()).filter(Boolean).forEach(alias => {
+      payConfig[taskType].aliases.push(alias);
+    });
+    
+    if (staffName && customRate) {
+      payConfig[taskType].customRates[staffName] = customRate;
+    }
+    
+    const conditions = {
+      configRow: i + 1,
+      league: String(cell(data[i], 'LEAGUE') || '').trim(),
+      roundPattern: String(cell(data[i], 'Round pattern') || '').trim(),
+      effectiveFrom: formatRuleDate_(cell(data[i], 'Effective From'), 'Effective From', i + 1),
+      effectiveTo: formatRuleDate_(cell(data[i], 'Effective To'), 'Effective To', i + 1),
+      currency: parseRuleCurrency_(cell(data[i], 'Currency'), i + 1)
+    };
+    
+    if (!isNaN(defaultRate)) {
+      payConfig[taskType].rules.push({ ...conditions, staffName: null, rate: defaultRate });
+    }
+    if (staffName && customRate) {
+      payConfig[taskType].rules.push({ ...conditions, staffName: String(staffName), rate: customRate });
+    }
+  }
+  
+  return payConfig;
+}
+
+// getPayConfiguration_ with a viewer role check (rates and rate rules)
+function getPayConfiguration() {
+  return requireRole_('viewer', 'read the pay configuration') || getPayConfiguration_();
+}
+
+// Normalize a Pay Config effective date to yyyy-MM-dd (blank means open-ended)
+function formatRuleDate_(value, label, configRow) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  try {
+    return formatDateValue_(parsePeriodDate_(value, label));
+  } catch (error) {
+    throw new Error(`Pay Config row ${configRow}: invalid ${label} "${value}". Use yyyy-MM-dd`);
+  }
+}
+
+// Read a Pay Config Currency cell (blank means the rule pays staff in any currency)
+function parseRuleCurrency_(value, configRow) {
+  const currency = String(value || '').trim().toUpperCase();
+  if (!currency) {
+    return null;
+  }
+  if (!isValidCurrencyCode_(currency)) {
+    throw new Error(`Pay Config row ${configRow}: invalid Currency "${value}". Use a 3-letter ISO code such as AUD`);
+  }
+  return currency;
+}
+
+/**
+ * Find the Pay Config rule for a task
+ * A rule matches when every condition it sets matches the task: staff (Custom Rate rows),
+ * LEAGUE, Round pattern (* and ? wildcards, case-insensitive), the Effective From / To
+ * range (inclusive) around the task's Done Date and the staff member's currency. The most
+ * specific match wins - staff, then league, then round, then date range, then currency -
+ * with earlier sheet rows winning ties.
+ * 
+ * @return {Object|null} The winning rule, or null when no rule matches
+ */
+function resolveRateRule_(rules, work, currency) {
+  const doneDate = work.doneDate instanceof Date && !isNaN(work.doneDate.getTime()) ?
+    formatDateValue_(work.doneDate) : null;
+  const league = String(work.league || '').trim().toLowerCase();
+  const round = String(work.round || '').trim();
+  
+  let bestRule = null;
+  let bestScore = -1;
+  
+  rules.forEach(rule => {
+    if (rule.currency && rule.currency !== currency) return;
+    if (rule.staffName && rule.staffName !== work.staffName && rule.staffName !== work.staffKey) return;
+    if (rule.league && rule.league.toLowerCase() !== league) return;
+    if (rule.roundPattern && !matchesRoundPattern_(round, rule.roundPattern)) return;
+    if ((rule.effectiveFrom || rule.effectiveTo) && !doneDate) return;
+    if (rule.effectiveFrom && doneDate < rule.effectiveFrom) return;
+    if (rule.effectiveTo && doneDate > rule.effectiveTo) return;
+    
+    const score = (rule.staffName ? 16 : 0) +
+      (rule.league ? 8 : 0) +
+      (rule.roundPattern ? 4 : 0) +
+      (rule.effectiveFrom || rule.effectiveTo ? 2 : 0) +
+      (rule.currency ? 1 : 0);
+    if (score > bestScore) {
+      bestRule = rule;
+      bestScore = score;
+    }
+  });
+  
+  return bestRule;
+}
+
+// Match a round name against a Pay Config pattern such as "Final*" or "Round ?"
+function matchesRoundPattern_(round, pattern) {
+  const regex = new RegExp('^' + pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.') + '$', 'i');
+  return regex.test(round);
+}
+
+// Describe which Pay Config rule a rate came from
+function describeRateRule_(taskType, rule) {
+  const parts = [`Pay Config row ${rule.configRow}: ${taskType}`];
+  if (rule.staffName) parts.push(`staff ${rule.staffName}`);
+  if (rule.league) parts.push(`league ${rule.league}`);
+  if (rule.roundPattern) parts.push(`round "${rule.roundPattern}"`);
+  if (rule.effectiveFrom || rule.effectiveTo) {
+    parts.push(`effective ${rule.effectiveFrom || 'any'} to ${rule.effectiveTo || 'any'}`);
+  }
+  parts.push(rule.currency || 'any currency');
+  return `${rule.staffName ? 'custom' : 'default'} (${parts.join(', ')})`;
+}
+
+/**
+ * Staff registry columns on the "Staff Key to Staff name" sheet (headers in row 1)
+ * Key and Name are required; every other column is optional.
+ */
+const STAFF_REGISTRY_COLUMNS = {
+  key: 'Key',
+  legalName: 'Name',
+  aliases: 'Aliases', // Other MASTER Assign values for the same person, comma-separated
+  email: 'Email',
+  accountName: 'ACCOUNT NAME',
+  accountNumber: 'ACC NUMBER',
+  bank: 'BANK',
+  currency: 'Currency',
+  gstRegistered: 'GST Registered',
+  taxId: 'Tax ID',
+  withholdingRate: 'Withholding %',
+  active: 'Active' // Blank means active
+};
+
+// Profile fields a contractor needs before they can be paid
+const STAFF_REQUIRED_FIELDS = ['legalName', 'email', 'accountName', 'accountNumber', 'bank'];
+
+/**
+ * Core API function to load the staff registry
+ * Reads a full contractor profile per staff key and validates it. Problems with the
+ * sheet itself (duplicate keys or aliases, invalid values) are listed in errors;
+ * incomplete payment details are listed per profile in missingFields.
+ * 
+ * @return {Object} { profiles: { key: profile }, aliases: { alias: key }, errors: [string] }
+ *   profile: { key, row, legalName, aliases, email, accountName, accountNumber, bank, currency,
+ *   gstRegistered, taxId, withholdingRate, active, missingFields }
+ */
+function getStaffRegistry_() {
+  const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
+  const staffSheet = mainSheet.getSheetByName('Staff Key to Staff name');
+  
+  if (!staffSheet) {
+    throw new Error('Staff Key to Staff name sheet not found');
+  }
+  
+  const data = staffSheet.getDataRange().getValues();
+  const headers = data[0];
+  if (headers.indexOf(STAFF_REGISTRY_COLUMNS.key) === -1 || headers.indexOf(STAFF_REGISTRY_COLUMNS.legalName) === -1) {
+    throw new Error('Staff Key to Staff name sheet needs "Key" and "Name" columns');
+  }
+  
+  const text = (row, field) => {
+    const index = headers.indexOf(STAFF_REGISTRY_COLUMNS[field]);
+    return index === -1 || row[index] === null || row[index] === undefined ? '' : String(row[index]).trim();
+  };
+  const registry = { profiles: {}, aliases: {}, errors: [] };
+  
+  // Skip header row
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const rowNumber = i + 1;
+    const key = text(row, 'key');
+    if (!key) {
+      continue;
+    }
+    if (registry.profiles[key] || registry.aliases[key]) {
+      registry.errors.push(`Row ${rowNumber}: staff key "${key}" is already used`);
+      continue;
+    }
+    
+    let withholdingRate = null;
+    try {
+      withholdingRate = parsePercentage_(text(row, 'withholdingRate'), `Withholding % for ${key}`);
+    } catch (error) {
+      registry.errors.push(`Row ${rowNumber}: ${error.message}`);
+    }
+    
+    let currency = text(row, 'currency').toUpperCase() || CONFIG.defaultCurrency;
+    if (!isValidCurrencyCode_(currency)) {
+      registry.errors.push(`Row ${rowNumber}: invalid Currency "${currency}" for ${key} - use a 3-letter ISO code such as AUD (paying in ${CONFIG.defaultCurrency} until fixed)`);
+      currency = CONFIG.defaultCurrency;
+    }
+    
+    const gstRegistered = text(row, 'gstRegistered');
+    const active = text(row, 'active');
+    const profile = {
+      key: key,
+      row: rowNumber,
+      legalName: text(row, 'legalName'),
+      aliases: text(row, 'aliases').split(',').map(alias => alias.trim()).filter(alias => alias && alias !== key),
+      email: text(row, 'email'),
+      accountName: text(row, 'accountName'),
+      accountNumber: text(row, 'accountNumber'),
+      bank: text(row, 'bank'),
+      currency: currency,
+      gstRegistered: /^(y|yes|true|registered)$/i.test(gstRegistered),
+      taxId: text(row, 'taxId'),
+      withholdingRate: withholdingRate,
+      active: !/^(n|no|false|inactive)$/i.test(active)
+    };
+    profile.missingFields = STAFF_REQUIRED_FIELDS
+      .filter(field => !profile[field])
+      .map(field => STAFF_REGISTRY_COLUMNS[field]);
+    
+    if (profile.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(profile.email)) {
+      registry.errors.push(`Row ${rowNumber}: invalid Email "${profile.email}" for ${key}`);
+    }
+    
+    registry.profiles[key] = profile;
+    profile.aliases.forEach(alias => {
+      if (registry.profiles[alias] || registry.aliases[alias]) {
+        registry.errors.push(`Row ${rowNumber}: alias "${alias}" of ${key} is already used`);
+      } else {
+        registry.aliases[alias] = key;
+      }
+    });
+  }
+  
+  return registry;
+}
+
+// getStaffRegistry_ with an approver role check - profiles hold bank details and Tax IDs
+function getStaffRegistry() {
+  return requireRole_('approver', 'read the staff registry') || getStaffRegistry_();
+}
+
+// Find a staff profile by key or alias
+function findStaffProfile_(staffRegistry, staffKey) {
+  if (!staffRegistry || !staffKey) {
+    return null;
+  }
+  return staffRegistry.profiles[staffKey] || staffRegistry.profiles[staffRegistry.aliases[staffKey]] || null;
+}
+
+// Build a lookup from every key and alias to a profile field
+function mapStaffRegistry_(staffRegistry, getValue) {
+  const mapping = {};
+  Object.keys(staffRegistry.profiles).forEach(key => {
+    const value = getValue(staffRegistry.profiles[key]);
+    if (value === null || value === undefined || value === '') {
+      return;
+    }
+    mapping[key] = value;
+  });
+  Object.keys(staffRegistry.aliases).forEach(alias => {
+    if (mapping[staffRegistry.aliases[alias]] !== undefined) {
+      mapping[alias] = mapping[staffRegistry.aliases[alias]];
+    }
+  });
+  return mapping;
+}
+
+// Get staff name mapping (staff key or alias -> legal name)
+function getStaffMapping_(staffRegistry = getStaffRegistry_()) {
+  return mapStaffRegistry_(staffRegistry, profile => profile.legalName);
+}
+
+// getStaffMapping_ with a viewer role check
+function getStaffMapping() {
+  return requireRole_('viewer', 'read the staff mapping') || getStaffMapping_();
+}
+
+// Get the currency each staff member is paid in
+function getStaffCurrencies_(staffRegistry = getStaffRegistry_()) {
+  return mapStaffRegistry_(staffRegistry, profile => profile.currency);
+}
+
+// getStaffCurrencies_ with a viewer role check
+function getStaffCurrencies() {
+  return requireRole_('viewer', 'read staff currencies') || getStaffCurrencies_();
+}
+
+/**
+ * Get tax settings per staff key from the staff registry
+ * "GST Registered" (yes/no), "Tax ID" (ABN or equivalent) and "Withholding %" (e.g. 47%, 47 or 0.47).
+ * A blank Withholding % uses CONFIG.withholdingWithoutTaxIdRate for staff without a Tax ID.
+ * 
+ * @return {Object} { staffKey: { gstRegistered, taxId, withholdingRate } }
+ */
+function getStaffTaxSettings_(staffRegistry = getStaffRegistry_()) {
+  return mapStaffRegistry_(staffRegistry, profile => ({
+    gstRegistered: profile.gstRegistered,
+    taxId: profile.taxId,
+    withholdingRate: profile.withholdingRate
+  }));
+}
+
+// getStaffTaxSettings_ with an approver role check - includes Tax IDs
+function getStaffTaxSettings() {
+  return requireRole_('approver', 'read staff tax settings') || getStaffTaxSettings_();
+}
+
+// Warn about contractors in a pay run whose profile is incomplete or inactive
+function getStaffWarnings_(payments, staffRegistry) {
+  const warnings = [];
+  Object.values(payments).forEach(payment => {
+    const profile = findStaffProfile_(staffRegistry, payment.staffKey);
+    if (!profile) {
+      return; // Reported as an unmatched staff key
+    }
+    
+    const issues = profile.missingFields.map(field => `Missing ${field}`);
+    if (!profile.active) {
+      issues.push('Marked inactive in the staff registry');
+    }
+    if (issues.length > 0) {
+      warnings.push({
+        staffKey: String(payment.staffKey),
+        legalName: String(payment.legalName),
+        registryRow: profile.row,
+        issues: issues
+      });
+    }
+  });
+  return warnings;
+}
+
+// Normalize a staff key or task type for matching: trimmed, single-spaced, case-insensitive
+function normalizeMatchKey_(value) {
+  return String(value === null || value === undefined ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Build a normalized -> original lookup (the first key wins when two normalize the same)
+function buildMatchLookup_(keys) {
+  const lookup = {};
+  keys.forEach(key => {
+    const normalized = normalizeMatchKey_(key);
+    if (normalized && lookup[normalized] === undefined) {
+      lookup[normalized] = key;
+    }
+  });
+  return lookup;
+}
+
+// Resolve a value to a known key: exact match first, then normalized. Unknown values are returned as-is.
+function resolveMatchKey_(value, known, lookup) {
+  if (known[value] !== undefined) {
+    return value;
+  }
+  const match = lookup[normalizeMatchKey_(value)];
+  return match !== undefined ? match : value;
+}
+
+// Task type lookup for calculatePayments_, including Pay Config aliases
+function buildTaskTypeLookup_(payConfig) {
+  const lookup = buildMatchLookup_(Object.keys(payConfig));
+  Object.keys(payConfig).forEach(taskType => {
+    (payConfig[taskType].aliases || []).forEach(alias => {
+      const normalized = normalizeMatchKey_(alias);
+      if (normalized && lookup[normalized] === undefined) {
+        lookup[normalized] = taskType;
+      }
+    });
+  });
+  return lookup;
+}
+
+// Edit distance between two strings
+function levenshteinDistance_(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Suggest known keys for unmatched values ("did you mean ...?")
+ * A candidate is suggested when its normalized form contains the value (or the other way round),
+ * or is within an edit distance of 40% of the longer string (at least 2). Closest first, at most 3.
+ * 
+ * @param {Array|Set} values - Unmatched staff keys or task types
+ * @param {Array} candidates - Known keys
+ * @return {Object} { value: [candidate] } for values with at least one suggestion
+ */
+function suggestMatches_(values, candidates) {
+  const suggestions = {};
+  Array.from(values).forEach(value => {
+    const normalized = normalizeMatchKey_(value);
+    if (!normalized) {
+      return;
+    }
+    
+    const scored = [];
+    candidates.forEach(candidate => {
+      const target = normalizeMatchKey_(candidate);
+      if (!target) {
+        return;
+      }
+      const distance = levenshteinDistance_(normalized, target);
+      // Containment only counts for values long enough to be meaningful
+      const contains = Math.min(normalized.length, target.length) >= 3 &&
+        (target.indexOf(normalized) !== -1 || normalized.indexOf(target) !== -1);
+      if (contains || distance <= Math.max(2, Math.floor(Math.max(normalized.length, target.length) * 0.4))) {
+        scored.push({ candidate: String(candidate), score: contains ? Math.min(distance, 1) : distance });
+      }
+    });
+    
+    scored.sort((a, b) => a.score - b.score);
+    if (scored.length > 0) {
+      suggestions[String(value)] = scored.slice(0, 3).map(entry => entry.candidate);
+    }
+  });
+  return suggestions;
+}
+
+/**
+ * Core API function to save an alias for a staff member
+ * Appends the alias to the staff member's Aliases cell in the staff registry so the
+ * next pay run resolves it automatically.
+ * 
+ * @param {string} alias - The unmatched Assign value, e.g. "Alex "
+ * @param {string} staffKey - Existing staff key (or alias) it belongs to
+ * @return {Object} { success, message } or { success: false, error }
+ */
+function saveStaffAlias(alias, staffKey) {
+  try {
+    const denied = requireRole_('preparer', 'save staff aliases');
+    if (denied) {
+      return denied;
+    }
+    
+    alias = String(alias || '').trim();
+    if (!alias || !staffKey) {
+      return { success: false, error: 'An alias and a staff key are required' };
+    }
+    
+    const staffRegistry = getStaffRegistry_();
+    const profile = findStaffProfile_(staffRegistry, String(staffKey));
+    if (!profile) {
+      return { success: false, error: `Staff key "${staffKey}" is not in the staff registry` };
+    }
+    const existing = findStaffProfile_(staffRegistry, alias);
+    if (existing) {
+      return { success: false, error: `"${alias}" already belongs to ${existing.key}` };
+    }
+    
+    const staffSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Staff Key to Staff name');
+    const aliasesColumn = getOrCreateColumn_(staffSheet, STAFF_REGISTRY_COLUMNS.aliases);
+    staffSheet.getRange(profile.row, aliasesColumn).setValue(profile.aliases.concat(alias).join(', '));
+    
+    Logger.log(`Saved staff alias "${alias}" for ${profile.key}`);
+    return { success: true, message: `"${alias}" will now be paid as ${profile.key} (${profile.legalName})` };
+  } catch (error) {
+    Logger.log('Error in saveStaffAlias: ' + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Core API function to save an alias for a Pay Config task type
+ * Appends the alias to the Aliases cell of the task type's first Pay Config row.
+ * 
+ * @param {string} alias - The unmatched STATS LEVEL value, e.g. "league basic"
+ * @param {string} taskType - Existing Pay Config task type
+ * @return {Object} { success, message } or { success: false, error }
+ */
+function saveTaskTypeAlias(alias, taskType) {
+  try {
+    const denied = requireRole_('preparer', 'save task type aliases');
+    if (denied) {
+      return denied;
+    }
+    
+    alias = String(alias || '').trim();
+    if (!alias || !taskType) {
+      return { success: false, error: 'An alias and a task type are required' };
+    }
+    
+    const payConfig = getPayConfiguration_();
+    const config = payConfig[taskType];
+    if (!config) {
+      return { success: false, error: `Task type "${taskType}" is not in Pay Config` };
+    }
+    const existing = buildTaskTypeLookup_(payConfig)[normalizeMatchKey_(alias)];
+    if (existing !== undefined) {
+      return { success: false, error: `"${alias}" already matches task type ${existing}` };
+    }
+    
+    const payConfigSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Pay Config');
+    const aliasesCell = payConfigSheet.getRange(config.configRow, getOrCreateColumn_(payConfigSheet, 'Aliases'));
+    const current = String(aliasesCell.getValue() || '').trim();
+    aliasesCell.setValue(current ? `${current}, ${alias}` : alias);
+    
+    Logger.log(`Saved task type alias "${alias}" for ${taskType}`);
+    return { success: true, message: `"${alias}" will now be paid as ${taskType}` };
+  } catch (error) {
+    Logger.log('Error in saveTaskTypeAlias: ' + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+// Parse a percentage cell: 0.47 (percent-formatted cell), 47 or "47%" all mean 47%; blank is null
+function parsePercentage_(value, label) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  const number = parseFloat(text.replace(/[^\d.-]/g, ''));
+  if (isNaN(number) || number < 0) {
+    throw new Error(`Invalid ${label}: "${value}"`);
+  }
+  return text.indexOf('%') !== -1 || number > 1 ? number / 100 : number;
+}
+
+/**
+ * Calculate payments for unpaid work
+ * 
+ * @param {Array} workLogData - Work items to pay
+ * @param {Object} payConfig - From getPayConfiguration_()
+ * @param {Object} staffMapping - From getStaffMapping_()
+ * @param {Object} options - Optional { adjustments (getPendingAdjustments_), staffRegistry (getStaffRegistry_) }
+ *   Without a registry every staff member is paid in CONFIG.defaultCurrency with no tax settings.
+ * @return {Object} { payments, errors }
+ */
+function calculatePayments_(workLogData, payConfig, staffMapping, options = {}) {
+  const adjustments = options.adjustments || [];
+  const staffRegistry = options.staffRegistry || null;
+  const payments = {};
+  const errors = {
+    unmatchedTaskTypes: new Set(),
+    unmatchedStaffKeys: new Set(),
+    tasksWithNoRate: []
+  };
+  // Staff keys and task types also match ignoring case and extra whitespace
+  const staffLookup = buildMatchLookup_(Object.keys(staffMapping));
+  const taskTypeLookup = buildTaskTypeLookup_(payConfig);
+  
+  workLogData.forEach(work => {
+    const staffKey = resolveMatchKey_(work.staffName, staffMapping, staffLookup);
+    const taskType = resolveMatchKey_(work.taskType, payConfig, taskTypeLookup);
+    
+    // Check if staff key exists in mapping
+    if (!staffMapping[staffKey]) {
+      errors.unmatchedStaffKeys.add(staffKey);
+    }
+    
+    // Get rate for this task from the most specific matching rule for the staff member's currency
+    const profile = findStaffProfile_(staffRegistry, staffKey);
+    const currency = profile ? profile.currency : CONFIG.defaultCurrency;
+    let rate = 0;
+    let rateType = 'none';
+    let rateSource = 'none';
+    
+    if (payConfig[taskType]) {
+      const rule = resolveRateRule_(payConfig[taskType].rules, { ...work, staffKey: profile ? profile.key : staffKey }, currency);
+      if (rule) {
+        rate = rule.rate;
+        rateType = rule.staffName ? 'custom' : 'default';
+        rateSource = describeRateRule_(taskType, rule);
+      } else {
+        errors.tasksWithNoRate.push({
+          staffName: staffKey,
+          taskType: taskType,
+          league: work.league,
+          round: work.round,
+          teams: `${work.team1} vs ${work.team2}`,
+          reason: `No ${currency} Pay Config rule matches this league, round and Done Date`
+        });
+      }
+    } else {
+      errors.unmatchedTaskTypes.add(taskType);
+      errors.tasksWithNoRate.push({
+        staffName: staffKey,
+        taskType: taskType,
+        league: work.league,
+        round: work.round,
+        teams: `${work.team1} vs ${work.team2}`,
+        reason: 'Task type not in Pay Config'
+      });
+    }
+    
+    // Get legal name
+    const legalName = staffMapping[staffKey] || staffKey;
+    
+    // Group by staff
+    if (!payments[legalName]) {
+      payments[legalName] = createStaffPayment_(staffKey, legalName, !!staffMapping[staffKey], profile);
+    }
+    
+    payments[legalName].tasks.push({
+      ...work,
+      staffKey: staffKey,
+      taskType: taskType,
+      currency: currency,
+      rate: rate,
+      rateType: rateType,
+      rateSource: rateSource,
+      hasValidRate: rate > 0
+    });
+    payments[legalName].totalAmount += rate;
+  });
+  
+  // One-off bonuses and deductions from the Adjustments sheet
+  adjustments.forEach(adjustment => {
+    const staffKey = resolveMatchKey_(adjustment.staffKey, staffMapping, staffLookup);
+    if (!staffMapping[staffKey]) {
+      errors.unmatchedStaffKeys.add(staffKey);
+    }
+    
+    const legalName = staffMapping[staffKey] || staffKey;
+    if (!payments[legalName]) {
+      payments[legalName] = createStaffPayment_(staffKey, legalName, !!staffMapping[staffKey],
+        findStaffProfile_(staffRegistry, staffKey));
+    }
+    
+    payments[legalName].adjustments.push(adjustment);
+    payments[legalName].adjustmentTotal += adjustment.amount;
+    payments[legalName].totalAmount += adjustment.amount;
+  });
+  
+  // totalAmount stays the pre-tax subtotal; tax holds GST, withholding and net payable
+  Object.values(payments).forEach(payment => {
+    payment.tax = calculateTax_(payment.totalAmount, findStaffProfile_(staffRegistry, payment.staffKey), payment.currency);
+  });
+  
+  // "Did you mean ...?" for anything still unmatched
+  errors.suggestions = {
+    staffKeys: suggestMatches_(errors.unmatchedStaffKeys, Object.keys(staffMapping)),
+    taskTypes: suggestMatches_(errors.unmatchedTaskTypes, Object.keys(payConfig))
+  };
+  
+  return { payments, errors };
+}
+
+/**
+ * Work out GST and withholding on a staff member's subtotal
+ * Net payable = subtotal + GST - withholding. Amounts are rounded to the currency's minor unit.
+ * 
+ * @param {number} subtotal - Pre-tax total (tasks and adjustments)
+ * @param {Object} settings - Staff profile or getStaffTaxSettings_() entry (may be null)
+ * @param {string} currency - Currency code
+ * @return {Object} { subtotal, gstRegistered, taxId, taxRate, tax, withholdingRate, withholding, netPayable }
+ */
+function calculateTax_(subtotal, settings, currency) {
+  const gstRegistered = Boolean(settings && settings.gstRegistered);
+  const taxId = settings && settings.taxId ? settings.taxId : '';
+  const taxRate = gstRegistered ? CONFIG.gstRate : 0;
+  let withholdingRate = 0;
+  if (settings && settings.withholdingRate !== null && settings.withholdingRate !== undefined) {
+    withholdingRate = settings.withholdingRate;
+  } else if (!taxId) {
+    withholdingRate = CONFIG.withholdingWithoutTaxIdRate;
+  }
+  
+  const tax = roundCurrency_(subtotal * taxRate, currency);
+  const withholding = roundCurrency_(subtotal * withholdingRate, currency);
+  return {
+    subtotal: subtotal,
+    gstRegistered: gstRegistered,
+    taxId: taxId,
+    taxRate: taxRate,
+    tax: tax,
+    withholdingRate: withholdingRate,
+    withholding: withholding,
+    netPayable: roundCurrency_(subtotal + tax - withholding, currency)
+  };
+}
+
+/**
+ * Check a currency code before it reaches Intl.NumberFormat
+ * Intl throws a RangeError for malformed codes and happily formats unknown ones such as "AUS",
+ * so codes are also checked against the currencies the runtime knows where it can list them.
+ */
+function isValidCurrencyCode_(currency) {
+  if (!/^[A-Z]{3}$/.test(String(currency || ''))) {
+    return false;
+  }
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency: currency });
+  } catch (error) {
+    return false;
+  }
+  return typeof Intl.supportedValuesOf !== 'function' || Intl.supportedValuesOf('currency').indexOf(currency) !== -1;
+}
+
+// Round an amount to the currency's minor unit (0 decimals for VND, 2 for AUD)
+function roundCurrency_(amount, currency = CONFIG.defaultCurrency) {
+  const digits = new Intl.NumberFormat('en', { style: 'currency', currency: currency }).resolvedOptions().maximumFractionDigits;
+  const factor = Math.pow(10, digits);
+  return Math.round(amount * factor) / factor;
+}
+
+// Create an empty payment entry for a staff member (profile from the staff registry, may be null)
+function createStaffPayment_(staffKey, legalName, hasMapping, profile) {
+  return {
+    staffKey: staffKey,
+    legalName: legalName,
+    hasMapping: hasMapping,
+    currency: profile ? profile.currency : CONFIG.defaultCurrency,
+    paymentDetails: {
+      email: profile ? profile.email : '',
+      accountName: profile ? profile.accountName : '',
+      accountNumber: profile ? profile.accountNumber : '',
+      bank: profile ? profile.bank : ''
+    },
+    tasks: [],
+    adjustments: [],
+    adjustmentTotal: 0,
+    totalAmount: 0
+  };
+}
+
+// Create payment summary
+function createPaymentSummary_(payments) {
+  let summary = 'Payment Summary:\n\n';
+  
+  Object.values(payments).forEach(payment => {
+    summary += `${payment.legalName}`;
+    if (!payment.hasMapping) {
+      summary += ` (⚠️ No legal name mapping)`;
+    }
+    summary += `:\n`;
+    summary += `  Tasks: ${payment.tasks.length}\n`;
+    
+    // Show breakdown of rate sources
+    const customRateTasks = payment.tasks.filter(t => t.rateType === 'custom').length;
+    const defaultRateTasks = payment.tasks.filter(t => t.rateType === 'default').length;
+    const noRateTasks = payment.tasks.filter(t => !t.hasValidRate).length;
+    
+    if (customRateTasks > 0) summary += `    - ${customRateTasks} with custom rate\n`;
+    if (defaultRateTasks > 0) summary += `    - ${defaultRateTasks} with default rate\n`;
+    if (noRateTasks > 0) summary += `    - ${noRateTasks} with NO RATE ⚠️\n`;
+    
+    (payment.adjustments || []).forEach(adjustment => {
+      summary += `  Adjustment: ${adjustment.reason || 'No reason given'} (${formatAdjustmentAmount_(adjustment.amount, payment.currency)})\n`;
+    });
+    
+    summary += `  Total: ${formatCurrency_(payment.totalAmount, payment.currency)}\n`;
+    if (payment.tax && (payment.tax.tax !== 0 || payment.tax.withholding !== 0)) {
+      if (payment.tax.tax !== 0) {
+        summary += `  GST (${Math.round(payment.tax.taxRate * 100)}%): ${formatCurrency_(payment.tax.tax, payment.currency)}\n`;
+      }
+      if (payment.tax.withholding !== 0) {
+        summary += `  Withholding (${Math.round(payment.tax.withholdingRate * 100)}%): -${formatCurrency_(payment.tax.withholding, payment.currency)}\n`;
+      }
+      summary += `  Net Payable: ${formatCurrency_(payment.tax.netPayable, payment.currency)}\n`;
+    }
+    summary += `\n`;
+  });
+  
+  const totals = summarizeCurrencyTotals_(payments);
+  const currencies = Object.keys(totals.totalsByCurrency);
+  if (currencies.length <= 1) {
+    summary += `Grand Total: ${formatCurrency_(totals.grandTotal, currencies[0])}`;
+  } else {
+    currencies.forEach(currency => {
+      summary += `Total ${currency}: ${formatCurrency_(totals.totalsByCurrency[currency], currency)}\n`;
+    });
+    summary += totals.baseCurrencyTotal !== null
+      ? `Grand Total (in ${totals.baseCurrency}): ${formatCurrency_(totals.baseCurrencyTotal, totals.baseCurrency)}`
+      : `Grand Total (in ${totals.baseCurrency}): unavailable - add ${totals.missingExchangeRates.join(', ')} to the Exchange Rates sheet`;
+  }
+  
+  currencies.forEach(currency => {
+    const breakdown = totals.taxByCurrency[currency];
+    if (breakdown.tax !== 0 || breakdown.withholding !== 0) {
+      summary += `\nNet Payable ${currency}: ${formatCurrency_(breakdown.netPayable, currency)} ` +
+        `(GST ${formatCurrency_(breakdown.tax, currency)}, withholding ${formatCurrency_(breakdown.withholding, currency)})`;
+    }
+  });
+  return summary;
+}
+
+// Format currency
+function formatCurrency_(amount, currency = CONFIG.defaultCurrency) {
+  return new Intl.NumberFormat(CONFIG.currencyLocales[currency] || 'en-US', {
+    style: 'currency',
+    currency: currency
+  }).format(amount);
+}
+
+/**
+ * Total the payments per currency
+ * grandTotal is the plain total when every payment is in one currency; with several
+ * currencies it is the base currency equivalent from the Exchange Rates sheet, or null
+ * when a rate is missing.
+ * 
+ * Totals are pre-tax subtotals; taxByCurrency has the subtotal / tax / withholding / net payable breakdown.
+ * 
+ * @return {Object} { totalsByCurrency, taxByCurrency, grandTotal, baseCurrency, baseCurrencyTotal, missingExchangeRates }
+ */
+function summarizeCurrencyTotals_(payments) {
+  const totalsByCurrency = {};
+  const taxByCurrency = {};
+  Object.values(payments).forEach(payment => {
+    const currency = payment.currency || CONFIG.defaultCurrency;
+    totalsByCurrency[currency] = (totalsByCurrency[currency] || 0) + payment.totalAmount;
+    
+    const tax = payment.tax || calculateTax_(payment.totalAmount, null, currency);
+    const breakdown = taxByCurrency[currency] || { subtotal: 0, tax: 0, withholding: 0, netPayable: 0 };
+    breakdown.subtotal += tax.subtotal;
+    breakdown.tax += tax.tax;
+    breakdown.withholding += tax.withholding;
+    breakdown.netPayable += tax.netPayable;
+    taxByCurrency[currency] = breakdown;
+  });
+  
+  // Avoid floating point noise in summed amounts
+  Object.keys(totalsByCurrency).forEach(currency => {
+    totalsByCurrency[currency] = roundCurrency_(totalsByCurrency[currency], currency);
+    Object.keys(taxByCurrency[currency]).forEach(field => {
+      taxByCurrency[currency][field] = roundCurrency_(taxByCurrency[currency][field], currency);
+    });
+  });
+  
+  const currencies = Object.keys(totalsByCurrency);
+  const baseCurrency = CONFIG.baseCurrency;
+  const exchangeRates = currencies.some(currency => currency !== baseCurrency) ? getExchangeRates_() : {};
+  const missingExchangeRates = currencies.filter(currency => currency !== baseCurrency && !exchangeRates[currency]);
+  const baseCurrencyTotal = missingExchangeRates.length > 0 ? null : currencies.reduce((sum, currency) =>
+    sum + totalsByCurrency[currency] * (currency === baseCurrency ? 1 : exchangeRates[currency]), 0);
+  
+  return {
+    totalsByCurrency: totalsByCurrency,
+    taxByCurrency: taxByCurrency,
+    grandTotal: currencies.length <= 1 ? (totalsByCurrency[currencies[0]] || 0) : baseCurrencyTotal,
+    baseCurrency: baseCurrency,
+    baseCurrencyTotal: baseCurrencyTotal,
+    missingExchangeRates: missingExchangeRates
+  };
+}
+
+// Get exchange rates from the optional Exchange Rates sheet (Currency, Rate = base currency per unit)
+function getExchangeRates_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Exchange Rates');
+  const rates = {};
+  if (!sheet) {
+    return rates;
+  }
+  
+  const data = sheet.getDataRange().getValues();
+  const currencyColumn = data[0].indexOf('Currency');
+  const rateColumn = data[0].indexOf('Rate');
+  if (currencyColumn === -1 || rateColumn === -1) {
+    Logger.log('Warning: Exchange Rates sheet needs Currency and Rate columns');
+    return rates;
+  }
+  
+  // Skip header row
+  for (let i = 1; i < data.length; i++) {
+    const currency = String(data[i][currencyColumn] || '').trim().toUpperCase();
+    const rate = parseFloat(String(data[i][rateColumn]).replace(/[^\d.-]/g, ''));
+    if (currency && rate > 0) {
+      rates[currency] = rate;
+    }
+  }
+  
+  return rates;
+}
+
+// getExchangeRates_ with a viewer role check
+function getExchangeRates() {
+  return requireRole_('viewer', 'read exchange rates') || getExchangeRates_();
+}
+
+// Create invoice in Invoicing sheet
+function createInvoice_(payments) {
+  const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
+  let invoicingSheet = mainSheet.getSheetByName('Invoicing');
+  
+  if (!invoicingSheet) {
+    throw new Error('Invoicing sheet not found');
+  }
+  
+  // Initialize debug log for this function
+  const debugLog = [];
+  
+  // Invoicing sheet has headers in row 2
+  const headerRow = 2;
+  // Email and bank columns are left alone when missing - existing sheets usually fill them with lookup formulas
+  ['Currency', 'Subtotal', 'Tax', 'Withholding', 'Net Payable', 'Tax ID'].forEach(columnName => {
+    getOrCreateColumn_(invoicingSheet, columnName, headerRow);
+  });
+  const headers = invoicingSheet.getRange(headerRow, 1, 1, invoicingSheet.getLastColumn()).getValues()[0];
+  
+  // Find columns by name
+  const invoiceColumns = {
+    'Invoice Number': headers.indexOf('Invoice Number'),
+    'Date': headers.indexOf('Date'),
+    'Contractor': headers.indexOf('Contractor'),
+    'Work done': headers.indexOf('Work done'),
+    'Total': headers.indexOf('Total'),
+    'Currency': headers.indexOf('Currency'),
+    'Subtotal': headers.indexOf('Subtotal'),
+    'Tax': headers.indexOf('Tax'),
+    'Withholding': headers.indexOf('Withholding'),
+    'Net Payable': headers.indexOf('Net Payable'),
+    'Tax ID': headers.indexOf('Tax ID'),
+    'Email': headers.indexOf('Email'),
+    'ACCOUNT NAME': headers.indexOf('ACCOUNT NAME'),
+    'ACC NUMBER': headers.indexOf('ACC NUMBER'),
+    'BANK': headers.indexOf('BANK'),
+    'Playback Links': headers.indexOf('Playback Links')
+  };
+  
+  // Check if all required columns exist
+  Object.entries(invoiceColumns).forEach(([name, index]) => {
+    if (index === -1) {
+      Logger.log(`Warning: Column "${name}" not found in Invoicing sheet`);
+    }
+  });
+  
+  // Find the last row with data
+  const lastRow = invoicingSheet.getLastRow();
+  const nextRow = lastRow > headerRow ? lastRow + 1 : headerRow + 1; // Start after headers
+  
+  const invoiceData = [];
+  const invoiceLines = [];
+  const contractorInvoices = [];
+  const timestamp = new Date();
+  
+  // Reserve a single invoice number for this invocation; each contractor row gets a sub-number
+  const invoiceNumber = getNextInvoiceNumber_(timestamp);
+  
+  debugLog.push(`Creating invoice ${invoiceNumber} for ${Object.keys(payments).length} staff members`);
+  
+  Object.values(payments).forEach((payment, paymentIndex) => {
+    const contractorInvoiceNumber = formatContractorInvoiceNumber_(invoiceNumber, paymentIndex + 1);
+    contractorInvoices.push({
+      contractor: payment.legalName,
+      currency: payment.currency || CONFIG.defaultCurrency,
+      total: payment.totalAmount,
+      netPayable: payment.tax ? payment.tax.netPayable : payment.totalAmount,
+      invoiceNumber: contractorInvoiceNumber,
+      invoiceRow: nextRow + paymentIndex,
+      masterRows: payment.tasks.map(task => task.rowIndex),
+      adjustmentRows: (payment.adjustments || []).map(adjustment => adjustment.row)
+    });
+    
+    // One Invoice Lines row per task and adjustment; the Invoicing row is a summary of them
+    const lines = buildInvoiceLines_(contractorInvoiceNumber, payment);
+    invoiceLines.push(...lines);
+    const lineSummary = summarizeInvoiceLines_(lines);
+    
+    // Create row with proper number of columns
+    const maxColumnIndex = Math.max(...Object.values(invoiceColumns).filter(i => i !== -1));
+    const row = new Array(maxColumnIndex + 1).fill('');
+    
+    // Only populate the columns that exist
+    if (invoiceColumns['Invoice Number'] !== -1) {
+      row[invoiceColumns['Invoice Number']] = contractorInvoiceNumber;
+    }
+    if (invoiceColumns['Date'] !== -1) {
+      row[invoiceColumns['Date']] = timestamp;
+    }
+    if (invoiceColumns['Contractor'] !== -1) {
+      row[invoiceColumns['Contractor']] = payment.legalName;
+    }
+    if (invoiceColumns['Work done'] !== -1) {
+      row[invoiceColumns['Work done']] = lineSummary.workDone;
+    }
+    // Total is the invoice total including GST; Net Payable is what we actually pay
+    const tax = payment.tax || calculateTax_(lineSummary.subtotal, null, payment.currency);
+    if (Math.abs(tax.subtotal - lineSummary.subtotal) > 0.005) {
+      throw new Error(`Invoice lines for ${payment.legalName} add up to ${lineSummary.subtotal}, not ${tax.subtotal}`);
+    }
+    if (invoiceColumns['Total'] !== -1) {
+      row[invoiceColumns['Total']] = tax.subtotal + tax.tax;
+    }
+    if (invoiceColumns['Currency'] !== -1) {
+      row[invoiceColumns['Currency']] = payment.currency || CONFIG.defaultCurrency;
+    }
+    if (invoiceColumns['Subtotal'] !== -1) {
+      row[invoiceColumns['Subtotal']] = lineSummary.subtotal;
+    }
+    if (invoiceColumns['Tax'] !== -1) {
+      row[invoiceColumns['Tax']] = tax.tax;
+    }
+    if (invoiceColumns['Withholding'] !== -1) {
+      row[invoiceColumns['Withholding']] = tax.withholding;
+    }
+    if (invoiceColumns['Net Payable'] !== -1) {
+      row[invoiceColumns['Net Payable']] = tax.netPayable;
+    }
+    if (invoiceColumns['Tax ID'] !== -1) {
+      row[invoiceColumns['Tax ID']] = tax.taxId;
+    }
+    
+    // Payment details come from the staff registry; a leading ' keeps account numbers as text
+    const details = payment.paymentDetails || {};
+    if (invoiceColumns['Email'] !== -1) {
+      row[invoiceColumns['Email']] = details.email || '';
+    }
+    if (invoiceColumns['ACCOUNT NAME'] !== -1) {
+      row[invoiceColumns['ACCOUNT NAME']] = details.accountName || '';
+    }
+    if (invoiceColumns['ACC NUMBER'] !== -1) {
+      row[invoiceColumns['ACC NUMBER']] = details.accountNumber ? "'" + details.accountNumber : '';
+    }
+    if (invoiceColumns['BANK'] !== -1) {
+      row[invoiceColumns['BANK']] = details.bank || '';
+    }
+    if (invoiceColumns['Playback Links'] !== -1) {
+      row[invoiceColumns['Playback Links']] = lineSummary.playbackLinks;
+    }
+    
+    invoiceData.push(row);
+  });
+  
+  // Check if we need more rows and add exactly the right amount
+  const rowsNeeded = nextRow + invoiceData.length - 1;
+  const currentMaxRows = invoicingSheet.getMaxRows();
+  
+  if (rowsNeeded > currentMaxRows) {
+    const additionalRows = rowsNeeded - currentMaxRows; // Add exactly what we need
+    invoicingSheet.insertRowsAfter(currentMaxRows, additionalRows);
+    debugLog.push(`Added ${additionalRows} rows to Invoicing sheet (exactly ${invoiceData.length} invoice rows needed)`);
+  }
+  
+  // Write invoice data to sheet
+  if (invoiceData.length > 0) {
+    const maxCols = invoicingSheet.getMaxColumns();
+    
+    // First, copy formulas from the row above (if it exists and has data)
+    if (nextRow > headerRow + 1 && nextRow <= invoicingSheet.getMaxRows()) {
+      try {
+        const sourceRow = nextRow - 1;
+        const sourceRange = invoicingSheet.getRange(sourceRow, 1, 1, maxCols);
+        const targetRange = invoicingSheet.getRange(nextRow, 1, invoiceData.length, maxCols);
+        
+        // Copy formulas only (not values)
+        sourceRange.copyTo(targetRange, SpreadsheetApp.CopyPasteType.PASTE_FORMULA, false);
+        debugLog.push(`Copied formulas from row ${sourceRow} to rows ${nextRow}-${nextRow + invoiceData.length - 1}`);
+      } catch (error) {
+        Logger.log('Formula copy failed: ' + error.toString());
+        debugLog.push(`Formula copy failed: ${error.toString()}`);
+      }
+    }
+    
+    // Then write our data only to specific columns (preserving formulas in other columns)
+    const paymentDetailColumns = ['Email', 'ACCOUNT NAME', 'ACC NUMBER', 'BANK'];
+    Object.entries(invoiceColumns).forEach(([columnName, columnIndex]) => {
+      if (columnIndex !== -1 && columnIndex < maxCols && paymentDetailColumns.indexOf(columnName) !== -1) {
+        // Only overwrite a copied formula when the staff registry has the detail
+        invoiceData.forEach((row, index) => {
+          if (row[columnIndex] !== '') {
+            invoicingSheet.getRange(nextRow + index, columnIndex + 1).setValue(row[columnIndex]);
+          }
+        });
+      } else if (columnIndex !== -1 && columnIndex < maxCols) {
+        const columnData = invoiceData.map(row => [row[columnIndex]]);
+        if (columnData.length > 0) {
+          const columnRange = invoicingSheet.getRange(nextRow, columnIndex + 1, columnData.length, 1);
+          columnRange.setValues(columnData);
+        }
+      }
+    });
+    
+    debugLog.push(`Wrote ${invoiceData.length} invoice rows starting at row ${nextRow}`);
+    
+    // The formula copy also carries plain values, so reset any void details from the row above
+    ['Status', 'Void Reason', 'Voided At', 'Voided By'].forEach(columnName => {
+      const columnIndex = headers.indexOf(columnName);
+      if (columnIndex !== -1) {
+        const value = columnName === 'Status' ? 'Issued' : '';
+        invoicingSheet.getRange(nextRow, columnIndex + 1, invoiceData.length, 1)
+          .setValues(invoiceData.map(() => [value]));
+      }
+    });
+    
+    // Set text wrapping for the Work done column
+    if (invoiceColumns['Work done'] !== -1) {
+      const workDoneRange = invoicingSheet.getRange(
+        nextRow, 
+        invoiceColumns['Work done'] + 1, 
+        invoiceData.length, 
+        1
+      );
+      workDoneRange.setWrap(true);
+    }
+    
+    // Individual links live on Invoice Lines - keep this cell to one line so rows stay compact
+    if (invoiceColumns['Playback Links'] !== -1) {
+      invoicingSheet.getRange(nextRow, invoiceColumns['Playback Links'] + 1, invoiceData.length, 1)
+        .setWrapStrategy(SpreadsheetApp.WrapStrategy.CLIP);
+    }
+  }
+  
+  writeInvoiceLines_(invoiceLines);
+  debugLog.push(`Wrote ${invoiceLines.length} rows to Invoice Lines`);
+  
+  // Store debug log if there were any messages
+  if (debugLog.length > 0) {
+    const existingLog = JSON.parse(PropertiesService.getScriptProperties().getProperty('lastDebugLog') || '[]');
+    existingLog.push(...debugLog);
+    PropertiesService.getScriptProperties().setProperty('lastDebugLog', JSON.stringify(existingLog));
+  }
+  
+  return {
+    invoiceNumber: invoiceNumber,             // The generated invoice number
+    invoiceDate: timestamp,                   // When invoice was created
+    rowsCreated: invoiceData.length,          // Number of staff rows
+    contractorInvoices: contractorInvoices    // Per-contractor sub-numbers
+  };
+}
+
+/**
+ * Invoice Lines sheet columns (headers in row 1)
+ * One row per invoiced task or adjustment - the Invoicing row for each contractor is a summary of these
+ */
+const INVOICE_LINE_HEADERS = [
+  'Invoice Number',
+  'Contractor',
+  'Line Type', // Task or Adjustment
+  'MASTER Row',
+  'Adjustments Row',
+  'Task Type',
+  'League',
+  'Round',
+  'Teams',
+  'Done Date',
+  'Description',
+  'Rate',
+  'Currency',
+  'Rate Source',
+  'Playback Link'
+];
+
+// Build the Invoice Lines rows for one contractor invoice
+function buildInvoiceLines_(contractorInvoiceNumber, payment) {
+  const currency = payment.currency || CONFIG.defaultCurrency;
+  const taskLines = payment.tasks.map(task => ({
+    'Invoice Number': contractorInvoiceNumber,
+    'Contractor': payment.legalName,
+    'Line Type': 'Task',
+    'MASTER Row': task.rowIndex,
+    'Task Type': task.taskType,
+    'League': task.league || '',
+    'Round': task.round || '',
+    'Teams': `${task.team1 || ''} vs ${task.team2 || ''}`,
+    'Done Date': task.doneDate || '',
+    'Rate': task.rate,
+    'Currency': currency,
+    'Rate Source': task.rateSource || '',
+    'Playback Link': task.playbackLink || ''
+  }));
+  const adjustmentLines = (payment.adjustments || []).map(adjustment => ({
+    'Invoice Number': contractorInvoiceNumber,
+    'Contractor': payment.legalName,
+    'Line Type': 'Adjustment',
+    'Adjustments Row': adjustment.row,
+    'Description': adjustment.reason || 'No reason given',
+    'Rate': adjustment.amount,
+    'Currency': currency
+  }));
+  return taskLines.concat(adjustmentLines);
+}
+
+/**
+ * Summarise a contractor's invoice lines for the Invoicing row
+ * 
+ * @param {Array} lines - From buildInvoiceLines_() or getInvoiceLines()
+ * @return {Object} { subtotal, workDone: "3 x 1-Side - Basic\nAdjustment: ...", playbackLinks: "n links - see Invoice Lines" }
+ */
+function summarizeInvoiceLines_(lines) {
+  const countsByType = {};
+  const workDoneLines = [];
+  let subtotal = 0;
+  let linkCount = 0;
+  
+  lines.forEach(line => {
+    subtotal += Number(line['Rate'] || 0);
+    if (line['Line Type'] === 'Adjustment') {
+      workDoneLines.push(`Adjustment: ${line['Description']} (${formatAdjustmentAmount_(Number(line['Rate'] || 0), line['Currency'])})`);
+      return;
+    }
+    countsByType[line['Task Type']] = (countsByType[line['Task Type']] || 0) + 1;
+    if (line['Playback Link']) {
+      linkCount++;
+    }
+  });
+  
+  // Task types first, in the order they were invoiced, e.g. "3 x 1-Side - Basic\n35 x LEAGUE - BASIC"
+  const typeLines = Object.entries(countsByType).map(([type, count]) => `${count} x ${type}`);
+  const currency = lines.length > 0 ? lines[0]['Currency'] : CONFIG.defaultCurrency;
+  return {
+    subtotal: roundCurrency_(subtotal, currency),
+    workDone: typeLines.concat(workDoneLines).join('\n'),
+    playbackLinks: linkCount > 0 ? `${linkCount} link${linkCount === 1 ? '' : 's'} - see Invoice Lines` : ''
+  };
+}
+
+// Append rows to the Invoice Lines sheet in one write
+function writeInvoiceLines_(lines) {
+  if (lines.length === 0) {
+    return;
+  }
+  
+  const sheet = getOrCreateSheet_('Invoice Lines', INVOICE_LINE_HEADERS);
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const values = lines.map(line => headers.map(header => line[header] !== undefined ? line[header] : ''));
+  sheet.getRange(sheet.getLastRow() + 1, 1, values.length, headers.length).setValues(values);
+}
+
+/**
+ * Core API function to read the itemised lines of an invoice
+ * 
+ * @param {string} invoiceNumber - Base invoice number (all contractors) or contractor sub-number
+ * @return {Object} { success, invoiceNumber, lines: Array, totalsByInvoice: { invoiceNumber: subtotal }, error? }
+ *   Invoices created before the Invoice Lines sheet existed have no lines.
+ */
+function getInvoiceLines(invoiceNumber) {
+  try {
+    const denied = requireRole_('viewer', 'look up invoices');
+    if (denied) {
+      return denied;
+    }
+    
+    if (!invoiceNumber) {
+      return {
+        success: false,
+        error: 'Invoice number is required'
+      };
+    }
+    
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Invoice Lines');
+    const lines = [];
+    if (sheet && sheet.getLastRow() > 1) {
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const invoiceColumn = headers.indexOf('Invoice Number');
+      for (let i = 1; i < data.length; i++) {
+        if (!matchesInvoiceNumber_(data[i][invoiceColumn], invoiceNumber)) {
+          continue;
+        }
+        const line = { sheetRow: i + 1 };
+        headers.forEach((header, index) => {
+          const value = data[i][index];
+          line[header] = value instanceof Date ? formatDateValue_(value) : value;
+        });
+        lines.push(line);
+      }
+    }
+    
+    const totalsByInvoice = {};
+    lines.forEach(line => {
+      const lineInvoiceNumber = String(line['Invoice Number']);
+      totalsByInvoice[lineInvoiceNumber] = (totalsByInvoice[lineInvoiceNumber] || 0) + Number(line['Rate'] || 0);
+    });
+    
+    return {
+      success: true,
+      invoiceNumber: String(invoiceNumber),
+      lines: lines,
+      totalsByInvoice: totalsByInvoice
+    };
+    
+  } catch (error) {
+    Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
+  }
+}
+
+/**
+ * Reserve the next sequential invoice number
+ * The counter lives in script properties and is guarded by the script lock (the pay run's, or
+ * its own when called outside a pay run), so two runs can never be handed the same number. The sequence restarts whenever
+ * the date part of the format changes (e.g. yearly for INV-{yyyy}-{seq}).
+ * 
+ * @param {Date} date - Invoice date used for the date tokens
+ * @return {string} Invoice number, e.g. INV-2026-0042
+ */
+function getNextInvoiceNumber_(date = new Date()) {
+  const format = getInvoiceNumberFormat_();
+  const sequenceKey = `INVOICE_SEQUENCE:${renderInvoiceNumberFormat_(format, date, null)}`;
+  
+  const lock = PAY_RUN_LOCK ? null : LockService.getScriptLock();
+  if (lock) {
+    lock.waitLock(30000);
+  }
+  
+  try {
+    const properties = PropertiesService.getScriptProperties();
+    const sequence = Number(properties.getProperty(sequenceKey) || 0) + 1;
+    properties.setProperty(sequenceKey, String(sequence));
+    return renderInvoiceNumberFormat_(format, date, sequence);
+  } finally {
+    // Only release a lock we took - inside a pay run the lock belongs to runPayRunWithLock_
+    if (lock) {
+      lock.releaseLock();
+    }
+  }
+}
+
+// Get the configured invoice number format
+function getInvoiceNumberFormat_() {
+  const format = PropertiesService.getScriptProperties().getProperty('INVOICE_NUMBER_FORMAT') || CONFIG.invoiceNumberFormat;
+  validateInvoiceNumberFormat_(format);
+  return format;
+}
+
+// Throw when a format has no {seq} or could be confused with a contractor sub-number
+function validateInvoiceNumberFormat_(format) {
+  if (!format || String(format).indexOf('{seq}') === -1) {
+    throw new Error('Invoice number format must contain {seq}');
+  }
+  if (String(format).indexOf(CONFIG.invoiceSubNumberSeparator) !== -1) {
+    throw new Error(`Invoice number format cannot contain "${CONFIG.invoiceSubNumberSeparator}" - it separates contractor sub-numbers`);
+  }
+}
+
+// Set the invoice number format (stored in script properties)
+function setInvoiceNumberFormat(format) {
+  const denied = requireRole_('admin', 'change the invoice number format');
+  if (denied) {
+    return denied;
+  }
+  
+  validateInvoiceNumberFormat_(format);
+  
+  PropertiesService.getScriptProperties().setProperty('INVOICE_NUMBER_FORMAT', String(format));
+  return {
+    success: true,
+    format: String(format),
+    example: renderInvoiceNumberFormat_(String(format), new Date(), 1)
+  };
+}
+
+// Fill in the date and sequence tokens of an invoice number format
+// A null sequence leaves {seq} in place (used as the sequence scope key)
+function renderInvoiceNumberFormat_(format, date, sequence) {
+  const timeZone = Session.getScriptTimeZone();
+  const rendered = format
+    .replace(/\{yyyy\}/g, Utilities.formatDate(date, timeZone, 'yyyy'))
+    .replace(/\{yy\}/g, Utilities.formatDate(date, timeZone, 'yy'))
+    .replace(/\{MM\}/g, Utilities.formatDate(date, timeZone, 'MM'))
+    .replace(/\{dd\}/g, Utilities.formatDate(date, timeZone, 'dd'));
+  
+  if (sequence === null) {
+    return rendered;
+  }
+  return rendered.replace(/\{seq\}/g, String(sequence).padStart(CONFIG.invoiceSequenceDigits, '0'));
+}
+
+// Build the per-contractor sub-number, e.g. INV-2026-0042.03
+function formatContractorInvoiceNumber_(invoiceNumber, index) {
+  return `${invoiceNumber}${CONFIG.invoiceSubNumberSeparator}${String(index).padStart(CONFIG.invoiceSubNumberDigits, '0')}`;
+}
+
+// Strip the contractor sub-number from an invoice number (INV-2026-0042.03 -> INV-2026-0042)
+// Rows invoiced before the separator was introduced end in -NN (INV-2026-0042-03)
+function getBaseInvoiceNumber_(invoiceNumber) {
+  const text = String(invoiceNumber);
+  const separatorIndex = text.lastIndexOf(CONFIG.invoiceSubNumberSeparator);
+  if (separatorIndex > 0) {
+    return text.slice(0, separatorIndex);
+  }
+  const legacyMatch = text.match(new RegExp(`^(.+)-\\d{${CONFIG.invoiceSubNumberDigits}}$`));
+  return legacyMatch ? legacyMatch[1] : text;
+}
+
+// Check whether an Invoicing row's number belongs to an invoice
+// Matches the exact contractor sub-number or every sub-number of a base invoice number
+function matchesInvoiceNumber_(rowInvoiceNumber, invoiceNumber) {
+  const rowNumber = String(rowInvoiceNumber);
+  const searchNumber = String(invoiceNumber);
+  return rowNumber === searchNumber ||
+    (rowNumber.indexOf(searchNumber) === 0 && getBaseInvoiceNumber_(rowNumber) === searchNumber);
+}
+
+// Mark work as invoiced in MASTER sheet
+// When the createInvoice_ result is given, each row is also linked to its invoice number and row
+function markWorkAsInvoiced_(workLogData, invoiceResult = null) {
+  const masterSheet = getMasterSheet_();
+  
+  // Get the Paid column index - MASTER sheet has headers in row 2
+  const paidColumnIndex = getColumnIndex_(masterSheet, 'Paid', 2);
+  
+  // Map each MASTER row to the contractor invoice that covers it
+  const invoiceLinks = {};
+  if (invoiceResult && invoiceResult.contractorInvoices) {
+    invoiceResult.contractorInvoices.forEach(contractorInvoice => {
+      contractorInvoice.masterRows.forEach(rowIndex => {
+        invoiceLinks[rowIndex] = contractorInvoice;
+      });
+    });
+  }
+  
+  const hasLinks = Object.keys(invoiceLinks).length > 0;
+  const invoiceNumberColumnIndex = hasLinks ? getOrCreateColumn_(masterSheet, 'Invoice Number', 2) : -1;
+  const invoiceRowColumnIndex = hasLinks ? getOrCreateColumn_(masterSheet, 'Invoice Row', 2) : -1;
+  
+  workLogData.forEach(work => {
+    masterSheet.getRange(work.rowIndex, paidColumnIndex).setValue('Invoiced');
+    
+    const link = invoiceLinks[work.rowIndex];
+    if (link) {
+      masterSheet.getRange(work.rowIndex, invoiceNumberColumnIndex).setValue(link.invoiceNumber);
+      masterSheet.getRange(work.rowIndex, invoiceRowColumnIndex).setValue(link.invoiceRow);
+    }
+  });
+}
+
+// Get the MASTER sheet from the work log spreadsheet
+function getMasterSheet_() {
+  const workLogSheet = SpreadsheetApp.openById(CONFIG.workLogSheetId);
+  const masterSheet = workLogSheet.getSheetByName(CONFIG.workLogSheetName);
+  
+  if (!masterSheet) {
+    throw new Error('MASTER sheet not found in work log spreadsheet');
+  }
+  return masterSheet;
+}
+
+// Get a column index by name, adding the header after the last column if it is missing
+function getOrCreateColumn_(sheet, columnName, headerRow = 1) {
+  const lastColumn = sheet.getLastColumn();
+  const headers = sheet.getRange(headerRow, 1, 1, lastColumn).getValues()[0];
+  const index = headers.indexOf(columnName);
+  if (index !== -1) {
+    return index + 1; // 1-based index for Sheets API
+  }
+  
+  if (lastColumn >= sheet.getMaxColumns()) {
+    sheet.insertColumnAfter(lastColumn);
+  }
+  sheet.getRange(headerRow, lastColumn + 1).setValue(columnName);
+  Logger.log(`Added column "${columnName}" to sheet "${sheet.getName()}"`);
+  return lastColumn + 1;
+}
+
+/**
+ * Find the MASTER rows covered by an invoice
+ * Rows are matched by the Invoice Number written back by markWorkAsInvoiced_. Older contractor invoices
+ * with no MASTER row stamped with their number fall back to their recorded playback links, but only for
+ * rows that are already Invoiced or Paid and whose Assign resolves to that invoice's contractor.
+ * 
+ * @param {string} invoiceNumber - Base invoice number or contractor sub-number
+ * @param {string} contractor - Optional contractor name to narrow the rows
+ * @return {Object} { invoiceRows, masterSheet, columns, rows: [{ rowNumber, values, linkedBy }] }
+ */
+function findInvoiceMasterRows_(invoiceNumber, contractor = null) {
+  const invoiceRows = getInvoiceRows_(invoiceNumber, contractor);
+  const contractorInvoiceNumbers = new Set(invoiceRows.rows
+    .map(invoiceRow => String(invoiceRow.values[invoiceRows.columns['Invoice Number']])));
+  
+  const masterSheet = getMasterSheet_();
+  const cols = getColumnIndices_(masterSheet, [
+    'Assign', 'LEAGUE', 'Round', 'Team 1', 'Team 2', 'STATS LEVEL', 'Playback Link',
+    'Paid', 'Paid Date', 'Payment Method', 'Done Date', 'Invoice Number', 'Invoice Row'
+  ], 2); // Headers in row 2
+  const data = masterSheet.getDataRange().getValues();
+  const rows = [];
+  const stampedInvoiceNumbers = new Set();
+  
+  if (invoiceRows.rows.length > 0 && cols['Invoice Number'] !== -1) {
+    for (let i = 2; i < data.length; i++) {
+      const linkedInvoiceNumber = String(data[i][cols['Invoice Number']] || '');
+      if (contractorInvoiceNumbers.has(linkedInvoiceNumber)) {
+        rows.push({ rowNumber: i + 1, values: data[i], linkedBy: 'invoiceNumber' });
+        stampedInvoiceNumbers.add(linkedInvoiceNumber);
+      }
+    }
+  }
+  
+  // Legacy contractor invoices: unlinked rows with the same playback link, invoiced to the same contractor
+  const legacyInvoiceRows = invoiceRows.rows.filter(invoiceRow =>
+    !stampedInvoiceNumbers.has(String(invoiceRow.values[invoiceRows.columns['Invoice Number']])));
+  if (legacyInvoiceRows.length > 0 && cols['Playback Link'] !== -1 && cols['Assign'] !== -1) {
+    const staffMapping = getStaffMapping_();
+    const staffLookup = buildMatchLookup_(Object.keys(staffMapping));
+    const legalNameOf = assign => {
+      const staffKey = resolveMatchKey_(assign, staffMapping, staffLookup);
+      return normalizeMatchKey_(staffMapping[staffKey] || staffKey);
+    };
     
-    <div class="loading" id="loading">
-      <div class="spinner"></div>
-      <div>Processing request...</div>
-    </div>
+    legacyInvoiceRows.forEach(invoiceRow => {
+      const invoiceContractor = normalizeMatchKey_(invoiceRow.values[invoiceRows.columns['Contractor']]);
+      const playbackLinks = new Set(parsePlaybackLinks_(invoiceRow.values[invoiceRows.columns['Playback Links']]));
+      
+      for (let i = 2; i < data.length; i++) {
+        const row = data[i];
+        const linkedInvoiceNumber = cols['Invoice Number'] !== -1 ? String(row[cols['Invoice Number']] || '') : '';
+        const paid = cols['Paid'] !== -1 ? String(row[cols['Paid']]).trim() : '';
+        const playbackLink = String(row[cols['Playback Link']] || '').trim();
+        
+        if (!linkedInvoiceNumber && (paid === 'Invoiced' || paid === 'Paid') &&
+            playbackLink && playbackLinks.has(playbackLink) &&
+            legalNameOf(row[cols['Assign']]) === invoiceContractor &&
+            !rows.some(found => found.rowNumber === i + 1)) {
+          rows.push({ rowNumber: i + 1, values: row, linkedBy: 'playbackLink' });
+        }
+      }
+    });
+  }
+  rows.sort((a, b) => a.rowNumber - b.rowNumber);
+  
+  return {
+    invoiceRows: invoiceRows,
+    masterSheet: masterSheet,
+    columns: cols,
+    rows: rows
+  };
+}
+
+// Create a serializable task from a MASTER row
+function serializeMasterTask_(rowNumber, row, cols) {
+  const value = name => cols[name] !== undefined && cols[name] !== -1 ? row[cols[name]] : '';
+  return {
+    rowIndex: rowNumber,
+    staffName: String(value('Assign') || ''),
+    taskType: String(value('STATS LEVEL') || ''),
+    league: String(value('LEAGUE') || ''),
+    round: String(value('Round') || ''),
+    team1: String(value('Team 1') || ''),
+    team2: String(value('Team 2') || ''),
+    playbackLink: String(value('Playback Link') || ''),
+    doneDate: formatDateValue_(value('Done Date')),
+    paid: String(value('Paid') || ''),
+    paidDate: formatDateValue_(value('Paid Date')),
+    paymentMethod: String(value('Payment Method') || ''),
+    invoiceNumber: String(value('Invoice Number') || ''),
+    invoiceRow: value('Invoice Row') ? Number(value('Invoice Row')) : null
+  };
+}
+
+/**
+ * Core API function to list the MASTER task rows on an invoice
+ * 
+ * @param {string} invoiceNumber - Base invoice number or contractor sub-number
+ * @return {Object} { success: boolean, invoiceNumber: string, tasks: Array, error?: string }
+ */
+function getInvoiceTasks(invoiceNumber) {
+  try {
+    const denied = requireRole_('viewer', 'look up invoices');
+    if (denied) {
+      return denied;
+    }
     
-    <div class="results" id="results"></div>
+    if (!invoiceNumber) {
+      return {
+        success: false,
+        error: 'Invoice number is required'
+      };
+    }
     
-    <div class="api-docs">
-      <h3>API Documentation</h3>
-      <p>This web app provides both a user interface and programmatic API access:</p>
-      
-      <div class="endpoint">
-        <strong>GET ?action=preview</strong><br>
-        Returns payment preview without creating invoices
-      </div>
-      
-      <div class="endpoint">
-        <strong>GET ?action=calculatePay</strong><br>
-        Calculates payments and creates invoices
-      </div>
-      
-      <div class="endpoint">
-        <strong>GET ?action=getStatus</strong><br>
-        Returns current status (unpaid task count)
-      </div>
-      
-      <div class="endpoint">
-        <strong>GET ?action=getDebugLog</strong><br>
-        Returns debug information
-      </div>
-      
-      
-      <div class="endpoint">
-        <strong>GET ?action=test</strong><br>
-        Test endpoint to verify API connectivity
-      </div>
-      
-      <div class="endpoint">
-        <strong>GET ?action=exportLatestInvoice</strong><br>
-        Exports the most recently created invoice as PDF
-      </div>
-      
-      <div class="endpoint">
-        <strong>GET ?action=exportInvoicePDF&invoiceNumber=[number]</strong><br>
-        Exports specific invoice by invoice number as PDF
-      </div>
-      
-      <div class="endpoint">
-        <strong>GET ?action=exportInvoicePDF&daysBack=[number]</strong><br>
-        Exports invoices from the last N days as PDF (default: 30 days)
-      </div>
-      
-      <h4>Direct Function Calls (Google Apps Script)</h4>
-      <p>You can also call these functions directly:</p>
-      <ul>
-        <li><code>calculateStaffPay()</code> - Returns payment calculation results</li>
-        <li><code>createInvoicesAndMark(workLogData, payments)</code> - Creates invoices</li>
-        <li><code>getUnpaidWorkFromMaster()</code> - Gets unpaid work data</li>
-        <li><code>getPayConfiguration()</code> - Gets pay rates</li>
-        <li><code>getStaffMapping()</code> - Gets staff mappings</li>
-      </ul>
-    </div>
-  </div>
+    const found = findInvoiceMasterRows_(invoiceNumber);
+    if (found.invoiceRows.rows.length === 0) {
+      return {
+        success: false,
+        error: `Invoice ${invoiceNumber} not found`
+      };
+    }
+    
+    const invoiceColumns = found.invoiceRows.columns;
+    return {
+      success: true,
+      invoiceNumber: String(invoiceNumber),
+      invoices: found.invoiceRows.rows.map(invoiceRow => ({
+        invoiceNumber: String(invoiceRow.values[invoiceColumns['Invoice Number']]),
+        invoiceRow: invoiceRow.rowNumber,
+        contractor: invoiceColumns['Contractor'] !== -1 ? String(invoiceRow.values[invoiceColumns['Contractor']]) : '',
+        date: invoiceColumns['Date'] !== -1 ? formatDateValue_(invoiceRow.values[invoiceColumns['Date']]) : '',
+        total: invoiceColumns['Total'] !== -1 ? Number(invoiceRow.values[invoiceColumns['Total']] || 0) : 0
+      })),
+      taskCount: found.rows.length,
+      tasks: found.rows.map(masterRow => ({
+        ...serializeMasterTask_(masterRow.rowNumber, masterRow.values, found.columns),
+        linkedBy: masterRow.linkedBy
+      }))
+    };
+    
+  } catch (error) {
+    Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
+  }
+}
 
-  <script>
-    function showLoading() {
-      document.getElementById('loading').style.display = 'block';
-      document.getElementById('results').style.display = 'none';
+/**
+ * Core API function to find the invoice a MASTER task row went into
+ * 
+ * @param {number} rowIndex - 1-based MASTER row number
+ * @return {Object} { success: boolean, task: Object, invoice: Object|null, error?: string }
+ */
+function getTaskInvoice(rowIndex) {
+  try {
+    const denied = requireRole_('viewer', 'look up invoices');
+    if (denied) {
+      return denied;
     }
     
-    function hideLoading() {
-      document.getElementById('loading').style.display = 'none';
+    const rowNumber = parseInt(rowIndex);
+    if (!rowNumber || rowNumber < 3) {
+      return {
+        success: false,
+        error: 'A MASTER row number (3 or above) is required'
+      };
     }
     
-    function showResults(content, isError = false) {
-      const resultsDiv = document.getElementById('results');
-      resultsDiv.innerHTML = content;
-      resultsDiv.className = 'results ' + (isError ? 'error' : 'success');
-      resultsDiv.style.display = 'block';
-      hideLoading();
+    const masterSheet = getMasterSheet_();
+    if (rowNumber > masterSheet.getLastRow()) {
+      return {
+        success: false,
+        error: `Row ${rowNumber} is beyond the last MASTER row`
+      };
+    }
+    
+    const cols = getColumnIndices_(masterSheet, [
+      'Assign', 'LEAGUE', 'Round', 'Team 1', 'Team 2', 'STATS LEVEL', 'Playback Link',
+      'Paid', 'Paid Date', 'Payment Method', 'Done Date', 'Invoice Number', 'Invoice Row'
+    ], 2); // Headers in row 2
+    const row = masterSheet.getRange(rowNumber, 1, 1, masterSheet.getLastColumn()).getValues()[0];
+    const task = serializeMasterTask_(rowNumber, row, cols);
+    
+    if (!task.invoiceNumber) {
+      return {
+        success: true,
+        task: task,
+        invoice: null,
+        message: task.paid ?
+          `Row ${rowNumber} is marked "${task.paid}" but has no linked invoice number` :
+          `Row ${rowNumber} has not been invoiced`
+      };
+    }
+    
+    const invoiceRows = getInvoiceRows_(task.invoiceNumber);
+    const invoiceColumns = invoiceRows.columns;
+    const invoiceRow = invoiceRows.rows.find(r => r.rowNumber === task.invoiceRow) || invoiceRows.rows[0];
+    
+    if (!invoiceRow) {
+      return {
+        success: true,
+        task: task,
+        invoice: null,
+        message: `Invoice ${task.invoiceNumber} is no longer on the Invoicing sheet`
+      };
+    }
+    
+    return {
+      success: true,
+      task: task,
+      invoice: {
+        invoiceNumber: String(invoiceRow.values[invoiceColumns['Invoice Number']]),
+        invoiceRow: invoiceRow.rowNumber,
+        contractor: invoiceColumns['Contractor'] !== -1 ? String(invoiceRow.values[invoiceColumns['Contractor']]) : '',
+        date: invoiceColumns['Date'] !== -1 ? formatDateValue_(invoiceRow.values[invoiceColumns['Date']]) : '',
+        total: invoiceColumns['Total'] !== -1 ? Number(invoiceRow.values[invoiceColumns['Total']] || 0) : 0
+      }
+    };
+    
+  } catch (error) {
+    Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
+  }
+}
+
+/**
+ * Core API function to settle an invoice once money has gone out
+ * Flips every MASTER row linked to the invoice from "Invoiced" to "Paid"
+ * and fills in Paid Date and Payment Method
+ * 
+ * @param {string} invoiceNumber - Invoice number from the Invoicing sheet
+ * @param {Object} options - { contractor?: string, paymentMethod: string, paidDate?: Date|string }
+ * @return {Object} { success: boolean, message?: string, error?: string, rowsUpdated?: number }
+ */
+function markInvoiceAsPaid(invoiceNumber, options = {}) {
+  try {
+    const denied = requireRole_('approver', 'mark invoices as paid');
+    if (denied) {
+      return denied;
+    }
+    
+    if (!invoiceNumber) {
+      return {
+        success: false,
+        error: 'Invoice number is required'
+      };
+    }
+    
+    const paymentMethod = options.paymentMethod ? String(options.paymentMethod).trim() : '';
+    if (!paymentMethod) {
+      return {
+        success: false,
+        error: 'Payment method is required'
+      };
+    }
+    
+    const paidDate = options.paidDate ? parsePeriodDate_(options.paidDate, 'paid') : new Date();
+    const contractor = options.contractor ? String(options.contractor).trim() : null;
+    
+    const found = findInvoiceMasterRows_(invoiceNumber, contractor);
+    if (found.invoiceRows.rows.length === 0) {
+      return {
+        success: false,
+        error: contractor ?
+          `No invoice rows found for ${invoiceNumber} and contractor "${contractor}"` :
+          `No invoice rows found for ${invoiceNumber}`
+      };
+    }
+    
+    if (found.invoiceRows.rows.every(invoiceRow => isVoidedInvoiceRow_(found.invoiceRows, invoiceRow))) {
+      return {
+        success: false,
+        error: `Invoice ${invoiceNumber} has been voided`
+      };
+    }
+    
+    const masterSheet = found.masterSheet;
+    
+    // MASTER sheet has headers in row 2
+    const paidColumnIndex = getColumnIndex_(masterSheet, 'Paid', 2);
+    const paidDateColumnIndex = getColumnIndex_(masterSheet, 'Paid Date', 2);
+    const paymentMethodColumnIndex = getColumnIndex_(masterSheet, 'Payment Method', 2);
+    
+    const updatedRows = [];
+    
+    found.rows.forEach(masterRow => {
+      if (masterRow.values[paidColumnIndex - 1] === 'Invoiced') {
+        masterSheet.getRange(masterRow.rowNumber, paidColumnIndex).setValue('Paid');
+        masterSheet.getRange(masterRow.rowNumber, paidDateColumnIndex).setValue(paidDate);
+        masterSheet.getRange(masterRow.rowNumber, paymentMethodColumnIndex).setValue(paymentMethod);
+        updatedRows.push(masterRow.rowNumber);
+      }
+    });
+    
+    if (updatedRows.length === 0) {
+      return {
+        success: false,
+        error: `No invoiced MASTER rows found for ${invoiceNumber}${contractor ? ` (${contractor})` : ''}. They may already be marked as paid.`
+      };
+    }
+    
+    return {
+      success: true,
+      message: `Marked ${updatedRows.length} tasks as paid for ${invoiceNumber}${contractor ? ` (${contractor})` : ''}`,
+      invoiceNumber: String(invoiceNumber),
+      contractor: contractor,
+      paymentMethod: paymentMethod,
+      paidDate: formatDateValue_(paidDate),
+      rowsUpdated: updatedRows.length,
+      masterRows: updatedRows
+    };
+    
+  } catch (error) {
+    Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
+  }
+}
+
+/**
+ * Google Sheets UI version of markInvoiceAsPaid
+ * Prompts for the invoice number, optional contractor and payment method
+ */
+function markInvoiceAsPaidUI() {
+  const ui = SpreadsheetApp.getUi();
+  
+  try {
+    const denied = requireRole_('approver', 'mark invoices as paid');
+    if (denied) {
+      ui.alert('Permission denied', denied.error, ui.ButtonSet.OK);
+      return;
+    }
+    
+    const invoiceResponse = ui.prompt('Mark Invoice as Paid', 'Invoice number:', ui.ButtonSet.OK_CANCEL);
+    if (invoiceResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    
+    const contractorResponse = ui.prompt(
+      'Mark Invoice as Paid',
+      'Contractor (leave blank to mark every contractor on the invoice):',
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (contractorResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    
+    const methodResponse = ui.prompt('Mark Invoice as Paid', 'Payment method (e.g. Bank Transfer):', ui.ButtonSet.OK_CANCEL);
+    if (methodResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    
+    const result = markInvoiceAsPaid(invoiceResponse.getResponseText().trim(), {
+      contractor: contractorResponse.getResponseText().trim() || null,
+      paymentMethod: methodResponse.getResponseText().trim()
+    });
+    
+    if (result.success) {
+      ui.alert('Success', result.message, ui.ButtonSet.OK);
+    } else {
+      ui.alert('Error', result.error, ui.ButtonSet.OK);
+    }
+    
+  } catch (error) {
+    ui.alert('Error', 'An error occurred: ' + error.toString(), ui.ButtonSet.OK);
+    Logger.log(error);
+  }
+}
+
+/**
+ * Get the Invoicing sheet rows for an invoice number
+ * 
+ * @param {string} invoiceNumber - Invoice number to find
+ * @param {string} contractor - Optional contractor name to narrow the rows
+ * @return {Object} { sheet, headerRow, headers, columns, rows: [{ rowNumber, values }] }
+ */
+function getInvoiceRows_(invoiceNumber, contractor = null) {
+  const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
+  const invoicingSheet = mainSheet.getSheetByName('Invoicing');
+  
+  if (!invoicingSheet) {
+    throw new Error('Invoicing sheet not found');
+  }
+  
+  // Invoicing sheet has headers in row 2
+  const headerRow = 2;
+  const columns = getColumnIndices_(invoicingSheet, ['Invoice Number', 'Date', 'Contractor', 'Work done', 'Total', 'Playback Links', 'Status'], headerRow);
+  
+  if (columns['Invoice Number'] === -1) {
+    throw new Error('Invoice Number column not found');
+  }
+  
+  const lastRow = invoicingSheet.getLastRow();
+  const headers = invoicingSheet.getRange(headerRow, 1, 1, invoicingSheet.getLastColumn()).getValues()[0];
+  const rows = [];
+  
+  if (lastRow > headerRow) {
+    const data = invoicingSheet.getRange(headerRow + 1, 1, lastRow - headerRow, headers.length).getValues();
+    data.forEach((values, index) => {
+      if (!matchesInvoiceNumber_(values[columns['Invoice Number']], invoiceNumber)) {
+        return;
+      }
+      if (contractor && columns['Contractor'] !== -1 &&
+          String(values[columns['Contractor']]).trim().toLowerCase() !== contractor.toLowerCase()) {
+        return;
+      }
+      rows.push({
+        rowNumber: headerRow + 1 + index,
+        values: values
+      });
+    });
+  }
+  
+  return {
+    sheet: invoicingSheet,
+    headerRow: headerRow,
+    headers: headers,
+    columns: columns,
+    rows: rows
+  };
+}
+
+// Check whether an Invoicing row has been voided
+function isVoidedInvoiceRow_(invoiceRows, invoiceRow) {
+  return invoiceRows.columns['Status'] !== -1 &&
+    String(invoiceRow.values[invoiceRows.columns['Status']]) === 'Voided';
+}
+
+/**
+ * Core API function to void an invoice and release its tasks back to unpaid
+ * Marks the Invoicing rows as Voided with a reason and timestamp, and resets the
+ * linked MASTER "Paid" cells from "Invoiced" back to blank.
+ * Refuses if any linked task has already been paid.
+ * 
+ * @param {string} invoiceNumber - Base invoice number or contractor sub-number
+ * @param {string} reason - Why the invoice is being voided
+ * @return {Object} { success: boolean, message?: string, error?: string, tasksReleased?: number }
+ */
+function voidInvoice(invoiceNumber, reason) {
+  try {
+    const denied = requireRole_('approver', 'void invoices');
+    if (denied) {
+      return denied;
+    }
+    
+    if (!invoiceNumber) {
+      return {
+        success: false,
+        error: 'Invoice number is required'
+      };
     }
     
-    function previewPayments() {
-      showLoading();
-      console.log('Calling handleCalculatePayPreviewRequest with directReturn=true');
-      google.script.run
-        .withSuccessHandler(handleSuccess)
-        .withFailureHandler(handleFailure)
-        .handleCalculatePayPreviewRequest(true);
+    const voidReason = reason ? String(reason).trim() : '';
+    if (!voidReason) {
+      return {
+        success: false,
+        error: 'A reason is required to void an invoice'
+      };
     }
     
-    function calculatePayments() {
-      if (confirm('This will create invoices and mark work as paid. Continue?')) {
-        showLoading();
-        google.script.run
-          .withSuccessHandler(handleSuccess)
-          .withFailureHandler(handleFailure)
-          .handleCalculatePayRequest();
-      }
-    }
+    const found = findInvoiceMasterRows_(invoiceNumber);
+    const invoiceRows = found.invoiceRows;
     
-    function checkStatus() {
-      showLoading();
-      google.script.run
-        .withSuccessHandler(handleSuccess)
-        .withFailureHandler(handleFailure)
-        .handleStatusRequest();
+    if (invoiceRows.rows.length === 0) {
+      return {
+        success: false,
+        error: `No invoice rows found for ${invoiceNumber}`
+      };
     }
     
-    function getDebugLog() {
-      showLoading();
-      google.script.run
-        .withSuccessHandler(handleSuccess)
-        .withFailureHandler(handleFailure)
-        .handleDebugLogRequest();
+    const activeInvoiceRows = invoiceRows.rows.filter(invoiceRow => !isVoidedInvoiceRow_(invoiceRows, invoiceRow));
+    if (activeInvoiceRows.length === 0) {
+      return {
+        success: false,
+        error: `Invoice ${invoiceNumber} has already been voided`
+      };
     }
     
-    function testConnection() {
-      showLoading();
-      console.log('Calling simpleTest function');
-      google.script.run
-        .withSuccessHandler(handleSuccess)
-        .withFailureHandler(handleFailure)
-        .simpleTest();
+    // Money has already gone out for paid tasks - they must be handled manually
+    const paidRows = found.rows.filter(masterRow => masterRow.values[found.columns['Paid']] === 'Paid');
+    if (paidRows.length > 0) {
+      return {
+        success: false,
+        error: `Cannot void ${invoiceNumber}: ${paidRows.length} linked tasks are already marked as Paid (MASTER rows ${paidRows.map(r => r.rowNumber).join(', ')})`
+      };
     }
     
+    const voidedAt = new Date();
+    const voidedBy = getRequestUser_() || 'unknown';
+    
+    // Mark the Invoicing rows as voided (headers in row 2)
+    const invoicingSheet = invoiceRows.sheet;
+    const statusColumnIndex = getOrCreateColumn_(invoicingSheet, 'Status', invoiceRows.headerRow);
+    const reasonColumnIndex = getOrCreateColumn_(invoicingSheet, 'Void Reason', invoiceRows.headerRow);
+    const voidedAtColumnIndex = getOrCreateColumn_(invoicingSheet, 'Voided At', invoiceRows.headerRow);
+    const voidedByColumnIndex = getOrCreateColumn_(invoicingSheet, 'Voided By', invoiceRows.headerRow);
+    
+    activeInvoiceRows.forEach(invoiceRow => {
+      invoicingSheet.getRange(invoiceRow.rowNumber, statusColumnIndex).setValue('Voided');
+      invoicingSheet.getRange(invoiceRow.rowNumber, reasonColumnIndex).setValue(voidReason);
+      invoicingSheet.getRange(invoiceRow.rowNumber, voidedAtColumnIndex).setValue(voidedAt);
+      invoicingSheet.getRange(invoiceRow.rowNumber, voidedByColumnIndex).setValue(voidedBy);
+    });
     
-    function handleSuccess(result) {
-      console.log('handleSuccess called with result:', result);
-      console.log('Result type:', typeof result);
-      console.log('Result keys:', Object.keys(result || {}));
-      
-      // Check if result is null or undefined
-      if (!result) {
-        console.error('Result is null/undefined');
-        showResults('<strong>Error:</strong> Server function returned null. Check server-side logs.', true);
+    // Release the linked MASTER rows back to unpaid (headers in row 2)
+    const masterSheet = found.masterSheet;
+    const paidColumnIndex = getColumnIndex_(masterSheet, 'Paid', 2);
+    const releasedRows = [];
+    
+    found.rows.forEach(masterRow => {
+      if (masterRow.values[paidColumnIndex - 1] !== 'Invoiced') {
         return;
       }
-      
-      // Result should now be a direct object when using directReturn=true
-      if (result.error) {
-        console.log('Error found:', result.error);
-        showResults('<strong>Error:</strong> ' + result.error, true);
-      } else {
-        console.log('Attempting to JSON.stringify result...');
-        try {
-          const jsonString = JSON.stringify(result, null, 2);
-          console.log('JSON stringify successful, length:', jsonString.length);
-          showResults('<pre>' + jsonString + '</pre>');
-        } catch (e) {
-          console.error('JSON.stringify failed:', e);
-          showResults('<strong>JSON Error:</strong> Could not serialize result - ' + e.message, true);
-        }
+      masterSheet.getRange(masterRow.rowNumber, paidColumnIndex).setValue('');
+      if (found.columns['Invoice Number'] !== -1) {
+        masterSheet.getRange(masterRow.rowNumber, found.columns['Invoice Number'] + 1).setValue('');
       }
-    }
-    
-    function handleFailure(error) {
-      console.error('handleFailure called with error:', error);
-      console.error('Error message:', error.message);
-      console.error('Error stack:', error.stack);
-      showResults('<strong>Request failed:</strong> ' + error.message, true);
-    }
+      if (found.columns['Invoice Row'] !== -1) {
+        masterSheet.getRange(masterRow.rowNumber, found.columns['Invoice Row'] + 1).setValue('');
+      }
+      releasedRows.push(masterRow.rowNumber);
+    });
     
-    function exportLatestInvoice() {
-      showLoading();
-      google.script.run
-        .withSuccessHandler(handleSuccess)
-        .withFailureHandler(handleFailure)
-        .exportLatestInvoicePDF();
-    }
+    const releasedAdjustments = releaseAdjustments_(invoiceNumber);
     
-    function exportInvoiceByNumber() {
-      const invoiceNumber = document.getElementById('invoiceNumber').value.trim();
-      if (!invoiceNumber) {
-        showResults('<strong>Error:</strong> Please enter an invoice number', true);
-        return;
-      }
-      showLoading();
-      google.script.run
-        .withSuccessHandler(handleSuccess)
-        .withFailureHandler(handleFailure)
-        .exportInvoicesPDF(invoiceNumber, null);
-    }
+    Logger.log(`Voided ${invoiceNumber} (${activeInvoiceRows.length} rows) by ${voidedBy}: ${voidReason}`);
     
-    function exportRecentInvoices() {
-      const daysBack = parseInt(document.getElementById('daysBack').value) || 30;
-      showLoading();
-      google.script.run
-        .withSuccessHandler(handleSuccess)
-        .withFailureHandler(handleFailure)
-        .exportInvoicesPDF(null, daysBack);
-    }
-  </script>
-</body>
-</html>
-  `;
-  
-  return HtmlService.createHtmlOutput(html)
-    .setTitle('Staff Pay Calculator')
-    .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
-}
-
-function doPost(e) {
-  // Handle POST requests for specific function calls
-  const data = JSON.parse(e.postData.contents);
-  const functionName = data.function;
-  const preview = data.preview;
-  
-  try {
-    let result;
-    switch(functionName) {
-      case 'calculateStaffPay':
-        if (preview) {
-          // For preview, return calculation data without executing
-          result = handleCalculatePayPreviewRequest();
-        } else {
-          // For non-preview, just return calculation data (don't create invoices)
-          const calcResult = calculateStaffPay();
-          result = ContentService
-            .createTextOutput(JSON.stringify(calcResult))
-            .setMimeType(ContentService.MimeType.JSON);
-        }
-        break;
-      case 'createInvoicesAndMark':
-        // For this function, we need to get the calculation first, then create invoices
-        const payResult = calculateStaffPay();
-        if (!payResult.success) {
-          result = ContentService
-            .createTextOutput(JSON.stringify(payResult))
-            .setMimeType(ContentService.MimeType.JSON);
-        } else {
-          const invoiceResult = createInvoicesAndMark(payResult.workLogData, payResult.payments);
-          result = ContentService
-            .createTextOutput(JSON.stringify({
-              ...invoiceResult,
-              summary: payResult.summary
-            }))
-            .setMimeType(ContentService.MimeType.JSON);
-        }
-        break;
-      default:
-        result = ContentService
-          .createTextOutput(JSON.stringify({
-            error: `Invalid function name: ${functionName}. Use 'calculateStaffPay' or 'createInvoicesAndMark'`
-          }))
-          .setMimeType(ContentService.MimeType.JSON);
-    }
+    return {
+      success: true,
+      message: `Voided ${invoiceNumber} and released ${releasedRows.length} tasks back to unpaid`,
+      adjustmentsReleased: releasedAdjustments,
+      invoiceNumber: String(invoiceNumber),
+      reason: voidReason,
+      voidedAt: voidedAt.toISOString(),
+      invoiceRowsVoided: activeInvoiceRows.map(invoiceRow => invoiceRow.rowNumber),
+      tasksReleased: releasedRows.length,
+      masterRows: releasedRows
+    };
     
-    // Add CORS headers
-    return result.getHeaders ? addCorsHeaders(result) : result;
   } catch (error) {
-    const errorResult = ContentService
-      .createTextOutput(JSON.stringify({
-        error: error.toString()
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
-    
-    return addCorsHeaders(errorResult);
+    Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
   }
 }
 
-// Handle calculate pay preview request from web (no execution)
-function handleCalculatePayPreviewRequest(directReturn = false) {
+/**
+ * Google Sheets UI version of voidInvoice
+ * Prompts for the invoice number and reason, then asks for confirmation
+ */
+function voidInvoiceUI() {
+  const ui = SpreadsheetApp.getUi();
+  
   try {
-    const workLogData = getUnpaidWorkFromMaster();
+    const denied = requireRole_('approver', 'void invoices');
+    if (denied) {
+      ui.alert('Permission denied', denied.error, ui.ButtonSet.OK);
+      return;
+    }
     
-    if (workLogData.length === 0) {
-      const result = {
-        success: false,
-        message: 'No unpaid work found',
-        debugLog: JSON.parse(PropertiesService.getScriptProperties().getProperty('lastDebugLog') || '[]')
-      };
-      
-      if (directReturn) {
-        return result;
-      } else {
-        return ContentService
-          .createTextOutput(JSON.stringify(result))
-          .setMimeType(ContentService.MimeType.JSON);
-      }
+    const invoiceResponse = ui.prompt('Void Invoice', 'Invoice number to void:', ui.ButtonSet.OK_CANCEL);
+    if (invoiceResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
     }
     
-    const payConfig = getPayConfiguration();
-    const staffMapping = getStaffMapping();
-    const { payments, errors } = calculatePayments(workLogData, payConfig, staffMapping);
+    const reasonResponse = ui.prompt('Void Invoice', 'Reason for voiding:', ui.ButtonSet.OK_CANCEL);
+    if (reasonResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
     
-    // Create a clean, serializable result object
-    const result = {
-      success: true,
-      message: 'Payment preview calculated successfully',
-      summary: {
-        totalTasks: workLogData.length,
-        totalStaff: Object.keys(payments).length,
-        grandTotal: Object.values(payments).reduce((sum, p) => sum + p.totalAmount, 0),
-        errors: {
-          unmatchedTaskTypes: Array.from(errors.unmatchedTaskTypes || []),
-          unmatchedStaffKeys: Array.from(errors.unmatchedStaffKeys || []),
-          tasksWithNoRate: Array.from(errors.tasksWithNoRate || [])
-        }
-      },
-      // Create a clean payments object that's guaranteed to serialize
-      payments: {}
-    };
+    const invoiceNumber = invoiceResponse.getResponseText().trim();
+    const confirm = ui.alert(
+      'Void Invoice',
+      `Void ${invoiceNumber} and release its tasks back to unpaid?`,
+      ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) {
+      return;
+    }
     
-    // Manually construct payments object to avoid serialization issues
-    Object.keys(payments).forEach(staffName => {
-      const payment = payments[staffName];
-      result.payments[staffName] = {
-        staffKey: String(payment.staffKey || ''),
-        legalName: String(payment.legalName || ''),
-        hasMapping: Boolean(payment.hasMapping),
-        totalAmount: Number(payment.totalAmount || 0),
-        taskCount: Array.isArray(payment.tasks) ? payment.tasks.length : 0,
-        tasks: Array.isArray(payment.tasks) ? payment.tasks.map(task => ({
-          rowIndex: Number(task.rowIndex || 0),
-          staffName: String(task.staffName || ''),
-          taskType: String(task.taskType || ''),
-          league: String(task.league || ''),
-          round: String(task.round || ''),
-          team1: String(task.team1 || ''),
-          team2: String(task.team2 || ''),
-          rate: Number(task.rate || 0),
-          rateSource: String(task.rateSource || ''),
-          hasValidRate: Boolean(task.hasValidRate)
-        })) : []
-      };
-    });
+    const result = voidInvoice(invoiceNumber, reasonResponse.getResponseText().trim());
     
-    if (directReturn) {
-      return result;
+    if (result.success) {
+      ui.alert('Success', result.message, ui.ButtonSet.OK);
     } else {
-      return ContentService
-        .createTextOutput(JSON.stringify(result))
-        .setMimeType(ContentService.MimeType.JSON);
+      ui.alert('Error', result.error, ui.ButtonSet.OK);
     }
-      
+    
   } catch (error) {
-    const errorResult = {
-      success: false,
-      error: error.toString()
+    ui.alert('Error', 'An error occurred: ' + error.toString(), ui.ButtonSet.OK);
+    Logger.log(error);
+  }
+}
+
+// Extract the individual links from a "Playback Links" cell written by createInvoice_
+function parsePlaybackLinks_(playbackLinksText) {
+  if (!playbackLinksText) {
+    return [];
+  }
+  
+  // Links are written as "  1. <link>" under a "<type> (n tasks):" header
+  return String(playbackLinksText).split('\n')
+    .map(line => line.match(/^\s*\d+\.\s+(.+)$/))
+    .filter(match => match)
+    .map(match => match[1].trim())
+    .filter(link => link && link !== 'undefined');
+}
+
+// Function to analyze sheet structure
+function analyzeSheets() {
+  const denied = requireRole_('admin', 'analyze the sheets');
+  if (denied) {
+    SpreadsheetApp.getUi().alert('Permission denied', denied.error, SpreadsheetApp.getUi().ButtonSet.OK);
+    return denied;
+  }
+  
+  const results = {};
+  
+  try {
+    // Analyze main sheet (where this script is bound)
+    const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
+    results.mainSheet = {
+      name: mainSheet.getName(),
+      sheets: mainSheet.getSheets().map(sheet => ({
+        name: sheet.getName(),
+        rows: sheet.getLastRow(),
+        cols: sheet.getLastColumn(),
+        headers: sheet.getLastRow() > 0 ? sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0] : []
+      }))
     };
     
-    if (directReturn) {
-      return errorResult;
-    } else {
-      return ContentService
-        .createTextOutput(JSON.stringify(errorResult))
-        .setMimeType(ContentService.MimeType.JSON);
+    // Try to analyze work log sheet
+    if (CONFIG.workLogSheetId) {
+      const workLogSpreadsheet = SpreadsheetApp.openById(CONFIG.workLogSheetId);
+      const masterSheet = workLogSpreadsheet.getSheetByName(CONFIG.workLogSheetName);
+      
+      results.workLogSheet = {
+        spreadsheetName: workLogSpreadsheet.getName(),
+        masterSheet: masterSheet ? {
+          name: masterSheet.getName(),
+          rows: masterSheet.getLastRow(),
+          cols: masterSheet.getLastColumn(),
+          headers: masterSheet.getLastRow() > 0 ? masterSheet.getRange(1, 1, 1, masterSheet.getLastColumn()).getValues()[0] : [],
+          sampleData: masterSheet.getLastRow() > 1 ? masterSheet.getRange(2, 1, Math.min(5, masterSheet.getLastRow() - 1), masterSheet.getLastColumn()).getValues() : []
+        } : null,
+        allSheets: workLogSpreadsheet.getSheets().map(sheet => sheet.getName())
+      };
     }
+    
+    // Log results for debugging
+    console.log(JSON.stringify(results, null, 2));
+    
+    // Show results in a dialog
+    const html = '<pre>' + JSON.stringify(results, null, 2) + '</pre>';
+    // Use simple alert instead of modal dialog
+    SpreadsheetApp.getUi().alert('Sheet Structure Analysis', `Found ${results.sheets.length} sheets. Check server logs for detailed analysis.`, SpreadsheetApp.getUi().ButtonSet.OK);
+    
+    return results;
+  } catch (error) {
+    Logger.log('Error analyzing sheets: ' + error.toString());
+    SpreadsheetApp.getUi().alert('Error: ' + error.toString());
+    return { error: error.toString() };
   }
 }
 
-// Handle calculate pay request from web
-function handleCalculatePayRequest() {
+// Function to get sample data from sheets
+function getSampleData() {
+  const denied = requireRole_('admin', 'read sample data');
+  if (denied) {
+    SpreadsheetApp.getUi().alert('Permission denied', denied.error, SpreadsheetApp.getUi().ButtonSet.OK);
+    return denied;
+  }
+  
+  const samples = {};
+  
   try {
-    const workLogData = getUnpaidWorkFromMaster();
+    const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
     
-    if (workLogData.length === 0) {
-      return ContentService
-        .createTextOutput(JSON.stringify({
-          success: false,
-          message: 'No unpaid work found',
-          debugLog: JSON.parse(PropertiesService.getScriptProperties().getProperty('lastDebugLog') || '[]')
-        }))
-        .setMimeType(ContentService.MimeType.JSON);
+    // Get Pay Config data
+    const payConfigSheet = mainSheet.getSheetByName('Pay Config');
+    if (payConfigSheet && payConfigSheet.getLastRow() > 0) {
+      const data = payConfigSheet.getDataRange().getValues();
+      samples.payConfig = {
+        headers: data[0],
+        totalRows: data.length,
+        sampleRows: data.slice(1, Math.min(11, data.length))
+      };
     }
     
-    const payConfig = getPayConfiguration();
-    const staffMapping = getStaffMapping();
-    const { payments, errors } = calculatePayments(workLogData, payConfig, staffMapping);
+    // Get Staff Key data
+    const staffKeySheet = mainSheet.getSheetByName('Staff Key to Staff name');
+    if (staffKeySheet && staffKeySheet.getLastRow() > 0) {
+      const data = staffKeySheet.getDataRange().getValues();
+      samples.staffKey = {
+        headers: data[0],
+        totalRows: data.length,
+        sampleRows: data.slice(1, Math.min(6, data.length))
+      };
+    }
     
-    // Auto-create invoices (since this is from web, assume user wants to proceed)
-    const invoiceResult = createInvoice(payments);
-    markWorkAsInvoiced(workLogData);
+    // Get current unpaid work count
+    try {
+      const unpaidWork = getUnpaidWorkFromMaster_();
+      samples.unpaidWorkCount = unpaidWork.length;
+      samples.unpaidWorkSample = unpaidWork.slice(0, 3);
+    } catch (e) {
+      samples.unpaidWorkError = e.toString();
+    }
     
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: true,
-        message: 'Invoices created successfully',
-        summary: {
-          totalTasks: workLogData.length,
-          totalStaff: Object.keys(payments).length,
-          grandTotal: Object.values(payments).reduce((sum, p) => sum + p.totalAmount, 0),
-          errors: {
-            unmatchedTaskTypes: Array.from(errors.unmatchedTaskTypes),
-            unmatchedStaffKeys: Array.from(errors.unmatchedStaffKeys),
-            tasksWithNoRate: errors.tasksWithNoRate
-          }
-        },
-        invoiceInfo: {
-          invoiceNumber: invoiceResult.invoiceNumber,
-          invoiceDate: invoiceResult.invoiceDate.toISOString(),
-          rowsCreated: invoiceResult.rowsCreated
-        }
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
-      
-  } catch (error) {
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: false,
-        error: error.toString()
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
-  }
-}
-
-// Handle status request
-function handleStatusRequest() {
-  try {
-    const workLogData = getUnpaidWorkFromMaster();
+    // Show results in a formatted dialog
+    let html = '<div style="font-family: monospace; font-size: 12px;">';
+    html += '<h3>Sample Data Analysis</h3>';
+    html += '<pre>' + JSON.stringify(samples, null, 2) + '</pre>';
+    html += '</div>';
     
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: true,
-        status: {
-          unpaidTasks: workLogData.length,
-          lastCheck: new Date().toISOString()
-        }
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
-      
+    // Use simple alert instead of modal dialog
+    SpreadsheetApp.getUi().alert('Sample Data', 'Sample data collected from sheets. Check the server logs for detailed output.', SpreadsheetApp.getUi().ButtonSet.OK);
+    
+    return samples;
   } catch (error) {
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: false,
-        error: error.toString()
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+    Logger.log('Error getting sample data: ' + error.toString());
+    SpreadsheetApp.getUi().alert('Error: ' + error.toString());
+    return { error: error.toString() };
   }
 }
 
-// Handle debug log request
-function handleDebugLogRequest() {
+// Function to show debug log
+function showDebugLog() {
+  const denied = requireRole_('admin', 'view the debug log');
+  if (denied) {
+    SpreadsheetApp.getUi().alert('Permission denied', denied.error, SpreadsheetApp.getUi().ButtonSet.OK);
+    return denied;
+  }
+  
   const debugLog = JSON.parse(PropertiesService.getScriptProperties().getProperty('lastDebugLog') || '[]');
+  const debugInfo = debugLog.join('\n');
   
-  return ContentService
-    .createTextOutput(JSON.stringify({
-      success: true,
-      debugLog: debugLog
-    }))
-    .setMimeType(ContentService.MimeType.JSON);
-}
-
-// Handle get deployment URL request
-
-// Test endpoint for basic connectivity
-function testEndpoint() {
-  return ContentService
-    .createTextOutput(JSON.stringify({
-      success: true,
-      message: 'Test endpoint working - direct function call',
-      timestamp: new Date().toISOString()
-    }))
-    .setMimeType(ContentService.MimeType.JSON);
-}
-
-// Simple test function for google.script.run
-function simpleTest() {
-  return {
-    success: true,
-    message: 'Simple test working',
-    timestamp: new Date().toISOString()
-  };
+  const htmlContent = `
+    <div style="font-family: monospace; font-size: 12px;">
+      <h3>Debug Log - Work Detection</h3>
+      <div style="background-color: #f5f5f5; padding: 10px; border-radius: 5px; white-space: pre-wrap; max-height: 400px; overflow-y: auto;">
+${debugInfo}
+      </div>
+      <div style="margin-top: 20px;">
+        <button onclick="google.script.host.close()" style="padding: 10px 20px;">Close</button>
+      </div>
+    </div>
+  `;
+  
+  // Use simple alert instead of modal dialog
+  const logText = debugLog.length > 0 ? debugLog.join('\n') : 'No debug log entries found';
+  SpreadsheetApp.getUi().alert('Debug Log', logText, SpreadsheetApp.getUi().ButtonSet.OK);
 }
 
-// Simplified preview function to test step by step
-function testPreview() {
+/**
+ * Core API function to create invoices and mark work as invoiced
+ * Runs under the pay run lock; a repeated call with the same idempotency key returns the original result.
+ * Called from another pay run (handleCalculatePayRequest, commitPayRunSnapshot) it runs inside that run's lock,
+ * and the key is only recorded on the Pay Runs sheet - the outer run stores and replays its own result.
+ * Only keys the caller sends are honoured - a second click without one is refused because its rows are
+ * already invoiced, and rows released by voidInvoice can be invoiced again.
+ * 
+ * Every run is recorded on the Pay Runs sheet
+ * Refuses to invoice while findBlockingPaymentErrors_() reports problems unless force is set;
+ * the refusal returns requiresForce and validationErrors
+ * 
+ * @param {Array} workLogData - Array of work items to mark as invoiced
+ * @param {Object} payments - Payment data organized by staff member
+ * @param {Object} options - Optional { idempotencyKey, source ('menu'|'web'|'api'|'script'),
+ *   period, errors (calculation errors), force, startedAt }
+ * @return {Object} { success: boolean, message?: string, error?: string, runId?: string, duplicate?: boolean,
+ *   forced?: boolean, requiresForce?: boolean, validationErrors?: Array }
+ */
+function createInvoicesAndMark(workLogData, payments, options = {}) {
   try {
-    // Test 1: Basic function call
-    console.log('testPreview: Starting');
-    
-    // Test 2: Can we get work log data?
-    const workLogData = getUnpaidWorkFromMaster();
-    console.log('testPreview: Work log data length:', workLogData.length);
+    const denied = requireRole_('approver', 'create invoices');
+    if (denied) {
+      return denied;
+    }
     
-    if (workLogData.length === 0) {
+    if (isApprovalRequired_() && !APPROVED_DRAFT) {
       return {
         success: false,
-        message: 'No unpaid work found',
-        step: 'workLogData check'
+        error: 'Invoices are created by approving a draft pay run. Submit the preview as a draft (createDraftRun) for an approver to review.',
+        requiresApproval: true
       };
     }
     
-    // Test 3: Can we get config data?
-    const payConfig = getPayConfiguration();
-    console.log('testPreview: Pay config keys:', Object.keys(payConfig));
-    
-    const staffMapping = getStaffMapping();
-    console.log('testPreview: Staff mapping keys:', Object.keys(staffMapping));
+    // A run can be adjustments only, e.g. a bonus for someone with no tasks this period
+    const hasAdjustments = Object.values(payments || {}).some(payment => (payment.adjustments || []).length > 0);
+    if (!workLogData || (workLogData.length === 0 && !hasAdjustments)) {
+      return {
+        success: false,
+        error: 'No work data provided'
+      };
+    }
     
-    // Test 4: Can we calculate payments?
-    const { payments, errors } = calculatePayments(workLogData, payConfig, staffMapping);
-    console.log('testPreview: Payments calculated, staff count:', Object.keys(payments).length);
+    if (!payments || Object.keys(payments).length === 0) {
+      return {
+        success: false,
+        error: 'No payment data provided'
+      };
+    }
     
-    // Test 5: Return minimal result
-    return {
-      success: true,
-      message: 'Test preview completed',
+    const idempotencyKey = options.idempotencyKey || null;
+    const totals = summarizeCurrencyTotals_(payments);
+    const payRun = {
+      startedAt: options.startedAt ? new Date(options.startedAt) : new Date(),
+      source: options.source || 'script',
+      period: options.period || null,
       taskCount: workLogData.length,
-      staffCount: Object.keys(payments).length
+      staffCount: Object.keys(payments).length,
+      grandTotal: totals.grandTotal,
+      totalsByCurrency: totals.totalsByCurrency,
+      calculationErrors: options.errors || null,
+      idempotencyKey: idempotencyKey
     };
     
+    return runPayRunWithLock_(idempotencyKey, () => {
+      // $0 lines and unmapped contractors need an explicit force, which is recorded on the run
+      const validationErrors = findBlockingPaymentErrors_(payments);
+      if (validationErrors.length > 0 && !options.force) {
+        const error = `Invoicing refused: ${validationErrors.length} blocking problems. Fix them and recalculate, or pass force to invoice anyway.`;
+        return {
+          success: false,
+          error: error,
+          requiresForce: true,
+          validationErrors: validationErrors,
+          runId: recordPayRun_({ ...payRun, status: 'Refused', error: error })
+        };
+      }
+      payRun.forced = validationErrors.length > 0;
+      
+      // Stale work data (e.g. a second click) must never invoice the same rows twice
+      const alreadyInvoiced = findAlreadyInvoicedRows_(workLogData);
+      if (alreadyInvoiced.length > 0) {
+        const error = `${alreadyInvoiced.length} tasks have already been invoiced or paid (MASTER rows ${alreadyInvoiced.join(', ')}). Recalculate and try again.`;
+        return {
+          success: false,
+          error: error,
+          runId: recordPayRun_({ ...payRun, status: 'Failed', error: error })
+        };
+      }
+      
+      // Adjustments are counted once - refuse any that another run has applied
+      const alreadyApplied = findAlreadyAppliedAdjustments_(payments);
+      if (alreadyApplied.length > 0) {
+        const error = `${alreadyApplied.length} adjustments have already been applied (Adjustments rows ${alreadyApplied.join(', ')}). Recalculate and try again.`;
+        return {
+          success: false,
+          error: error,
+          runId: recordPayRun_({ ...payRun, status: 'Failed', error: error })
+        };
+      }
+      
+      let invoiceResult;
+      try {
+        invoiceResult = createInvoice_(payments);
+        markWorkAsInvoiced_(workLogData, invoiceResult);
+        markAdjustmentsApplied_(invoiceResult);
+      } catch (error) {
+        recordPayRun_({ ...payRun, status: 'Failed', error: error.toString() });
+        throw error;
+      }
+      
+      return {
+        success: true,
+        message: 'Invoices created and work marked as invoiced',
+        invoiceResult: invoiceResult,
+        forced: payRun.forced,
+        validationErrors: validationErrors,
+        runId: recordPayRun_({ ...payRun, status: 'Completed', invoiceNumber: invoiceResult.invoiceNumber })
+      };
+    }, { checkHistory: true });
+    
   } catch (error) {
-    console.error('testPreview error:', error);
+    Logger.log(error);
     return {
       success: false,
-      error: error.toString(),
-      step: 'exception caught'
+      error: error.toString()
     };
   }
 }
 
 /**
- * Deployment Management Functions
- * Use these to manage deployment URLs dynamically
+ * Find problems that stop a pay run from being invoiced
+ * Tasks without a pay rate would be invoiced as $0 lines, and staff keys without a
+ * registry entry would be invoiced under the raw key instead of a legal name.
+ * 
+ * @param {Object} payments - From calculatePayments_()
+ * @return {Array} Error messages, empty when the run can be invoiced
  */
+function findBlockingPaymentErrors_(payments) {
+  const errors = [];
+  Object.values(payments || {}).forEach(payment => {
+    if (!payment.hasMapping) {
+      errors.push(`Staff key "${payment.staffKey}" is not in the staff registry`);
+    }
+    (payment.tasks || []).forEach(task => {
+      if (!task.hasValidRate) {
+        errors.push(`MASTER row ${task.rowIndex}: no pay rate for ${task.taskType} (${payment.legalName})`);
+      }
+    });
+  });
+  return errors;
+}
 
-// Set the current deployment URL (call this after deploying)
-function setCurrentDeploymentUrl(url) {
-  if (!url) {
-    throw new Error('URL is required');
+// The script lock taken by the outermost pay run of this execution (null when no pay run is running)
+let PAY_RUN_LOCK = null;
+
+/**
+ * Run a pay run under the script lock
+ * Only one pay run can read and invoice unpaid rows at a time. Successful results are
+ * remembered against the idempotency key, so a repeated request with the same key
+ * gets the original result back instead of invoicing again.
+ * 
+ * The lock is taken once, by the outermost pay run (e.g. handleCalculatePayRequest or commitPayRunSnapshot).
+ * Nested runs (their createInvoicesAndMark call) run inside it and leave replaying and storing the key to it.
+ * 
+ * @param {string} idempotencyKey - Optional key identifying this request
+ * @param {Function} runPayRun - Performs the run and returns a result object
+ * @param {Object} options - Optional { checkHistory } - also replay completed runs from the Pay Runs sheet once the
+ *   cached result has expired (only for idempotency keys the caller sent)
+ * @return {Object} The run result, or the stored result with duplicate: true
+ */
+function runPayRunWithLock_(idempotencyKey, runPayRun, options = {}) {
+  if (PAY_RUN_LOCK) {
+    return runPayRun();
+  }
+  
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(CONFIG.payRunLockTimeoutMs)) {
+    return {
+      success: false,
+      error: 'Another pay run is in progress. Please wait for it to finish and try again.'
+    };
+  }
+  PAY_RUN_LOCK = lock;
+  
+  try {
+    const previousResult = idempotencyKey ? getStoredPayRunResult_(idempotencyKey, options.checkHistory === true) : null;
+    if (previousResult) {
+      Logger.log(`Returning stored result for pay run key ${idempotencyKey}`);
+      return {
+        ...previousResult,
+        duplicate: true
+      };
+    }
+    
+    const result = runPayRun();
+    if (idempotencyKey && result && result.success) {
+      storePayRunResult_(idempotencyKey, result);
+    }
+    return result;
+    
+  } finally {
+    PAY_RUN_LOCK = null;
+    lock.releaseLock();
+  }
+}
+
+// Get the stored result of a previous pay run with this idempotency key
+// With checkHistory, falls back to the Pay Runs sheet once the cached result has expired.
+// Runs whose invoice has since been voided in full are not replayed - their tasks can be invoiced again.
+// A partly voided invoice is still replayed, so a retry never re-invoices the contractors that were kept.
+function getStoredPayRunResult_(idempotencyKey, checkHistory = false) {
+  const stored = CacheService.getScriptCache().get(`PAYRUN:${computeHash_(idempotencyKey)}`);
+  if (stored) {
+    const result = JSON.parse(stored);
+    const invoiceNumber = (result.invoiceInfo || result.invoiceResult || {}).invoiceNumber;
+    return invoiceNumber && isInvoiceFullyVoided_(invoiceNumber) ? null : result;
+  }
+  
+  const previousRun = checkHistory ? findCompletedPayRun_(idempotencyKey) : null;
+  if (!previousRun || isInvoiceFullyVoided_(previousRun.invoiceNumber)) {
+    return null;
+  }
+  
+  // Rebuild the invoice details from the Invoicing sheet - the full result is only cached for a few hours
+  const invoiceRows = getInvoiceRows_(previousRun.invoiceNumber);
+  const cell = (row, column) => invoiceRows.columns[column] !== -1 ? row.values[invoiceRows.columns[column]] : '';
+  const contractorInvoices = invoiceRows.rows.map(row => ({
+    contractor: String(cell(row, 'Contractor')),
+    total: Number(cell(row, 'Total')) || 0,
+    invoiceNumber: String(cell(row, 'Invoice Number')),
+    invoiceRow: row.rowNumber
+  }));
+  const invoiceDate = invoiceRows.rows.length > 0 ? cell(invoiceRows.rows[0], 'Date') : '';
+  const invoiceInfo = {
+    invoiceNumber: previousRun.invoiceNumber,
+    invoiceDate: invoiceDate instanceof Date ? invoiceDate.toISOString() : String(invoiceDate),
+    rowsCreated: contractorInvoices.length,
+    contractorInvoices: contractorInvoices
+  };
+  
+  return {
+    success: true,
+    message: `Pay run ${previousRun.runId} already processed this request`,
+    runId: previousRun.runId,
+    summary: {
+      totalTasks: previousRun.taskCount,
+      totalStaff: previousRun.staffCount,
+      grandTotal: previousRun.grandTotal,
+      totalsByCurrency: previousRun.totalsByCurrency
+    },
+    invoiceResult: invoiceInfo,
+    invoiceInfo: invoiceInfo
+  };
+}
+
+// Check whether every Invoicing row of an invoice has been voided
+function isInvoiceFullyVoided_(invoiceNumber) {
+  try {
+    const invoiceRows = getInvoiceRows_(invoiceNumber);
+    return invoiceRows.rows.length > 0 && invoiceRows.rows.every(row => isVoidedInvoiceRow_(invoiceRows, row));
+  } catch (error) {
+    Logger.log(`Could not check invoice ${invoiceNumber}: ${error.toString()}`);
+    return false;
+  }
+}
+
+// Store a pay run result against its idempotency key
+function storePayRunResult_(idempotencyKey, result) {
+  try {
+    CacheService.getScriptCache().put(
+      `PAYRUN:${computeHash_(idempotencyKey)}`,
+      JSON.stringify(result),
+      CONFIG.payRunResultTtlSeconds
+    );
+  } catch (error) {
+    // Results over the cache size limit can't be replayed, but the run itself succeeded
+    Logger.log('Could not store pay run result: ' + error.toString());
   }
-  
-  PropertiesService.getScriptProperties().setProperty('CURRENT_DEPLOYMENT_URL', url);
-  
-  console.log(`Deployment URL updated to: ${url}`);
-  return {
-    success: true,
-    url: url,
-    timestamp: new Date().toISOString()
-  };
 }
 
-// Get the current deployment URL (for internal use)
-function getCurrentDeploymentUrl() {
-  return PropertiesService.getScriptProperties().getProperty('CURRENT_DEPLOYMENT_URL');
+// SHA-256 hex digest of a string
+function computeHash_(value) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(value), Utilities.Charset.UTF_8);
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
 }
 
-// Utility function to help with deployment
-function updateDeploymentAfterPush(deploymentId) {
-  const baseUrl = 'https://script.google.com/macros/s/';
-  const fullUrl = `${baseUrl}${deploymentId}/exec`;
+// Find work rows that have been invoiced or paid since the work data was read
+function findAlreadyInvoicedRows_(workLogData) {
+  const masterSheet = getMasterSheet_();
   
-  return setCurrentDeploymentUrl(fullUrl);
+  // MASTER sheet has headers in row 2
+  const paidColumnIndex = getColumnIndex_(masterSheet, 'Paid', 2);
+  const paidValues = masterSheet.getRange(1, paidColumnIndex, masterSheet.getLastRow(), 1).getValues();
+  
+  return workLogData
+    .map(work => Number(work.rowIndex))
+    .filter(rowIndex => {
+      const paid = paidValues[rowIndex - 1] ? paidValues[rowIndex - 1][0] : '';
+      return paid === 'Invoiced' || paid === 'Paid';
+    });
 }
 
 /**
- * Core API function to calculate staff pay
- * Returns payment calculation results without UI interaction
+ * Store a snapshot of the rows shown in a preview
+ * The returned token lets a later commit invoice exactly those rows. Snapshots are
+ * kept per token in the script cache, so concurrent users never overwrite each other.
  * 
- * @return {Object} {
- *   success: boolean,
- *   workLogData: Array,
- *   payments: Object,
- *   errors: Object,
- *   summary: Object
- * }
+ * @param {Array} workLogData - Previewed work items
+ * @param {Object} payments - Previewed payments by staff member
+ * @param {Object} period - Pay period from parsePayPeriod_ (or null)
+ * @return {Object} { token, expiresAt, error? }
  */
-function calculateStaffPay() {
+function createPayRunSnapshot_(workLogData, payments, period) {
+  const token = Utilities.getUuid();
+  
+  // Compact [rowIndex, status, paid, staff, amount] entries keep large previews under the cache size limit
+  // Adjustments are kept as [sheet row, staff key, amount, staff]
+  const rows = [];
+  const adjustments = [];
+  const currencies = {};
+  Object.keys(payments).forEach(staffName => {
+    currencies[staffName] = payments[staffName].currency || CONFIG.defaultCurrency;
+    payments[staffName].tasks.forEach(task => {
+      rows.push([Number(task.rowIndex), String(task.status || ''), String(task.paid || ''), staffName, task.rate]);
+    });
+    (payments[staffName].adjustments || []).forEach(adjustment => {
+      adjustments.push([adjustment.row, adjustment.staffKey, adjustment.amount, staffName]);
+    });
+  });
+  
+  const snapshot = {
+    token: token,
+    createdAt: new Date().toISOString(),
+    period: serializePayPeriod_(period),
+    rows: rows,
+    adjustments: adjustments,
+    currencies: currencies
+  };
+  
   try {
-    const workLogData = getUnpaidWorkFromMaster();
-    
-    if (workLogData.length === 0) {
-      return {
-        success: false,
-        message: 'No unpaid work found',
-        debugLog: JSON.parse(PropertiesService.getScriptProperties().getProperty('lastDebugLog') || '[]')
-      };
-    }
-    
-    const payConfig = getPayConfiguration();
-    const staffMapping = getStaffMapping();
-    const { payments, errors } = calculatePayments(workLogData, payConfig, staffMapping);
-    
-    return {
-      success: true,
-      workLogData: workLogData,
-      payments: payments,
-      errors: {
-        unmatchedTaskTypes: Array.from(errors.unmatchedTaskTypes),
-        unmatchedStaffKeys: Array.from(errors.unmatchedStaffKeys),
-        tasksWithNoRate: errors.tasksWithNoRate
-      },
-      summary: {
-        totalTasks: workLogData.length,
-        totalStaff: Object.keys(payments).length,
-        grandTotal: Object.values(payments).reduce((sum, p) => sum + p.totalAmount, 0)
-      }
-    };
-    
+    CacheService.getScriptCache().put(`SNAPSHOT:${token}`, JSON.stringify(snapshot), CONFIG.snapshotTtlSeconds);
   } catch (error) {
-    Logger.log(error);
+    Logger.log('Could not store preview snapshot: ' + error.toString());
     return {
-      success: false,
-      error: error.toString()
+      token: null,
+      expiresAt: null,
+      error: 'Preview is too large to snapshot - invoice it in smaller pay periods'
     };
   }
+  
+  return {
+    token: token,
+    expiresAt: new Date(Date.now() + CONFIG.snapshotTtlSeconds * 1000).toISOString()
+  };
+}
+
+// Load a preview snapshot by token
+function getPayRunSnapshot_(token) {
+  const stored = CacheService.getScriptCache().get(`SNAPSHOT:${token}`);
+  return stored ? JSON.parse(stored) : null;
 }
 
 /**
- * Google Sheets UI version of calculateStaffPay
- * Shows interactive dialog for confirmation and actions
+ * Core API function to invoice exactly the rows of a preview
+ * Rejects the commit if any selected row's status or Paid value has changed,
+ * or if the recalculated amounts no longer match the preview.
+ * Committing the same token and selection twice returns the original result.
+ * 
+ * @param {string} token - snapshotToken returned by the preview
+ * @param {Object} options - Optional { source ('menu'|'web'|'api'), selection: { staff: [legal names], rows: [MASTER rows],
+ *   adjustments: [Adjustments rows] }, force, snapshot }
+ *   A task is invoiced when it matches every list in the selection; omit it to invoice the whole preview.
+ *   Adjustments go with their staff member's tasks; adjustments lists extra ones for staff with no selected task.
+ *   Excluded tasks are left unpaid for a later run. force invoices despite blocking errors.
+ *   snapshot is a stored snapshot (a draft run's) to use instead of looking the token up in the cache.
+ * @return {Object} { success: boolean, message?: string, error?: string, changedRows?: Array, excludedTasks?: number, invoiceInfo?: Object }
+ *   staleSnapshot: true marks a refusal because tasks, adjustments or amounts changed since the preview
  */
-function calculateStaffPayUI() {
-  const ui = SpreadsheetApp.getUi();
-  
+function commitPayRunSnapshot(token, options = {}) {
   try {
-    const result = calculateStaffPay();
+    const denied = requireRole_('approver', 'create invoices');
+    if (denied) {
+      return denied;
+    }
     
-    if (!result.success) {
-      if (result.message === 'No unpaid work found') {
-        const response = ui.alert(
-          'No unpaid work found',
-          'All tasks are either already paid or invoiced.\n\nClick "Yes" to see debug log, "No" to exit.',
-          ui.ButtonSet.YES_NO
-        );
+    if (!token) {
+      return {
+        success: false,
+        error: 'A preview snapshot token is required. Run the preview first.'
+      };
+    }
+    
+    const snapshot = options.snapshot || getPayRunSnapshot_(token);
+    const selection = normalizePaySelection_(options.selection);
+    // Each distinct selection is its own run, so held-back tasks can be committed later from the same preview
+    const idempotencyKey = selection
+      ? `snapshot:${token}:${computeHash_(JSON.stringify(selection))}`
+      : `snapshot:${token}`;
+    const startedAt = new Date();
+    
+    return runPayRunWithLock_(idempotencyKey, () => {
+      if (!snapshot) {
+        return {
+          success: false,
+          error: 'Preview snapshot not found or expired. Run the preview again.'
+        };
+      }
+      
+      const selected = selectSnapshotRows_(snapshot, selection);
+      if (selected.error) {
+        return {
+          success: false,
+          error: selected.error
+        };
+      }
+      
+      const { statusColumnName, cols, data } = readMasterWorkLog_();
+      const rules = getPayabilityRules_();
+      const workLogData = [];
+      const changedRows = [];
+      
+      selected.rows.forEach(([rowIndex, previewStatus, previewPaid]) => {
+        const row = data[rowIndex - 1];
+        const currentStatus = row ? String(row[cols[statusColumnName]] || '') : '';
+        const currentPaid = row ? String(row[cols['Paid']] || '') : '';
         
-        if (response === ui.Button.YES) {
-          showDebugLog();
+        if (currentStatus !== previewStatus || currentPaid !== previewPaid) {
+          changedRows.push({
+            rowIndex: rowIndex,
+            previewStatus: previewStatus,
+            currentStatus: currentStatus,
+            previewPaid: previewPaid,
+            currentPaid: currentPaid
+          });
+          return;
         }
-      } else {
-        ui.alert('Error', result.error || 'An unknown error occurred', ui.ButtonSet.OK);
+        
+        // QA or links may have changed since the preview
+        const work = buildWorkItem_(row, cols, rowIndex, statusColumnName);
+        const blockedReasons = checkPayability_(work, rules, cols);
+        if (blockedReasons.length > 0) {
+          changedRows.push({
+            rowIndex: rowIndex,
+            previewStatus: previewStatus,
+            currentStatus: currentStatus,
+            previewPaid: previewPaid,
+            currentPaid: currentPaid,
+            blockedReasons: blockedReasons
+          });
+        } else {
+          workLogData.push(work);
+        }
+      });
+      
+      if (changedRows.length > 0) {
+        return {
+          success: false,
+          error: `${changedRows.length} tasks changed since the preview (MASTER rows ${changedRows.map(r => r.rowIndex).join(', ')}). Run the preview again.`,
+          changedRows: changedRows,
+          staleSnapshot: true
+        };
       }
-      return;
-    }
-    
-    const { payments, errors } = result;
-    
-    // Build error message
-    let errorMessage = '';
-    if (errors.unmatchedTaskTypes.length > 0) {
-      errorMessage += `\n⚠️ Unmatched Task Types in Pay Config:\n`;
-      errors.unmatchedTaskTypes.forEach(type => {
-        errorMessage += `  - ${type}\n`;
+      
+      // Previewed adjustments must still be pending and unchanged
+      const pendingAdjustments = {};
+      getPendingAdjustments_().forEach(adjustment => {
+        pendingAdjustments[adjustment.row] = adjustment;
       });
-    }
-    
-    if (errors.unmatchedStaffKeys.length > 0) {
-      errorMessage += `\n⚠️ Staff Keys not found in mapping:\n`;
-      errors.unmatchedStaffKeys.forEach(key => {
-        errorMessage += `  - ${key}\n`;
+      const adjustments = [];
+      const changedAdjustments = [];
+      selected.adjustments.forEach(([row, staffKey, amount]) => {
+        const current = pendingAdjustments[row];
+        if (!current || current.staffKey !== staffKey || current.amount !== amount) {
+          changedAdjustments.push(row);
+        } else {
+          adjustments.push(current);
+        }
       });
-    }
-    
-    if (errors.tasksWithNoRate.length > 0) {
-      errorMessage += `\n⚠️ Tasks with no pay rate:\n`;
-      errors.tasksWithNoRate.forEach(task => {
-        errorMessage += `  - ${task.staffName}: ${task.taskType} (${task.league} ${task.round})\n`;
+      
+      if (changedAdjustments.length > 0) {
+        return {
+          success: false,
+          error: `${changedAdjustments.length} adjustments changed since the preview (Adjustments rows ${changedAdjustments.join(', ')}). Run the preview again.`,
+          staleSnapshot: true
+        };
+      }
+      
+      const payConfig = getPayConfiguration_();
+      const staffRegistry = getStaffRegistry_();
+      const staffMapping = getStaffMapping_(staffRegistry);
+      const { payments, errors } = calculatePayments_(workLogData, payConfig, staffMapping, {
+        adjustments: adjustments,
+        staffRegistry: staffRegistry
       });
-    }
-    
-    const summary = createPaymentSummary(payments);
-    
-    const htmlContent = `
-      <div style="font-family: Arial, sans-serif;">
-        <h3>Payment Summary</h3>
-        <pre style="background-color: #f5f5f5; padding: 10px; border-radius: 5px;">${summary}</pre>
-        ${errorMessage ? `<div style="color: red; margin-top: 10px;"><pre>${errorMessage}</pre></div>` : ''}
-        <div style="margin-top: 20px;">
-          <p>Choose an action:</p>
-          <button onclick="google.script.run.createInvoicesAndMarkUI()" style="padding: 10px 20px; margin-right: 10px;">Create Invoices</button>
-          <button onclick="google.script.run.showDebugLog()" style="padding: 10px 20px; margin-right: 10px;">Show Debug Log</button>
-          <button onclick="google.script.host.close()" style="padding: 10px 20px;">Cancel</button>
-        </div>
-      </div>
-    `;
-    
-    // Use simple alert instead of modal dialog
-    let alertMessage = 'Payment Summary:\n\n' + summary;
-    if (errorMessage) {
-      alertMessage += '\n\nErrors:\n' + errorMessage;
-    }
-    alertMessage += '\n\nUse "Create Invoices" from the menu to proceed.';
-    
-    ui.alert('Payment Summary', alertMessage, ui.ButtonSet.OK);
-    
-    // Store for UI callback
-    PropertiesService.getScriptProperties().setProperty('pendingWorkData', JSON.stringify(result.workLogData));
-    PropertiesService.getScriptProperties().setProperty('pendingPayments', JSON.stringify(result.payments));
+      
+      // Rates, staff mapping or assignments may have changed since the preview
+      const previewTotals = {};
+      selected.rows.forEach(([, , , staffName, amount]) => {
+        previewTotals[staffName] = (previewTotals[staffName] || 0) + amount;
+      });
+      selected.adjustments.forEach(([, , amount, staffName]) => {
+        previewTotals[staffName] = (previewTotals[staffName] || 0) + amount;
+      });
+      const changedStaff = findChangedStaffTotals_(previewTotals, payments);
+      if (changedStaff.length > 0) {
+        return {
+          success: false,
+          error: `Payment amounts changed since the preview for: ${changedStaff.join(', ')}. Run the preview again.`,
+          staleSnapshot: true
+        };
+      }
+      
+      const serializedErrors = serializeCalculationErrors_(errors);
+      const invoiceResult = createInvoicesAndMark(workLogData, payments, {
+        idempotencyKey: idempotencyKey,
+        source: options.source || 'api',
+        period: snapshot.period,
+        errors: serializedErrors,
+        force: options.force,
+        startedAt: startedAt
+      });
+      if (!invoiceResult.success) {
+        return invoiceResult;
+      }
+      
+      return {
+        success: true,
+        message: selected.excludedCount > 0
+          ? `Invoices created for the selected tasks (${selected.excludedCount} previewed tasks left unpaid)`
+          : 'Invoices created for the previewed tasks',
+        runId: invoiceResult.runId,
+        forced: invoiceResult.forced,
+        period: snapshot.period,
+        excludedTasks: selected.excludedCount,
+        summary: {
+          totalTasks: workLogData.length,
+          totalStaff: Object.keys(payments).length,
+          ...summarizeCurrencyTotals_(payments),
+          errors: serializedErrors
+        },
+        invoiceInfo: buildInvoiceInfo_(invoiceResult.invoiceResult)
+      };
+    });
     
   } catch (error) {
-    ui.alert('Error', 'An error occurred: ' + error.toString(), ui.ButtonSet.OK);
     Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
   }
 }
 
-// Get unpaid work from MASTER sheet
-function getUnpaidWorkFromMaster() {
-  const workLogSheet = SpreadsheetApp.openById(CONFIG.workLogSheetId);
-  const masterSheet = workLogSheet.getSheetByName(CONFIG.workLogSheetName);
-  
-  if (!masterSheet) {
-    throw new Error('MASTER sheet not found in work log spreadsheet');
-  }
-  
-  // Get column indices by name - MASTER sheet has headers in row 2
-  // First, find the actual Status column dynamically
-  const actualHeaders = masterSheet.getRange(2, 1, 1, masterSheet.getLastColumn()).getValues()[0];
-  const statusColumnName = actualHeaders.find(h => h && h.toString().toLowerCase().includes('status'));
-  
-  const columnNames = [
-    'Assign',
-    'Due Date',
-    'LEAGUE',
-    'Round',
-    'Team 1',
-    'Team 2',
-    'STATS LEVEL',
-    'Youtube link',
-    'QA',
-    'Playback Link',
-    statusColumnName, // Use the actual status column name found
-    'Team 1 Public Stats Link',
-    'Team 2 Public Stats link',
-    'Paid',
-    'Paid Date',
-    'Payment Method',
-    'Done Date'
-  ];
-  
-  const cols = getColumnIndices(masterSheet, columnNames, 2); // Headers in row 2
-  const data = masterSheet.getDataRange().getValues();
-  const unpaidWork = [];
-  const debugLog = [];
-  
-  debugLog.push(`Status column found: "${statusColumnName}"`);
-  debugLog.push(`Total rows in sheet: ${data.length}`);
-  debugLog.push(`Column indices found: ${JSON.stringify(cols)}`);
-  
-  // Specific rows to check
-  const targetRows = [257, 261, 300, 302, 307];
-  
-  // Skip header rows (rows 0 and 1 based on your data)
-  for (let i = 2; i < data.length; i++) {
-    const row = data[i];
-    const status = row[cols[statusColumnName]];
-    const paid = row[cols['Paid']];
-    const rowNumber = i + 1; // 1-based row number
-    
-    // Log first few rows for debugging
-    if (i < 5) {
-      debugLog.push(`Row ${rowNumber}: Status="${status}", Paid="${paid}"`);
-    }
-    
-    // Log specific target rows in detail
-    if (targetRows.includes(rowNumber)) {
-      debugLog.push(`*** TARGET ROW ${rowNumber} ***`);
-      debugLog.push(`  Status: "${status}" (type: ${typeof status}, length: ${status ? status.length : 'null'})`);
-      debugLog.push(`  Paid: "${paid}" (type: ${typeof paid}, length: ${paid ? paid.length : 'null'})`);
-      debugLog.push(`  Status === 'Done': ${status === 'Done'}`);
-      debugLog.push(`  Paid !== 'Paid': ${paid !== 'Paid'}`);
-      debugLog.push(`  Paid !== 'Invoiced': ${paid !== 'Invoiced'}`);
-      debugLog.push(`  Overall condition: ${status === 'Done' && paid !== 'Paid' && paid !== 'Invoiced'}`);
-      debugLog.push(`  Staff: "${row[cols['Assign']]}"`);
-      debugLog.push(`  Task: "${row[cols['STATS LEVEL']]}"`);
-      debugLog.push(`  League: "${row[cols['LEAGUE']]}"`);
-      debugLog.push('');
-    }
-    
-    // Check if work is done but not paid or invoiced
-    if (status === 'Done' && paid !== 'Paid' && paid !== 'Invoiced') {
-      unpaidWork.push({
-        rowIndex: i + 1, // 1-based for Sheets API
-        staffName: row[cols['Assign']],
-        taskType: row[cols['STATS LEVEL']],
-        league: row[cols['LEAGUE']],
-        round: row[cols['Round']],
-        team1: row[cols['Team 1']],
-        team2: row[cols['Team 2']],
-        playbackLink: row[cols['Playback Link']],
-        doneDate: row[cols['Done Date']]
-      });
-    }
-  }
-  
-  debugLog.push(`Found ${unpaidWork.length} unpaid tasks`);
-  
-  // Store debug log for access
-  PropertiesService.getScriptProperties().setProperty('lastDebugLog', JSON.stringify(debugLog));
-  
-  return unpaidWork;
+// Normalize a commit selection so equal selections produce the same idempotency key
+function normalizePaySelection_(selection) {
+  if (!selection || (!Array.isArray(selection.staff) && !Array.isArray(selection.rows) && !Array.isArray(selection.adjustments))) {
+    return null;
+  }
+  return {
+    staff: Array.isArray(selection.staff)
+      ? Array.from(new Set(selection.staff.map(name => String(name).trim()))).sort()
+      : null,
+    rows: Array.isArray(selection.rows)
+      ? Array.from(new Set(selection.rows.map(Number))).sort((a, b) => a - b)
+      : null,
+    // Only present when sent, so task-only selections keep their idempotency keys
+    ...(Array.isArray(selection.adjustments)
+      ? { adjustments: Array.from(new Set(selection.adjustments.map(Number))).sort((a, b) => a - b) }
+      : {})
+  };
 }
 
-// Get pay configuration from Pay Config sheet
-function getPayConfiguration() {
-  const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
-  const payConfigSheet = mainSheet.getSheetByName('Pay Config');
-  
-  if (!payConfigSheet) {
-    throw new Error('Pay Config sheet not found');
+// Pick the snapshot rows matching a normalized selection
+function selectSnapshotRows_(snapshot, selection) {
+  const adjustments = snapshot.adjustments || [];
+  if (!selection) {
+    return { rows: snapshot.rows, adjustments: adjustments, excludedCount: 0 };
   }
   
-  const cols = getColumnIndices(payConfigSheet, [
-    'Task Type (Stats Level)',
-    'Default Rate',
-    'Staff Name',
-    'Custom Rate'
-  ]);
-  
-  const data = payConfigSheet.getDataRange().getValues();
-  const payConfig = {};
-  
-  // Skip header row
-  for (let i = 1; i < data.length; i++) {
-    const taskType = data[i][cols['Task Type (Stats Level)']];
-    const defaultRate = parseFloat(String(data[i][cols['Default Rate']]).replace(/[^\d.-]/g, ''));
-    const staffName = data[i][cols['Staff Name']];
-    const customRate = data[i][cols['Custom Rate']] ? 
-      parseFloat(String(data[i][cols['Custom Rate']]).replace(/[^\d.-]/g, '')) : null;
-    
-    if (!payConfig[taskType]) {
-      payConfig[taskType] = {
-        defaultRate: defaultRate,
-        customRates: {}
-      };
-    }
-    
-    if (staffName && customRate) {
-      payConfig[taskType].customRates[staffName] = customRate;
+  if (selection.staff) {
+    const previewStaff = new Set([...snapshot.rows.map(row => row[3]), ...adjustments.map(adjustment => adjustment[3])]);
+    const unknownStaff = selection.staff.filter(name => !previewStaff.has(name));
+    if (unknownStaff.length > 0) {
+      return { error: `Staff not in the preview: ${unknownStaff.join(', ')}` };
     }
   }
   
-  return payConfig;
-}
-
-// Get staff name mapping
-function getStaffMapping() {
-  const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
-  const staffSheet = mainSheet.getSheetByName('Staff Key to Staff name');
+  if (selection.rows) {
+    const previewRows = new Set(snapshot.rows.map(row => row[0]));
+    const unknownRows = selection.rows.filter(rowIndex => !previewRows.has(rowIndex));
+    if (unknownRows.length > 0) {
+      return { error: `MASTER rows not in the preview: ${unknownRows.join(', ')}` };
+    }
+  }
   
-  if (!staffSheet) {
-    throw new Error('Staff Key to Staff name sheet not found');
+  const selectedAdjustmentRows = selection.adjustments || [];
+  if (selectedAdjustmentRows.length > 0) {
+    const previewAdjustments = new Set(adjustments.map(adjustment => adjustment[0]));
+    const unknownAdjustments = selectedAdjustmentRows.filter(row => !previewAdjustments.has(row));
+    if (unknownAdjustments.length > 0) {
+      return { error: `Adjustments rows not in the preview: ${unknownAdjustments.join(', ')}` };
+    }
   }
   
-  const cols = getColumnIndices(staffSheet, ['Key', 'Name']);
-  const data = staffSheet.getDataRange().getValues();
-  const mapping = {};
+  const rows = snapshot.rows.filter(([rowIndex, , , staffName]) =>
+    (!selection.staff || selection.staff.includes(staffName)) &&
+    (!selection.rows || selection.rows.includes(rowIndex))
+  );
   
-  // Skip header row
-  for (let i = 1; i < data.length; i++) {
-    const key = data[i][cols['Key']];
-    const legalName = data[i][cols['Name']];
-    if (key && legalName) {
-      mapping[key] = legalName;
-    }
+  // Adjustments follow their staff member - included when the staff member is selected or has a selected task.
+  // Staff with only adjustments have no task to select, so their adjustments can be picked by Adjustments row.
+  const selectedStaff = new Set([...rows.map(row => row[3]), ...(selection.staff || [])]);
+  const selectedAdjustments = adjustments.filter(adjustment =>
+    selectedStaff.has(adjustment[3]) || selectedAdjustmentRows.includes(adjustment[0]));
+  if (rows.length === 0 && selectedAdjustments.length === 0) {
+    return { error: 'No tasks selected to invoice' };
   }
   
-  return mapping;
+  return {
+    rows: rows,
+    adjustments: selectedAdjustments,
+    excludedCount: snapshot.rows.length - rows.length
+  };
 }
 
-// Calculate payments for unpaid work
-function calculatePayments(workLogData, payConfig, staffMapping) {
-  const payments = {};
-  const errors = {
-    unmatchedTaskTypes: new Set(),
-    unmatchedStaffKeys: new Set(),
-    tasksWithNoRate: []
+// List staff whose recalculated total differs from the snapshot
+function findChangedStaffTotals_(snapshotTotals, payments) {
+  const staffNames = new Set([...Object.keys(snapshotTotals), ...Object.keys(payments)]);
+  return Array.from(staffNames).filter(staffName => {
+    const previewTotal = snapshotTotals[staffName] || 0;
+    const currentTotal = payments[staffName] ? payments[staffName].totalAmount : 0;
+    return Math.abs(previewTotal - currentTotal) > 0.005;
+  });
+}
+
+// Convert calculatePayments_ errors (which contain Sets) to plain arrays
+function serializeCalculationErrors_(errors) {
+  return {
+    unmatchedTaskTypes: Array.from(errors.unmatchedTaskTypes || []),
+    unmatchedStaffKeys: Array.from(errors.unmatchedStaffKeys || []),
+    tasksWithNoRate: Array.from(errors.tasksWithNoRate || []),
+    suggestions: errors.suggestions || { staffKeys: {}, taskTypes: {} }
+  };
+}
+
+// Create a serializable summary of a createInvoice_ result
+function buildInvoiceInfo_(invoiceResult) {
+  return {
+    invoiceNumber: invoiceResult.invoiceNumber,
+    invoiceDate: invoiceResult.invoiceDate instanceof Date ? invoiceResult.invoiceDate.toISOString() : invoiceResult.invoiceDate,
+    rowsCreated: invoiceResult.rowsCreated,
+    contractorInvoices: invoiceResult.contractorInvoices
   };
+}
+
+/**
+ * Adjustments sheet columns (headers in row 1)
+ * Amount is positive for bonuses/allowances and negative for deductions.
+ * Period Start / End are optional; Applied Invoice and Applied Date are filled in when invoiced.
+ */
+const ADJUSTMENT_HEADERS = [
+  'Staff Key',
+  'Amount',
+  'Reason',
+  'Period Start',
+  'Period End',
+  'Applied Invoice',
+  'Applied Date'
+];
+
+/**
+ * Get the adjustments that have not been invoiced yet
+ * An adjustment with a period is only picked up by runs whose pay period overlaps it;
+ * adjustments without a period (or runs without a period) always match.
+ * 
+ * @param {Object} period - Pay period from parsePayPeriod_ (or null)
+ * @return {Array} [{ row, staffKey, amount, reason, periodStart, periodEnd }]
+ */
+function getPendingAdjustments_(period = null) {
+  // Read-only - the sheet is created when the first adjustment is added
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Adjustments');
+  if (!sheet) {
+    return [];
+  }
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = name => headers.indexOf(name);
+  const runPeriod = serializePayPeriod_(period);
+  const adjustments = [];
   
-  workLogData.forEach(work => {
-    const staffKey = work.staffName;
-    const taskType = work.taskType;
-    
-    // Check if staff key exists in mapping
-    if (!staffMapping[staffKey]) {
-      errors.unmatchedStaffKeys.add(staffKey);
-    }
-    
-    // Get rate for this task
-    let rate = 0;
-    let rateSource = 'none';
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const staffKey = String(row[col('Staff Key')] || '').trim();
+    const amount = parseFloat(String(row[col('Amount')]).replace(/[^\d.-]/g, ''));
     
-    if (payConfig[taskType]) {
-      // Check for custom rate first
-      if (payConfig[taskType].customRates[staffKey]) {
-        rate = payConfig[taskType].customRates[staffKey];
-        rateSource = 'custom';
-      } else {
-        rate = payConfig[taskType].defaultRate;
-        rateSource = 'default';
-      }
-    } else {
-      errors.unmatchedTaskTypes.add(taskType);
-      errors.tasksWithNoRate.push({
-        staffName: staffKey,
-        taskType: taskType,
-        league: work.league,
-        round: work.round,
-        teams: `${work.team1} vs ${work.team2}`
-      });
+    if (!staffKey || isNaN(amount) || amount === 0 || String(row[col('Applied Invoice')] || '').trim() !== '') {
+      continue;
     }
     
-    // Get legal name
-    const legalName = staffMapping[staffKey] || staffKey;
-    
-    // Group by staff
-    if (!payments[legalName]) {
-      payments[legalName] = {
-        staffKey: staffKey,
-        legalName: legalName,
-        hasMapping: !!staffMapping[staffKey],
-        tasks: [],
-        totalAmount: 0
-      };
+    const periodStart = formatDateValue_(row[col('Period Start')]) || null;
+    const periodEnd = formatDateValue_(row[col('Period End')]) || null;
+    if (runPeriod) {
+      if (periodStart && runPeriod.end && periodStart > runPeriod.end) continue;
+      if (periodEnd && runPeriod.start && periodEnd < runPeriod.start) continue;
     }
     
-    payments[legalName].tasks.push({
-      ...work,
-      rate: rate,
-      rateSource: rateSource,
-      hasValidRate: rate > 0
+    adjustments.push({
+      row: i + 1,
+      staffKey: staffKey,
+      amount: amount,
+      reason: String(row[col('Reason')] || ''),
+      periodStart: periodStart,
+      periodEnd: periodEnd
     });
-    payments[legalName].totalAmount += rate;
+  }
+  
+  return adjustments;
+}
+
+// getPendingAdjustments_ with a viewer role check
+function getPendingAdjustments(period = null) {
+  return requireRole_('viewer', 'read pending adjustments') || getPendingAdjustments_(period);
+}
+
+// Find adjustments in the payments that have been applied since they were read
+function findAlreadyAppliedAdjustments_(payments) {
+  const adjustmentRows = [];
+  Object.values(payments).forEach(payment => {
+    (payment.adjustments || []).forEach(adjustment => adjustmentRows.push(adjustment.row));
   });
+  if (adjustmentRows.length === 0) {
+    return [];
+  }
   
-  return { payments, errors };
+  const sheet = getOrCreateSheet_('Adjustments', ADJUSTMENT_HEADERS);
+  const data = sheet.getDataRange().getValues();
+  const appliedColumn = data[0].indexOf('Applied Invoice');
+  return adjustmentRows.filter(row => !data[row - 1] || String(data[row - 1][appliedColumn] || '').trim() !== '');
 }
 
-// Create payment summary
-function createPaymentSummary(payments) {
-  let summary = 'Payment Summary:\n\n';
-  let grandTotal = 0;
+// Record the invoice each adjustment was paid on so it is never counted twice
+function markAdjustmentsApplied_(invoiceResult) {
+  const contractorInvoices = (invoiceResult.contractorInvoices || []).filter(invoice => invoice.adjustmentRows.length > 0);
+  if (contractorInvoices.length === 0) {
+    return;
+  }
   
-  Object.values(payments).forEach(payment => {
-    summary += `${payment.legalName}`;
-    if (!payment.hasMapping) {
-      summary += ` (⚠️ No legal name mapping)`;
-    }
-    summary += `:\n`;
-    summary += `  Tasks: ${payment.tasks.length}\n`;
-    
-    // Show breakdown of rate sources
-    const customRateTasks = payment.tasks.filter(t => t.rateSource === 'custom').length;
-    const defaultRateTasks = payment.tasks.filter(t => t.rateSource === 'default').length;
-    const noRateTasks = payment.tasks.filter(t => !t.hasValidRate).length;
-    
-    if (customRateTasks > 0) summary += `    - ${customRateTasks} with custom rate\n`;
-    if (defaultRateTasks > 0) summary += `    - ${defaultRateTasks} with default rate\n`;
-    if (noRateTasks > 0) summary += `    - ${noRateTasks} with NO RATE ⚠️\n`;
-    
-    summary += `  Total: ${formatCurrency(payment.totalAmount)}\n\n`;
-    grandTotal += payment.totalAmount;
+  const sheet = getOrCreateSheet_('Adjustments', ADJUSTMENT_HEADERS);
+  const invoiceColumn = getColumnIndex_(sheet, 'Applied Invoice', 1);
+  const dateColumn = getColumnIndex_(sheet, 'Applied Date', 1);
+  
+  contractorInvoices.forEach(invoice => {
+    invoice.adjustmentRows.forEach(row => {
+      sheet.getRange(row, invoiceColumn).setValue(invoice.invoiceNumber);
+      sheet.getRange(row, dateColumn).setValue(invoiceResult.invoiceDate);
+    });
   });
+}
+
+// Return the adjustments applied on an invoice to pending (used when it is voided)
+function releaseAdjustments_(invoiceNumber) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Adjustments');
+  if (!sheet) {
+    return [];
+  }
   
-  summary += `Grand Total: ${formatCurrency(grandTotal)}`;
-  return summary;
+  const data = sheet.getDataRange().getValues();
+  const invoiceColumn = data[0].indexOf('Applied Invoice');
+  const dateColumn = data[0].indexOf('Applied Date');
+  const releasedRows = [];
+  
+  for (let i = 1; i < data.length; i++) {
+    const appliedInvoice = String(data[i][invoiceColumn] || '').trim();
+    if (appliedInvoice && matchesInvoiceNumber_(appliedInvoice, invoiceNumber)) {
+      sheet.getRange(i + 1, invoiceColumn + 1).setValue('');
+      sheet.getRange(i + 1, dateColumn + 1).setValue('');
+      releasedRows.push(i + 1);
+    }
+  }
+  
+  return releasedRows;
 }
 
-// Format currency
-function formatCurrency(amount) {
-  return new Intl.NumberFormat('vi-VN', {
-    style: 'currency',
-    currency: 'VND'
-  }).format(amount);
+// Show an adjustment amount with its sign, e.g. "+50.000 ₫" or "-20.000 ₫"
+function formatAdjustmentAmount_(amount, currency) {
+  return (amount > 0 ? '+' : '') + formatCurrency_(amount, currency);
 }
 
-// Create invoice in Invoicing sheet
-function createInvoice(payments) {
+// Convert a payment's adjustments to plain values
+function serializeAdjustments_(adjustments) {
+  return (adjustments || []).map(adjustment => ({
+    row: Number(adjustment.row || 0),
+    staffKey: String(adjustment.staffKey || ''),
+    amount: Number(adjustment.amount || 0),
+    reason: String(adjustment.reason || ''),
+    periodStart: adjustment.periodStart || null,
+    periodEnd: adjustment.periodEnd || null
+  }));
+}
+
+/**
+ * Pay Runs sheet columns (headers in row 1)
+ */
+const PAY_RUN_HEADERS = [
+  'Run ID',
+  'Started At',
+  'Triggered By',
+  'User',
+  'Period Start',
+  'Period End',
+  'Task Count',
+  'Staff Count',
+  'Grand Total',
+  // Per-currency subtotals, e.g. "AUD 1200.5, VND 3000000" - Grand Total is blank when they can't be added up
+  'Totals by Currency',
+  'Invoice Number',
+  'Status',
+  'Errors',
+  'Duration (s)',
+  'Idempotency Key',
+  'Forced',
+  'Draft ID'
+];
+
+// Get a sheet in the main spreadsheet, creating it with headers in row 1 if missing
+function getOrCreateSheet_(sheetName, headers) {
   const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
-  let invoicingSheet = mainSheet.getSheetByName('Invoicing');
+  let sheet = mainSheet.getSheetByName(sheetName);
   
-  if (!invoicingSheet) {
-    throw new Error('Invoicing sheet not found');
+  if (!sheet) {
+    sheet = mainSheet.insertSheet(sheetName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    Logger.log(`Created sheet "${sheetName}"`);
+  } else {
+    // Add any headers introduced since the sheet was created
+    headers.forEach(header => getOrCreateColumn_(sheet, header, 1));
   }
   
-  // Initialize debug log for this function
-  const debugLog = [];
-  
-  // Invoicing sheet has headers in row 2
-  const headerRow = 2;
-  const headers = invoicingSheet.getRange(headerRow, 1, 1, invoicingSheet.getLastColumn()).getValues()[0];
+  return sheet;
+}
+
+/**
+ * Record a pay run on the Pay Runs sheet
+ * Recording never fails the run itself - problems are only logged
+ * 
+ * @param {Object} payRun - { startedAt, source, period, taskCount, staffCount, grandTotal, totalsByCurrency,
+ *   invoiceNumber, status, error, calculationErrors, idempotencyKey, forced }
+ * @return {string} The generated run ID
+ */
+function recordPayRun_(payRun) {
+  const startedAt = payRun.startedAt || new Date();
+  const runId = `RUN-${Utilities.formatDate(startedAt, Session.getScriptTimeZone(), 'yyyyMMdd-HHmmss')}-${Utilities.getUuid().slice(0, 4).toUpperCase()}`;
   
-  // Find columns by name
-  const invoiceColumns = {
-    'Invoice Number': headers.indexOf('Invoice Number'),
-    'Date': headers.indexOf('Date'),
-    'Contractor': headers.indexOf('Contractor'),
-    'Work done': headers.indexOf('Work done'),
-    'Total': headers.indexOf('Total'),
-    'Playback Links': headers.indexOf('Playback Links')
-  };
+  try {
+    const sheet = getOrCreateSheet_('Pay Runs', PAY_RUN_HEADERS);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const values = {
+      'Run ID': runId,
+      'Started At': startedAt,
+      'Triggered By': payRun.source || 'script',
+      'User': getRequestUser_(),
+      'Draft ID': APPROVED_DRAFT ? APPROVED_DRAFT.draftId : '',
+      'Period Start': payRun.period && payRun.period.start ? payRun.period.start : '',
+      'Period End': payRun.period && payRun.period.end ? payRun.period.end : '',
+      'Task Count': payRun.taskCount || 0,
+      'Staff Count': payRun.staffCount || 0,
+      'Grand Total': payRun.grandTotal === null || payRun.grandTotal === undefined ? '' : payRun.grandTotal,
+      'Totals by Currency': formatCurrencyTotals_(payRun.totalsByCurrency),
+      'Invoice Number': payRun.invoiceNumber || '',
+      'Status': payRun.status || '',
+      'Errors': formatPayRunErrors_(payRun.calculationErrors, payRun.error),
+      'Duration (s)': Math.round((new Date() - startedAt) / 100) / 10,
+      'Idempotency Key': payRun.idempotencyKey || '',
+      // Invoiced despite blocking errors (see Errors)
+      'Forced': payRun.forced ? 'Yes' : ''
+    };
+    
+    sheet.appendRow(headers.map(header => values[header] !== undefined ? values[header] : ''));
+  } catch (error) {
+    Logger.log('Could not record pay run: ' + error.toString());
+  }
   
-  // Check if all required columns exist
-  Object.entries(invoiceColumns).forEach(([name, index]) => {
-    if (index === -1) {
-      Logger.log(`Warning: Column "${name}" not found in Invoicing sheet`);
+  return runId;
+}
+
+// Write per-currency totals for the Pay Runs sheet ("AUD 1200.5, VND 3000000")
+function formatCurrencyTotals_(totalsByCurrency) {
+  return Object.keys(totalsByCurrency || {}).sort()
+    .map(currency => `${currency} ${totalsByCurrency[currency]}`)
+    .join(', ');
+}
+
+// Read the Totals by Currency cell back into { currency: amount }
+function parseCurrencyTotals_(text) {
+  const totalsByCurrency = {};
+  String(text || '').split(',').forEach(part => {
+    const match = part.trim().match(/^([A-Z]{3})\s+(-?[\d.]+)$/);
+    if (match) {
+      totalsByCurrency[match[1]] = Number(match[2]);
     }
   });
+  return totalsByCurrency;
+}
+
+// Read the Grand Total cell - blank for runs in several currencies without exchange rates
+function parseGrandTotal_(value) {
+  return value === '' || value === null || value === undefined ? null : Number(value) || 0;
+}
+
+// Summarise calculation errors and run failures for the Pay Runs sheet
+function formatPayRunErrors_(calculationErrors, runError) {
+  const parts = [];
   
-  // Find the last row with data
-  const lastRow = invoicingSheet.getLastRow();
-  const nextRow = lastRow > headerRow ? lastRow + 1 : headerRow + 1; // Start after headers
-  
-  const invoiceData = [];
-  const timestamp = new Date();
+  if (calculationErrors) {
+    if (calculationErrors.unmatchedTaskTypes && calculationErrors.unmatchedTaskTypes.length > 0) {
+      parts.push(`Unmatched task types: ${calculationErrors.unmatchedTaskTypes.join(', ')}`);
+    }
+    if (calculationErrors.unmatchedStaffKeys && calculationErrors.unmatchedStaffKeys.length > 0) {
+      parts.push(`Unmatched staff keys: ${calculationErrors.unmatchedStaffKeys.join(', ')}`);
+    }
+    if (calculationErrors.tasksWithNoRate && calculationErrors.tasksWithNoRate.length > 0) {
+      parts.push(`Tasks with no rate: ${calculationErrors.tasksWithNoRate.length}`);
+    }
+  }
+  if (runError) {
+    parts.push(`Run failed: ${runError}`);
+  }
   
-  // Generate single invoice number for all rows in this invocation
-  const dateStr = Utilities.formatDate(timestamp, Session.getScriptTimeZone(), 'yyyyMMdd');
-  const invoiceNumber = `INV-${dateStr}-${String(Math.floor(Math.random() * 1000)).padStart(3, '0')}`;
+  return parts.join('\n');
+}
+
+// Find a completed pay run on the Pay Runs sheet by idempotency key
+function findCompletedPayRun_(idempotencyKey) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Pay Runs');
+  if (!sheet || sheet.getLastRow() < 2) {
+    return null;
+  }
   
-  debugLog.push(`Creating invoice ${invoiceNumber} for ${Object.keys(payments).length} staff members`);
+  const cols = getColumnIndices_(sheet, ['Run ID', 'Invoice Number', 'Status', 'Idempotency Key', 'Task Count', 'Staff Count', 'Grand Total', 'Totals by Currency']);
+  if (cols['Idempotency Key'] === -1) {
+    return null;
+  }
   
-  Object.values(payments).forEach(payment => {
-    // Group tasks by type
-    const tasksByType = {};
-    payment.tasks.forEach(task => {
-      if (!tasksByType[task.taskType]) {
-        tasksByType[task.taskType] = [];
+  const data = sheet.getDataRange().getValues();
+  const cell = (row, column) => cols[column] !== -1 ? row[cols[column]] : '';
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (String(data[i][cols['Idempotency Key']]) === String(idempotencyKey) && data[i][cols['Status']] === 'Completed') {
+      return {
+        runId: String(data[i][cols['Run ID']]),
+        invoiceNumber: String(data[i][cols['Invoice Number']]),
+        taskCount: Number(cell(data[i], 'Task Count')) || 0,
+        staffCount: Number(cell(data[i], 'Staff Count')) || 0,
+        grandTotal: parseGrandTotal_(cell(data[i], 'Grand Total')),
+        totalsByCurrency: parseCurrencyTotals_(cell(data[i], 'Totals by Currency'))
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Core API function to read the pay run history
+ * 
+ * @param {Object} options - Optional { limit (default 50), since, until } (Date or 'yyyy-MM-dd')
+ * @return {Object} { success: boolean, runs: Array, error?: string }
+ */
+function getPayRuns(options = {}) {
+  try {
+    const denied = requireRole_('viewer', 'view the pay run history');
+    if (denied) {
+      return denied;
+    }
+    
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Pay Runs');
+    if (!sheet || sheet.getLastRow() < 2) {
+      return {
+        success: true,
+        runs: []
+      };
+    }
+    
+    const limit = options.limit ? parseInt(options.limit) : 50;
+    const range = parsePayPeriod_(options.since, options.until);
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const runs = [];
+    
+    // Newest runs first
+    for (let i = data.length - 1; i >= 1 && runs.length < limit; i--) {
+      const run = {};
+      headers.forEach((header, index) => {
+        const value = data[i][index];
+        run[header] = value instanceof Date ? value.toISOString() : value;
+      });
+      
+      if (range && !checkDoneDateInPeriod_(data[i][headers.indexOf('Started At')], range).inPeriod) {
+        continue;
       }
-      tasksByType[task.taskType].push(task);
-    });
+      
+      runs.push({
+        runId: String(run['Run ID'] || ''),
+        startedAt: String(run['Started At'] || ''),
+        triggeredBy: String(run['Triggered By'] || ''),
+        user: String(run['User'] || ''),
+        periodStart: formatDateValue_(data[i][headers.indexOf('Period Start')]),
+        periodEnd: formatDateValue_(data[i][headers.indexOf('Period End')]),
+        taskCount: Number(run['Task Count'] || 0),
+        staffCount: Number(run['Staff Count'] || 0),
+        grandTotal: parseGrandTotal_(run['Grand Total']),
+        totalsByCurrency: parseCurrencyTotals_(run['Totals by Currency']),
+        invoiceNumber: String(run['Invoice Number'] || ''),
+        status: String(run['Status'] || ''),
+        errors: String(run['Errors'] || ''),
+        durationSeconds: Number(run['Duration (s)'] || 0),
+        forced: run['Forced'] === 'Yes',
+        draftId: String(run['Draft ID'] || '')
+      });
+    }
+    
+    return {
+      success: true,
+      runs: runs
+    };
+    
+  } catch (error) {
+    Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
+  }
+}
+
+/**
+ * Google Sheets UI version - commits the snapshot stored by calculateStaffPayUI
+ */
+function createInvoicesAndMarkUI() {
+  try {
+    const denied = requireRole_('approver', 'create invoices');
+    if (denied) {
+      SpreadsheetApp.getUi().alert('Permission denied', denied.error, SpreadsheetApp.getUi().ButtonSet.OK);
+      return;
+    }
     
-    // Create work done summary in format: "3 x 1-Side - Basic\n35 x LEAGUE - BASIC"
-    const workDoneSummary = Object.entries(tasksByType).map(([type, tasks]) => {
-      return `${tasks.length} x ${type}`;
-    }).join('\n');
+    const token = PropertiesService.getUserProperties().getProperty('pendingSnapshotToken');
+    if (!token) {
+      SpreadsheetApp.getUi().alert('No preview', 'Run "Calculate Staff Pay" first to review the payments.', SpreadsheetApp.getUi().ButtonSet.OK);
+      return;
+    }
     
-    // Create playback links grouped by task type with line breaks
-    const playbackLinks = Object.entries(tasksByType).map(([type, tasks]) => {
-      const header = `${type} (${tasks.length} tasks):`;
-      const links = tasks.map((task, index) => {
-        return `  ${index + 1}. ${task.playbackLink}`;
-      }).join('\n');
-      return header + '\n' + links;
-    }).join('\n\n');
+    let result = commitPayRunSnapshot(token, { source: 'menu' });
+    if (result.requiresForce) {
+      const ui = SpreadsheetApp.getUi();
+      const answer = ui.alert('Invoicing blocked',
+        `${result.validationErrors.join('\n')}\n\nInvoice anyway? The run will be recorded as forced.`,
+        ui.ButtonSet.YES_NO);
+      if (answer !== ui.Button.YES) {
+        return;
+      }
+      result = commitPayRunSnapshot(token, { source: 'menu', force: true });
+    }
     
-    // Create row with proper number of columns
-    const maxColumnIndex = Math.max(...Object.values(invoiceColumns).filter(i => i !== -1));
-    const row = new Array(maxColumnIndex + 1).fill('');
+    // Clean up the stored token once the snapshot is used or can no longer be used
+    if (result.success || !getPayRunSnapshot_(token)) {
+      PropertiesService.getUserProperties().deleteProperty('pendingSnapshotToken');
+    }
     
-    // Only populate the columns that exist
-    if (invoiceColumns['Invoice Number'] !== -1) {
-      row[invoiceColumns['Invoice Number']] = invoiceNumber;
+    if (result.success) {
+      SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    } else {
+      SpreadsheetApp.getUi().alert('Error', result.error, SpreadsheetApp.getUi().ButtonSet.OK);
     }
-    if (invoiceColumns['Date'] !== -1) {
-      row[invoiceColumns['Date']] = timestamp;
+    
+  } catch (error) {
+    SpreadsheetApp.getUi().alert('Error', 'An error occurred: ' + error.toString(), SpreadsheetApp.getUi().ButtonSet.OK);
+    Logger.log(error);
+  }
+}
+
+/**
+ * Draft Runs sheet columns (headers in row 1)
+ * Snapshot holds the previewed rows as JSON, so a draft can be approved after the preview cache expires.
+ */
+const DRAFT_RUN_HEADERS = [
+  'Draft ID',
+  'Created At',
+  'Prepared By',
+  'Period Start',
+  'Period End',
+  'Task Count',
+  'Staff Count',
+  'Totals',
+  'Staff Breakdown',
+  'Status',
+  'Reviewed By',
+  'Reviewed At',
+  'Review Comment',
+  'Run ID',
+  'Invoice Number',
+  'Error',
+  'Snapshot'
+];
+
+// The draft run being approved - createInvoicesAndMark only invoices while this is set (when approval is required)
+let APPROVED_DRAFT = null;
+
+// Whether invoices need an approved draft run (REQUIRE_APPROVAL script property 'true' / 'false' overrides CONFIG)
+function isApprovalRequired_() {
+  const value = PropertiesService.getScriptProperties().getProperty('REQUIRE_APPROVAL');
+  return value === null ? CONFIG.requireApproval : value === 'true';
+}
+
+/**
+ * Core API function to submit a preview (or a selection of it) for approval
+ * The draft stores exactly the previewed rows; approving it later runs the same checks as a commit.
+ * 
+ * @param {string} token - snapshotToken returned by the preview
+ * @param {Object} options - Optional { selection: { staff: [legal names], rows: [MASTER rows], adjustments: [Adjustments rows] } }
+ * @return {Object} { success, draftId, message, staff: Array } or { success: false, error }
+ */
+function createDraftRun(token, options = {}) {
+  try {
+    const denied = requireRole_('preparer', 'submit draft pay runs');
+    if (denied) {
+      return denied;
     }
-    if (invoiceColumns['Contractor'] !== -1) {
-      row[invoiceColumns['Contractor']] = payment.legalName;
+    
+    if (!token) {
+      return {
+        success: false,
+        error: 'A preview snapshot token is required. Run the preview first.'
+      };
     }
-    if (invoiceColumns['Work done'] !== -1) {
-      row[invoiceColumns['Work done']] = workDoneSummary;
+    const snapshot = getPayRunSnapshot_(token);
+    if (!snapshot) {
+      return {
+        success: false,
+        error: 'Preview snapshot not found or expired. Run the preview again.'
+      };
     }
-    if (invoiceColumns['Total'] !== -1) {
-      row[invoiceColumns['Total']] = payment.totalAmount;
+    
+    const selected = selectSnapshotRows_(snapshot, normalizePaySelection_(options.selection));
+    if (selected.error) {
+      return {
+        success: false,
+        error: selected.error
+      };
     }
-    if (invoiceColumns['Playback Links'] !== -1) {
-      row[invoiceColumns['Playback Links']] = playbackLinks;
+    if (selected.rows.length === 0 && selected.adjustments.length === 0) {
+      return {
+        success: false,
+        error: 'No tasks are selected'
+      };
     }
     
-    invoiceData.push(row);
-  });
-  
-  // Check if we need more rows and add exactly the right amount
-  const rowsNeeded = nextRow + invoiceData.length - 1;
-  const currentMaxRows = invoicingSheet.getMaxRows();
-  
-  if (rowsNeeded > currentMaxRows) {
-    const additionalRows = rowsNeeded - currentMaxRows; // Add exactly what we need
-    invoicingSheet.insertRowsAfter(currentMaxRows, additionalRows);
-    debugLog.push(`Added ${additionalRows} rows to Invoicing sheet (exactly ${invoiceData.length} invoice rows needed)`);
-  }
-  
-  // Write invoice data to sheet
-  if (invoiceData.length > 0) {
-    const maxCols = invoicingSheet.getMaxColumns();
+    // A task can only wait in one draft at a time
+    const pendingRows = {};
+    getDraftRunRecords_().filter(record => record.status === 'Pending').forEach(record => {
+      record.snapshot.rows.forEach(row => {
+        pendingRows[row[0]] = record.draftId;
+      });
+    });
+    const overlapping = selected.rows.filter(row => pendingRows[row[0]]);
+    if (overlapping.length > 0) {
+      return {
+        success: false,
+        error: `MASTER rows ${overlapping.map(row => row[0]).join(', ')} are already in pending draft ${pendingRows[overlapping[0][0]]}`
+      };
+    }
     
-    // First, copy formulas from the row above (if it exists and has data)
-    if (nextRow > headerRow + 1 && nextRow <= invoicingSheet.getMaxRows()) {
-      try {
-        const sourceRow = nextRow - 1;
-        const sourceRange = invoicingSheet.getRange(sourceRow, 1, 1, maxCols);
-        const targetRange = invoicingSheet.getRange(nextRow, 1, invoiceData.length, maxCols);
-        
-        // Copy formulas only (not values)
-        sourceRange.copyTo(targetRange, SpreadsheetApp.CopyPasteType.PASTE_FORMULA, false);
-        debugLog.push(`Copied formulas from row ${sourceRow} to rows ${nextRow}-${nextRow + invoiceData.length - 1}`);
-      } catch (error) {
-        Logger.log('Formula copy failed: ' + error.toString());
-        debugLog.push(`Formula copy failed: ${error.toString()}`);
-      }
+    const createdAt = new Date();
+    const draftId = `DRAFT-${Utilities.formatDate(createdAt, Session.getScriptTimeZone(), 'yyyyMMdd-HHmmss')}-${Utilities.getUuid().slice(0, 4).toUpperCase()}`;
+    // The draft ID doubles as the snapshot token, so approving a draft twice replays the same run
+    const draftSnapshot = {
+      token: draftId,
+      createdAt: snapshot.createdAt,
+      period: snapshot.period,
+      rows: selected.rows,
+      adjustments: selected.adjustments,
+      currencies: snapshot.currencies || {}
+    };
+    const snapshotJson = JSON.stringify(draftSnapshot);
+    if (snapshotJson.length > 50000) {
+      return {
+        success: false,
+        error: 'Draft is too large to store - submit it in smaller pay periods or selections'
+      };
     }
     
-    // Then write our data only to specific columns (preserving formulas in other columns)
-    Object.entries(invoiceColumns).forEach(([columnName, columnIndex]) => {
-      if (columnIndex !== -1 && columnIndex < maxCols) {
-        const columnData = invoiceData.map(row => [row[columnIndex]]);
-        if (columnData.length > 0) {
-          const columnRange = invoicingSheet.getRange(nextRow, columnIndex + 1, columnData.length, 1);
-          columnRange.setValues(columnData);
-        }
-      }
+    const staff = summarizeDraftSnapshot_(draftSnapshot);
+    const totals = {};
+    staff.forEach(entry => {
+      totals[entry.currency] = (totals[entry.currency] || 0) + entry.total;
     });
     
-    debugLog.push(`Wrote ${invoiceData.length} invoice rows starting at row ${nextRow}`);
-    
-    // Set text wrapping for the Work done column
-    if (invoiceColumns['Work done'] !== -1) {
-      const workDoneRange = invoicingSheet.getRange(
-        nextRow, 
-        invoiceColumns['Work done'] + 1, 
-        invoiceData.length, 
-        1
-      );
-      workDoneRange.setWrap(true);
-    }
+    const sheet = getOrCreateSheet_('Draft Runs', DRAFT_RUN_HEADERS);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const values = {
+      'Draft ID': draftId,
+      'Created At': createdAt,
+      'Prepared By': getRequestUser_(),
+      'Period Start': draftSnapshot.period ? draftSnapshot.period.start || '' : '',
+      'Period End': draftSnapshot.period ? draftSnapshot.period.end || '' : '',
+      'Task Count': selected.rows.length,
+      'Staff Count': staff.length,
+      'Totals': Object.keys(totals).map(currency => formatCurrency_(totals[currency], currency)).join(' + '),
+      'Staff Breakdown': staff.map(entry =>
+        `${entry.staffName}: ${entry.taskCount} tasks${entry.adjustmentCount ? `, ${entry.adjustmentCount} adjustments` : ''} - ${formatCurrency_(entry.total, entry.currency)}`
+      ).join('\n'),
+      'Status': 'Pending',
+      'Snapshot': snapshotJson
+    };
+    sheet.appendRow(headers.map(header => values[header] !== undefined ? values[header] : ''));
     
-    // Set text wrapping for the Playback Links column if it exists
-    if (invoiceColumns['Playback Links'] !== -1) {
-      const playbackLinksRange = invoicingSheet.getRange(
-        nextRow, 
-        invoiceColumns['Playback Links'] + 1, 
-        invoiceData.length, 
-        1
-      );
-      playbackLinksRange.setWrap(true);
-    }
+    return {
+      success: true,
+      draftId: draftId,
+      message: `Draft ${draftId} submitted for approval (${selected.rows.length} tasks${selected.excludedCount > 0 ? `, ${selected.excludedCount} previewed tasks left out` : ''})`,
+      staff: staff
+    };
     
-    // Adjust row heights to accommodate wrapped text
-    for (let i = 0; i < invoiceData.length; i++) {
-      if (nextRow + i <= invoicingSheet.getMaxRows()) {
-        invoicingSheet.setRowHeight(nextRow + i, 120);
-      }
+  } catch (error) {
+    Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
+  }
+}
+
+// Per-staff task count, adjustment count and total of a draft snapshot
+function summarizeDraftSnapshot_(snapshot) {
+  const staff = {};
+  const entryFor = staffName => {
+    if (!staff[staffName]) {
+      staff[staffName] = {
+        staffName: staffName,
+        currency: (snapshot.currencies || {})[staffName] || CONFIG.defaultCurrency,
+        taskCount: 0,
+        adjustmentCount: 0,
+        total: 0,
+        rows: []
+      };
     }
+    return staff[staffName];
+  };
+  snapshot.rows.forEach(([rowIndex, , , staffName, amount]) => {
+    const entry = entryFor(staffName);
+    entry.taskCount++;
+    entry.total += amount;
+    entry.rows.push(rowIndex);
+  });
+  (snapshot.adjustments || []).forEach(([, , amount, staffName]) => {
+    const entry = entryFor(staffName);
+    entry.adjustmentCount++;
+    entry.total += amount;
+  });
+  return Object.values(staff);
+}
+
+// Read every draft run with its parsed snapshot, oldest first
+function getDraftRunRecords_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Draft Runs');
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
   }
   
-  // Store debug log if there were any messages
-  if (debugLog.length > 0) {
-    const existingLog = JSON.parse(PropertiesService.getScriptProperties().getProperty('lastDebugLog') || '[]');
-    existingLog.push(...debugLog);
-    PropertiesService.getScriptProperties().setProperty('lastDebugLog', JSON.stringify(existingLog));
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const cell = (row, name) => row[headers.indexOf(name)];
+  const records = [];
+  for (let i = 1; i < data.length; i++) {
+    if (!cell(data[i], 'Draft ID')) {
+      continue;
+    }
+    let snapshot;
+    try {
+      snapshot = JSON.parse(cell(data[i], 'Snapshot') || '');
+    } catch (error) {
+      Logger.log(`Draft Runs row ${i + 1}: unreadable snapshot - ${error.toString()}`);
+      snapshot = { rows: [], adjustments: [] };
+    }
+    const dateText = value => value instanceof Date ? value.toISOString() : String(value || '');
+    records.push({
+      sheet: sheet,
+      headers: headers,
+      rowNumber: i + 1,
+      draftId: String(cell(data[i], 'Draft ID')),
+      createdAt: dateText(cell(data[i], 'Created At')),
+      preparedBy: String(cell(data[i], 'Prepared By') || ''),
+      periodStart: formatDateValue_(cell(data[i], 'Period Start')),
+      periodEnd: formatDateValue_(cell(data[i], 'Period End')),
+      taskCount: Number(cell(data[i], 'Task Count') || 0),
+      staffCount: Number(cell(data[i], 'Staff Count') || 0),
+      totals: String(cell(data[i], 'Totals') || ''),
+      status: String(cell(data[i], 'Status') || ''),
+      reviewedBy: String(cell(data[i], 'Reviewed By') || ''),
+      reviewedAt: dateText(cell(data[i], 'Reviewed At')),
+      reviewComment: String(cell(data[i], 'Review Comment') || ''),
+      runId: String(cell(data[i], 'Run ID') || ''),
+      invoiceNumber: String(cell(data[i], 'Invoice Number') || ''),
+      error: String(cell(data[i], 'Error') || ''),
+      snapshot: snapshot
+    });
   }
-  
-  return {
-    invoiceNumber: invoiceNumber,     // The generated invoice number
-    invoiceDate: timestamp,           // When invoice was created
-    rowsCreated: invoiceData.length   // Number of staff rows
-  };
+  return records;
 }
 
-// Mark work as invoiced in MASTER sheet
-function markWorkAsInvoiced(workLogData) {
-  const workLogSheet = SpreadsheetApp.openById(CONFIG.workLogSheetId);
-  const masterSheet = workLogSheet.getSheetByName(CONFIG.workLogSheetName);
-  
-  // Get the Paid column index - MASTER sheet has headers in row 2
-  const paidColumnIndex = getColumnIndex(masterSheet, 'Paid', 2);
-  
-  workLogData.forEach(work => {
-    masterSheet.getRange(work.rowIndex, paidColumnIndex).setValue('Invoiced');
+// Write columns of a draft run row by header name
+function updateDraftRun_(record, values) {
+  Object.keys(values).forEach(header => {
+    const columnIndex = record.headers.indexOf(header);
+    if (columnIndex !== -1) {
+      record.sheet.getRange(record.rowNumber, columnIndex + 1).setValue(values[header]);
+    }
   });
 }
 
-// Function to analyze sheet structure
-function analyzeSheets() {
-  const results = {};
+// Find a pending draft run the current user may review - the preparer can't approve their own draft
+function findReviewableDraftRun_(draftId) {
+  const record = getDraftRunRecords_().find(draft => draft.draftId === String(draftId || '').trim());
+  if (!record) {
+    return { error: `Draft ${draftId} not found` };
+  }
+  if (record.status !== 'Pending') {
+    return { error: `Draft ${record.draftId} is already ${record.status.toLowerCase()}` };
+  }
   
+  const reviewer = getRequestUser_();
+  if (!reviewer) {
+    return { error: 'Your account could not be identified, so you cannot review drafts' };
+  }
+  if (reviewer.toLowerCase() === record.preparedBy.toLowerCase()) {
+    return { error: `Draft ${record.draftId} was prepared by you - another approver has to review it` };
+  }
+  return { record: record, reviewer: reviewer };
+}
+
+/**
+ * Core API function to list draft pay runs with their per-staff breakdown
+ * 
+ * @param {Object} options - Optional { status ('Pending'|'Approved'|'Rejected'|'Failed'), limit (default 50) }
+ * @return {Object} { success: boolean, drafts: Array, error?: string }
+ */
+function getDraftRuns(options = {}) {
   try {
-    // Analyze main sheet (where this script is bound)
-    const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
-    results.mainSheet = {
-      name: mainSheet.getName(),
-      sheets: mainSheet.getSheets().map(sheet => ({
-        name: sheet.getName(),
-        rows: sheet.getLastRow(),
-        cols: sheet.getLastColumn(),
-        headers: sheet.getLastRow() > 0 ? sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0] : []
-      }))
-    };
-    
-    // Try to analyze work log sheet
-    if (CONFIG.workLogSheetId) {
-      const workLogSpreadsheet = SpreadsheetApp.openById(CONFIG.workLogSheetId);
-      const masterSheet = workLogSpreadsheet.getSheetByName(CONFIG.workLogSheetName);
-      
-      results.workLogSheet = {
-        spreadsheetName: workLogSpreadsheet.getName(),
-        masterSheet: masterSheet ? {
-          name: masterSheet.getName(),
-          rows: masterSheet.getLastRow(),
-          cols: masterSheet.getLastColumn(),
-          headers: masterSheet.getLastRow() > 0 ? masterSheet.getRange(1, 1, 1, masterSheet.getLastColumn()).getValues()[0] : [],
-          sampleData: masterSheet.getLastRow() > 1 ? masterSheet.getRange(2, 1, Math.min(5, masterSheet.getLastRow() - 1), masterSheet.getLastColumn()).getValues() : []
-        } : null,
-        allSheets: workLogSpreadsheet.getSheets().map(sheet => sheet.getName())
-      };
+    const denied = requireRole_('viewer', 'view draft pay runs');
+    if (denied) {
+      return denied;
     }
     
-    // Log results for debugging
-    console.log(JSON.stringify(results, null, 2));
+    const limit = options.limit ? parseInt(options.limit) : 50;
+    const drafts = getDraftRunRecords_()
+      .filter(record => !options.status || record.status.toLowerCase() === String(options.status).toLowerCase())
+      .reverse()
+      .slice(0, limit)
+      .map(record => ({
+        draftId: record.draftId,
+        createdAt: record.createdAt,
+        preparedBy: record.preparedBy,
+        periodStart: record.periodStart,
+        periodEnd: record.periodEnd,
+        taskCount: record.taskCount,
+        staffCount: record.staffCount,
+        totals: record.totals,
+        status: record.status,
+        reviewedBy: record.reviewedBy,
+        reviewedAt: record.reviewedAt,
+        reviewComment: record.reviewComment,
+        runId: record.runId,
+        invoiceNumber: record.invoiceNumber,
+        error: record.error,
+        staff: summarizeDraftSnapshot_(record.snapshot)
+      }));
     
-    // Show results in a dialog
-    const html = '<pre>' + JSON.stringify(results, null, 2) + '</pre>';
-    // Use simple alert instead of modal dialog
-    SpreadsheetApp.getUi().alert('Sheet Structure Analysis', `Found ${results.sheets.length} sheets. Check server logs for detailed analysis.`, SpreadsheetApp.getUi().ButtonSet.OK);
+    return {
+      success: true,
+      drafts: drafts
+    };
     
-    return results;
   } catch (error) {
-    Logger.log('Error analyzing sheets: ' + error.toString());
-    SpreadsheetApp.getUi().alert('Error: ' + error.toString());
-    return { error: error.toString() };
+    Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
   }
 }
 
-// Function to get sample data from sheets
-function getSampleData() {
-  const samples = {};
-  
+/**
+ * Core API function to approve a draft pay run - the only way invoices are created when approval is required
+ * Invoices the drafted rows with the same checks as commitPayRunSnapshot: if tasks, rates or adjustments
+ * changed since the draft was prepared, the draft is marked Failed and has to be prepared again.
+ * A draft blocked by validation errors stays Pending until it is approved with force, and any other
+ * failure (e.g. another pay run holding the lock) leaves it Pending to approve again.
+ * The draft's status is checked again under the pay run lock, so two approvals can't both invoice it.
+ * 
+ * @param {string} draftId - Draft ID from the Draft Runs sheet
+ * @param {string} comment - Optional approval comment
+ * @param {Object} options - Optional { force, source }
+ * @return {Object} The commit result plus draftId and status
+ */
+function approveDraftRun(draftId, comment, options = {}) {
   try {
-    const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
-    
-    // Get Pay Config data
-    const payConfigSheet = mainSheet.getSheetByName('Pay Config');
-    if (payConfigSheet && payConfigSheet.getLastRow() > 0) {
-      const data = payConfigSheet.getDataRange().getValues();
-      samples.payConfig = {
-        headers: data[0],
-        totalRows: data.length,
-        sampleRows: data.slice(1, Math.min(11, data.length))
-      };
-    }
-    
-    // Get Staff Key data
-    const staffKeySheet = mainSheet.getSheetByName('Staff Key to Staff name');
-    if (staffKeySheet && staffKeySheet.getLastRow() > 0) {
-      const data = staffKeySheet.getDataRange().getValues();
-      samples.staffKey = {
-        headers: data[0],
-        totalRows: data.length,
-        sampleRows: data.slice(1, Math.min(6, data.length))
-      };
-    }
-    
-    // Get current unpaid work count
-    try {
-      const unpaidWork = getUnpaidWorkFromMaster();
-      samples.unpaidWorkCount = unpaidWork.length;
-      samples.unpaidWorkSample = unpaidWork.slice(0, 3);
-    } catch (e) {
-      samples.unpaidWorkError = e.toString();
+    const denied = requireRole_('approver', 'approve draft pay runs');
+    if (denied) {
+      return denied;
     }
     
-    // Show results in a formatted dialog
-    let html = '<div style="font-family: monospace; font-size: 12px;">';
-    html += '<h3>Sample Data Analysis</h3>';
-    html += '<pre>' + JSON.stringify(samples, null, 2) + '</pre>';
-    html += '</div>';
+    const found = findReviewableDraftRun_(draftId);
+    if (found.error) {
+      return {
+        success: false,
+        error: found.error
+      };
+    }
     
-    // Use simple alert instead of modal dialog
-    SpreadsheetApp.getUi().alert('Sample Data', 'Sample data collected from sheets. Check the server logs for detailed output.', SpreadsheetApp.getUi().ButtonSet.OK);
+    const result = runPayRunWithLock_(null, () => {
+      // Another approver or a rejection may have reviewed the draft while this request waited for the lock
+      const current = findReviewableDraftRun_(found.record.draftId);
+      if (current.error) {
+        return {
+          success: false,
+          error: current.error,
+          draftId: found.record.draftId
+        };
+      }
+      const record = current.record;
+      
+      let commitResult;
+      APPROVED_DRAFT = { draftId: record.draftId };
+      try {
+        commitResult = commitPayRunSnapshot(record.draftId, {
+          snapshot: record.snapshot,
+          source: options.source || 'approval',
+          force: options.force
+        });
+      } finally {
+        APPROVED_DRAFT = null;
+      }
+      
+      if (!commitResult.success && !commitResult.staleSnapshot) {
+        return { ...commitResult, draftId: record.draftId, status: 'Pending' };
+      }
+      
+      const status = commitResult.success ? 'Approved' : 'Failed';
+      updateDraftRun_(record, {
+        'Status': status,
+        'Reviewed By': current.reviewer,
+        'Reviewed At': new Date(),
+        'Review Comment': comment ? String(comment).trim() : '',
+        'Run ID': commitResult.runId || '',
+        'Invoice Number': commitResult.invoiceInfo ? commitResult.invoiceInfo.invoiceNumber : '',
+        'Error': commitResult.success ? '' : commitResult.error
+      });
+      return { ...commitResult, draftId: record.draftId, status: status };
+    });
+    
+    // Only a refusal by the lock comes back without the draft - which is then still Pending
+    return result.draftId ? result : { ...result, draftId: found.record.draftId, status: 'Pending' };
     
-    return samples;
   } catch (error) {
-    Logger.log('Error getting sample data: ' + error.toString());
-    SpreadsheetApp.getUi().alert('Error: ' + error.toString());
-    return { error: error.toString() };
+    Logger.log(error);
+    return {
+      success: false,
+      error: error.toString()
+    };
   }
 }
 
-// Function to show debug log
-function showDebugLog() {
-  const debugLog = JSON.parse(PropertiesService.getScriptProperties().getProperty('lastDebugLog') || '[]');
-  const debugInfo = debugLog.join('\n');
-  
-  const htmlContent = `
-    <div style="font-family: monospace; font-size: 12px;">
-      <h3>Debug Log - Work Detection</h3>
-      <div style="background-color: #f5f5f5; padding: 10px; border-radius: 5px; white-space: pre-wrap; max-height: 400px; overflow-y: auto;">
-${debugInfo}
-      </div>
-      <div style="margin-top: 20px;">
-        <button onclick="google.script.host.close()" style="padding: 10px 20px;">Close</button>
-      </div>
-    </div>
-  `;
-  
-  // Use simple alert instead of modal dialog
-  const logText = debugLog.length > 0 ? debugLog.join('\n') : 'No debug log entries found';
-  SpreadsheetApp.getUi().alert('Debug Log', logText, SpreadsheetApp.getUi().ButtonSet.OK);
-}
-
 /**
- * Core API function to create invoices and mark work as invoiced
+ * Core API function to reject a draft pay run - its tasks stay unpaid for a later draft
  * 
- * @param {Array} workLogData - Array of work items to mark as invoiced
- * @param {Object} payments - Payment data organized by staff member
- * @return {Object} { success: boolean, message?: string, error?: string }
+ * @param {string} draftId - Draft ID from the Draft Runs sheet
+ * @param {string} comment - Why the draft was rejected (required)
+ * @return {Object} { success, message, draftId, status } or { success: false, error }
  */
-function createInvoicesAndMark(workLogData, payments) {
+function rejectDraftRun(draftId, comment) {
   try {
-    if (!workLogData || workLogData.length === 0) {
+    const denied = requireRole_('approver', 'reject draft pay runs');
+    if (denied) {
+      return denied;
+    }
+    
+    const reviewComment = comment ? String(comment).trim() : '';
+    if (!reviewComment) {
       return {
         success: false,
-        error: 'No work data provided'
+        error: 'A comment is required to reject a draft'
       };
     }
     
-    if (!payments || Object.keys(payments).length === 0) {
+    const found = findReviewableDraftRun_(draftId);
+    if (found.error) {
       return {
         success: false,
-        error: 'No payment data provided'
+        error: found.error
       };
     }
     
-    const invoiceResult = createInvoice(payments);
-    markWorkAsInvoiced(workLogData);
-    
-    return {
-      success: true,
-      message: 'Invoices created and work marked as invoiced',
-      invoiceResult: invoiceResult
-    };
+    // Under the pay run lock, so a draft being approved can't be rejected halfway through
+    return runPayRunWithLock_(null, () => {
+      const current = findReviewableDraftRun_(found.record.draftId);
+      if (current.error) {
+        return {
+          success: false,
+          error: current.error
+        };
+      }
+      
+      updateDraftRun_(current.record, {
+        'Status': 'Rejected',
+        'Reviewed By': current.reviewer,
+        'Reviewed At': new Date(),
+        'Review Comment': reviewComment
+      });
+      
+      return {
+        success: true,
+        message: `Draft ${current.record.draftId} rejected`,
+        draftId: current.record.draftId,
+        status: 'Rejected'
+      };
+    });
     
   } catch (error) {
     Logger.log(error);
@@ -1681,40 +7327,138 @@ function createInvoicesAndMark(workLogData, payments) {
 }
 
 /**
- * Google Sheets UI version - uses stored properties from calculateStaffPayUI
+ * Google Sheets UI version - submits the preview stored by calculateStaffPayUI as a draft
  */
-function createInvoicesAndMarkUI() {
+function createDraftRunUI() {
+  const ui = SpreadsheetApp.getUi();
+  
   try {
-    const workLogData = JSON.parse(PropertiesService.getScriptProperties().getProperty('pendingWorkData') || '[]');
-    const payments = JSON.parse(PropertiesService.getScriptProperties().getProperty('pendingPayments') || '{}');
+    const denied = requireRole_('preparer', 'submit draft pay runs');
+    if (denied) {
+      ui.alert('Permission denied', denied.error, ui.ButtonSet.OK);
+      return;
+    }
     
-    const result = createInvoicesAndMark(workLogData, payments);
+    const token = PropertiesService.getUserProperties().getProperty('pendingSnapshotToken');
+    if (!token) {
+      ui.alert('No preview', 'Run "Calculate Staff Pay" first to review the payments.', ui.ButtonSet.OK);
+      return;
+    }
     
-    // Clean up stored properties
-    PropertiesService.getScriptProperties().deleteProperty('pendingWorkData');
-    PropertiesService.getScriptProperties().deleteProperty('pendingPayments');
+    const result = createDraftRun(token);
+    if (result.success || !getPayRunSnapshot_(token)) {
+      PropertiesService.getUserProperties().deleteProperty('pendingSnapshotToken');
+    }
     
     if (result.success) {
-      SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+      ui.alert('Draft submitted', `${result.message}\n\nAn approver can review it with "Review Draft Runs".`, ui.ButtonSet.OK);
     } else {
-      SpreadsheetApp.getUi().alert('Error', result.error, SpreadsheetApp.getUi().ButtonSet.OK);
+      ui.alert('Error', result.error, ui.ButtonSet.OK);
     }
     
   } catch (error) {
-    SpreadsheetApp.getUi().alert('Error', 'An error occurred: ' + error.toString(), SpreadsheetApp.getUi().ButtonSet.OK);
+    ui.alert('Error', 'An error occurred: ' + error.toString(), ui.ButtonSet.OK);
     Logger.log(error);
   }
 }
 
+/**
+ * Google Sheets UI version - lists pending drafts, then approves or rejects one with a comment
+ */
+function reviewDraftRunsUI() {
+  const ui = SpreadsheetApp.getUi();
+  
+  try {
+    const denied = requireRole_('approver', 'review draft pay runs');
+    if (denied) {
+      ui.alert('Permission denied', denied.error, ui.ButtonSet.OK);
+      return;
+    }
+    
+    const pending = getDraftRuns({ status: 'Pending' });
+    if (!pending.success) {
+      ui.alert('Error', pending.error, ui.ButtonSet.OK);
+      return;
+    }
+    if (pending.drafts.length === 0) {
+      ui.alert('Draft Runs', 'No drafts are waiting for approval.', ui.ButtonSet.OK);
+      return;
+    }
+    
+    const list = pending.drafts.map(draft => `${draft.draftId} - ${draft.preparedBy || 'unknown'}: ${draft.taskCount} tasks, ${draft.totals}`).join('\n');
+    const draftResponse = ui.prompt('Review Draft Runs', `Pending drafts:\n${list}\n\nDraft ID to review:`, ui.ButtonSet.OK_CANCEL);
+    if (draftResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    const draft = pending.drafts.find(d => d.draftId === draftResponse.getResponseText().trim());
+    if (!draft) {
+      ui.alert('Error', `Draft ${draftResponse.getResponseText().trim()} is not pending`, ui.ButtonSet.OK);
+      return;
+    }
+    
+    const breakdown = draft.staff.map(entry =>
+      `${entry.staffName}: ${entry.taskCount} tasks${entry.adjustmentCount ? `, ${entry.adjustmentCount} adjustments` : ''} - ${formatCurrency_(entry.total, entry.currency)}`
+    ).join('\n');
+    const decision = ui.alert(`Draft ${draft.draftId}`,
+      `Prepared by ${draft.preparedBy || 'unknown'}\nPeriod: ${draft.periodStart || '…'} to ${draft.periodEnd || '…'}\n\n${breakdown}\n\nTotal: ${draft.totals}\n\n` +
+      'Yes approves and creates the invoices, No rejects the draft.',
+      ui.ButtonSet.YES_NO_CANCEL);
+    if (decision === ui.Button.CANCEL || decision === ui.Button.CLOSE) {
+      return;
+    }
+    
+    const commentResponse = ui.prompt(decision === ui.Button.YES ? 'Approve Draft' : 'Reject Draft',
+      decision === ui.Button.YES ? 'Comment (optional):' : 'Reason for rejecting:', ui.ButtonSet.OK_CANCEL);
+    if (commentResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    const comment = commentResponse.getResponseText();
+    
+    let result;
+    if (decision === ui.Button.YES) {
+      result = approveDraftRun(draft.draftId, comment, { source: 'menu' });
+      if (result.requiresForce) {
+        const answer = ui.alert('Invoicing blocked',
+          `${result.validationErrors.join('\n')}\n\nInvoice anyway? The run will be recorded as forced.`,
+          ui.ButtonSet.YES_NO);
+        if (answer !== ui.Button.YES) {
+          return;
+        }
+        result = approveDraftRun(draft.draftId, comment, { source: 'menu', force: true });
+      }
+    } else {
+      result = rejectDraftRun(draft.draftId, comment);
+    }
+    
+    if (result.success) {
+      ui.alert('Success', result.message, ui.ButtonSet.OK);
+    } else {
+      ui.alert('Error', result.error, ui.ButtonSet.OK);
+    }
+    
+  } catch (error) {
+    ui.alert('Error', 'An error occurred: ' + error.toString(), ui.ButtonSet.OK);
+    Logger.log(error);
+  }
+}
 
 /**
  * Export specific invoice rows as PDF
  * @param {string} invoiceNumber - Optional specific invoice number to export
  * @param {number} daysBack - Number of days back to include invoices (default: 30)
- * @returns {Object} Success status and PDF file URL
+ * @param {Date} specificDate - Optional invoice date (disambiguates legacy random invoice numbers)
+ * @param {Object} options - Optional { delivery: 'drive' (default) | 'dataUrl', existingFileMode: 'replace' | 'version' }
+ *   'drive' saves the PDF to the invoice folder by year and month and returns fileId and url;
+ *   'dataUrl' returns the PDF inline as a base64 downloadUrl instead (no stored copy)
+ * @returns {Object} Success status and PDF file details
  */
-function exportInvoicesPDF(invoiceNumber = null, daysBack = 30, specificDate = null) {
+function exportInvoicesPDF(invoiceNumber = null, daysBack = 30, specificDate = null, options = {}) {
   try {
+    const denied = requireRole_('preparer', 'export invoice PDFs');
+    if (denied) {
+      return denied;
+    }
+    
     const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
     const invoicingSheet = mainSheet.getSheetByName('Invoicing');
     
@@ -1740,9 +7484,15 @@ function exportInvoicesPDF(invoiceNumber = null, daysBack = 30, specificDate = n
     // Define columns to export
     const exportColumns = ['Contractor', 'Work done', 'Total', 'Email', 'ACCOUNT NAME', 'ACC NUMBER', 'BANK', 'Playback Links'];
     
+    // Tax breakdown columns are exported after Total when the Invoicing sheet has them
+    const taxColumns = ['Subtotal', 'Tax', 'Withholding', 'Net Payable', 'Tax ID'].filter(col => allHeaders.indexOf(col) !== -1);
+    exportColumns.splice(exportColumns.indexOf('Total') + 1, 0, ...taxColumns);
+    const moneyColumns = ['Total', 'Subtotal', 'Tax', 'Withholding', 'Net Payable'];
+    
     // Find column indices for filtering and export columns
     const invoiceNumberCol = allHeaders.indexOf('Invoice Number');
     const dateCol = allHeaders.indexOf('Date');
+    const currencyCol = allHeaders.indexOf('Currency');
     
     const exportColIndices = exportColumns.map(col => allHeaders.indexOf(col));
     const missingColumns = exportColumns.filter((col, idx) => exportColIndices[idx] === -1);
@@ -1761,16 +7511,16 @@ function exportInvoicesPDF(invoiceNumber = null, daysBack = 30, specificDate = n
     let filteredAllDataRows = [];
     if (invoiceNumber) {
       if (specificDate) {
-        // Export specific invoice by number AND date (unique combination - used for latest invoice)
+        // Export specific invoice by number AND date (used for legacy random invoice numbers)
         const targetDate = new Date(specificDate);
         filteredAllDataRows = allDataRows.filter(row => {
           const rowDate = new Date(row[dateCol]);
-          return row[invoiceNumberCol] === invoiceNumber && 
+          return matchesInvoiceNumber_(row[invoiceNumberCol], invoiceNumber) && 
                  rowDate.toDateString() === targetDate.toDateString();
         });
       } else {
         // Export all rows with this invoice number (regardless of date)
-        filteredAllDataRows = allDataRows.filter(row => row[invoiceNumberCol] === invoiceNumber);
+        filteredAllDataRows = allDataRows.filter(row => matchesInvoiceNumber_(row[invoiceNumberCol], invoiceNumber));
       }
     } else {
       // Export recent invoices (when no specific invoice number provided)
@@ -1791,6 +7541,10 @@ function exportInvoicesPDF(invoiceNumber = null, daysBack = 30, specificDate = n
         if (exportIndex === accNumberIndex && value !== null && value !== undefined) {
           return "'" + String(value); // Prefix with single quote to force text format
         }
+        // Show each amount in its own currency (rows from before the Currency column use the default)
+        if (moneyColumns.indexOf(exportColumns[exportIndex]) !== -1 && typeof value === 'number') {
+          return formatCurrency_(value, (currencyCol !== -1 && row[currencyCol]) || CONFIG.defaultCurrency);
+        }
         return value;
       })
     );
@@ -1823,7 +7577,7 @@ function exportInvoicesPDF(invoiceNumber = null, daysBack = 30, specificDate = n
     }
     
     // Format the temporary sheet
-    formatInvoiceSheet(tempSheet, headers.length, filteredRows.length + 1);
+    formatInvoiceSheet_(tempSheet, headers.length, filteredRows.length + 1);
     
     // Auto-resize all columns to fit content
     for (let i = 1; i <= headers.length; i++) {
@@ -1835,6 +7589,7 @@ function exportInvoicesPDF(invoiceNumber = null, daysBack = 30, specificDate = n
       'Contractor': 150,
       'Work done': 200,
       'Total': 80,
+      'Net Payable': 100,
       'Email': 200,
       'ACCOUNT NAME': 150,
       'ACC NUMBER': 120,
@@ -1869,13 +7624,23 @@ function exportInvoicesPDF(invoiceNumber = null, daysBack = 30, specificDate = n
     
     // Create filename
     const dateStr = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMdd');
+    // Invoice exports keep one name so a re-export replaces or versions the earlier file
     const filename = invoiceNumber ? 
-      `Invoice_${invoiceNumber}_${dateStr}.pdf` : 
+      `Invoice_${invoiceNumber}.pdf` : 
       `Invoices_Recent_${dateStr}.pdf`;
     
-    // Convert PDF to base64 data URL
-    const base64Data = Utilities.base64Encode(pdfBlob.getBytes());
-    const dataUrl = `data:application/pdf;base64,${base64Data}`;
+    // Invoice exports are filed under the month of the invoice, recent exports under today
+    const invoiceDate = invoiceNumber && dateCol !== -1 && filteredAllDataRows[0][dateCol] instanceof Date
+      ? filteredAllDataRows[0][dateCol]
+      : new Date();
+    let delivery;
+    if (options.delivery === 'dataUrl') {
+      // Convert PDF to base64 data URL
+      const base64Data = Utilities.base64Encode(pdfBlob.getBytes());
+      delivery = { downloadUrl: `data:application/pdf;base64,${base64Data}` };
+    } else {
+      delivery = savePdfToDrive_(pdfBlob.setName(filename), invoiceDate, options.existingFileMode);
+    }
     
     // Clean up temporary spreadsheet after PDF is created
     try {
@@ -1886,9 +7651,9 @@ function exportInvoicesPDF(invoiceNumber = null, daysBack = 30, specificDate = n
     
     return {
       success: true,
-      message: `PDF created successfully: ${filename}`,
-      filename: filename,
-      downloadUrl: dataUrl,
+      message: `PDF created successfully: ${delivery.fileName || filename}`,
+      filename: delivery.fileName || filename,
+      ...delivery,
       rowsExported: filteredRows.length,
       debug: {
         headersLength: headers.length,
@@ -1909,7 +7674,7 @@ function exportInvoicesPDF(invoiceNumber = null, daysBack = 30, specificDate = n
 /**
  * Format the invoice sheet for PDF export
  */
-function formatInvoiceSheet(sheet, numCols, numRows) {
+function formatInvoiceSheet_(sheet, numCols, numRows) {
   // Set header formatting
   const headerRange = sheet.getRange(1, 1, 1, numCols);
   headerRange.setFontWeight('bold');
@@ -1936,9 +7701,16 @@ function formatInvoiceSheet(sheet, numCols, numRows) {
 /**
  * Export the most recently created invoice as PDF
  * (Use this after creating invoices)
+ * 
+ * @param {Object} options - Optional exportInvoicesPDF options { delivery, existingFileMode }
  */
-function exportLatestInvoicePDF() {
+function exportLatestInvoicePDF(options = {}) {
   try {
+    const denied = requireRole_('preparer', 'export invoice PDFs');
+    if (denied) {
+      return denied;
+    }
+    
     const mainSheet = SpreadsheetApp.getActiveSpreadsheet();
     const invoicingSheet = mainSheet.getSheetByName('Invoicing');
     
@@ -1956,7 +7728,7 @@ function exportLatestInvoicePDF() {
       };
     }
     
-    // Get the most recent invoice by InvoiceNumber + Date combination
+    // Get the most recent invoice from the last row
     const headers = invoicingSheet.getRange(headerRow, 1, 1, invoicingSheet.getLastColumn()).getValues()[0];
     const invoiceNumberCol = headers.indexOf('Invoice Number');
     const dateCol = headers.indexOf('Date');
@@ -1971,8 +7743,14 @@ function exportLatestInvoicePDF() {
     const latestInvoiceNumber = invoicingSheet.getRange(lastRow, invoiceNumberCol + 1).getValue();
     const latestInvoiceDate = invoicingSheet.getRange(lastRow, dateCol + 1).getValue();
     
-    // Export that specific invoice by number and date
-    return exportInvoicesPDF(latestInvoiceNumber, null, latestInvoiceDate);
+    // Sequential numbers are unique - export every contractor row of that invoice
+    const baseInvoiceNumber = getBaseInvoiceNumber_(latestInvoiceNumber);
+    if (baseInvoiceNumber !== String(latestInvoiceNumber)) {
+      return exportInvoicesPDF(baseInvoiceNumber, null, null, options);
+    }
+    
+    // Legacy random invoice numbers can repeat, so disambiguate by date
+    return exportInvoicesPDF(latestInvoiceNumber, null, latestInvoiceDate, options);
     
   } catch (error) {
     Logger.log('Error in exportLatestInvoicePDF: ' + error.toString());
@@ -1981,4 +7759,382 @@ function exportLatestInvoicePDF() {
       error: error.toString()
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Core API function to generate one invoice PDF per contractor
+ * Each contractor row of the invoice is rendered with InvoiceTemplate.html (header, task
+ * lines, adjustments, totals and bank details) and saved as its own PDF in the invoice
+ * Drive folder, under the year and month of the invoice. Voided rows are skipped.
+ * 
+ * Task lines come from the Invoice Lines sheet and totals from the Invoicing row. Invoices created
+ * before Invoice Lines existed fall back to their MASTER rows, priced with the current Pay Config.
+ * 
+ * @param {string} invoiceNumber - Base invoice number (all contractors) or contractor sub-number
+ * @param {Object} options - Optional { existingFileMode: 'replace' | 'version' } (default CONFIG.pdfExistingFileMode)
+ * @return {Object} { success, invoiceNumber, folder: { id, url }, files: Array, skipped: Array, error? }
+ *   files: [{ invoiceNumber, contractor, fileName, fileId, url, folderPath, replacedFileIds, currency, total,
+ *   netPayable, taskCount, adjustmentCount, rateMismatch }]
+ */
+function generateInvoiceDocuments(invoiceNumber, options = {}) {
+  try {
+    const denied = requireRole_('preparer', 'generate invoice PDFs');
+    if (denied) {
+      return denied;
+    }
+    
+    if (!invoiceNumber) {
+      return {
+        success: false,
+        error: 'Invoice number is required'
+      };
+    }
+    
+    const found = findInvoiceMasterRows_(invoiceNumber);
+    if (found.invoiceRows.rows.length === 0) {
+      return {
+        success: false,
+        error: `Invoice ${invoiceNumber} not found`
+      };
+    }
+    
+    const folder = getInvoiceFolder_();
+    const payConfig = getPayConfiguration_();
+    const rateContext = {
+      payConfig: payConfig,
+      taskTypeLookup: buildTaskTypeLookup_(payConfig),
+      staffRegistry: getStaffRegistry_()
+    };
+    const headers = found.invoiceRows.headers;
+    const adjustmentsByInvoice = getAppliedAdjustments_();
+    const storedLines = getInvoiceLines(invoiceNumber);
+    if (!storedLines.success) {
+      throw new Error(storedLines.error);
+    }
+    const linesByInvoice = {};
+    storedLines.lines.forEach(line => {
+      const lineInvoiceNumber = String(line['Invoice Number']);
+      (linesByInvoice[lineInvoiceNumber] = linesByInvoice[lineInvoiceNumber] || []).push(line);
+    });
+    const files = [];
+    const skipped = [];
+    
+    found.invoiceRows.rows.forEach(invoiceRow => {
+      const value = name => headers.indexOf(name) !== -1 ? invoiceRow.values[headers.indexOf(name)] : '';
+      const contractorInvoiceNumber = String(value('Invoice Number'));
+      const contractor = String(value('Contractor') || '');
+      
+      if (isVoidedInvoiceRow_(found.invoiceRows, invoiceRow)) {
+        skipped.push({ invoiceNumber: contractorInvoiceNumber, contractor: contractor, reason: 'Voided' });
+        return;
+      }
+      
+      const currency = String(value('Currency') || '').trim().toUpperCase() || CONFIG.defaultCurrency;
+      let tasks;
+      let adjustments;
+      if (linesByInvoice[contractorInvoiceNumber]) {
+        const lines = linesByInvoice[contractorInvoiceNumber];
+        tasks = lines.filter(line => line['Line Type'] !== 'Adjustment').map(line => ({
+          taskType: String(line['Task Type'] || ''),
+          league: String(line['League'] || ''),
+          round: String(line['Round'] || ''),
+          teams: String(line['Teams'] || ''),
+          doneDate: String(line['Done Date'] || ''),
+          rate: Number(line['Rate'] || 0)
+        }));
+        adjustments = lines.filter(line => line['Line Type'] === 'Adjustment').map(line => ({
+          amount: Number(line['Rate'] || 0),
+          reason: String(line['Description'] || '')
+        }));
+      } else {
+        // Legacy rows without an Invoice Number on MASTER are matched by playback link
+        const playbackLinks = new Set(parsePlaybackLinks_(value('Playback Links')));
+        tasks = found.rows
+          .filter(masterRow => masterRow.linkedBy === 'invoiceNumber'
+            ? String(masterRow.values[found.columns['Invoice Number']]) === contractorInvoiceNumber
+            : playbackLinks.has(String(masterRow.values[found.columns['Playback Link']] || '').trim()))
+          .map(masterRow => buildLegacyInvoiceTask_(masterRow.values, found.columns, currency, rateContext));
+        adjustments = adjustmentsByInvoice[contractorInvoiceNumber] || [];
+      }
+      
+      const invoiceDocument = buildInvoiceDocument_(value, currency, tasks, adjustments);
+      
+      const template = HtmlService.createTemplateFromFile('InvoiceTemplate');
+      template.invoice = invoiceDocument;
+      const fileName = `Invoice_${contractorInvoiceNumber}_${contractor.replace(/[^\w-]+/g, '_')}.pdf`;
+      const pdfBlob = Utilities.newBlob(template.evaluate().getContent(), MimeType.HTML, fileName.replace(/\.pdf$/, '.html'))
+        .getAs(MimeType.PDF)
+        .setName(fileName);
+      const saved = savePdfToDrive_(pdfBlob, value('Date') instanceof Date ? value('Date') : new Date(), options.existingFileMode);
+      
+      files.push({
+        invoiceNumber: contractorInvoiceNumber,
+        contractor: contractor,
+        fileName: saved.fileName,
+        fileId: saved.fileId,
+        url: saved.url,
+        folderPath: saved.folderPath,
+        replacedFileIds: saved.replacedFileIds,
+        currency: invoiceDocument.currency,
+        total: Number(value('Total') || 0),
+        netPayable: invoiceDocument.netPayable,
+        taskCount: invoiceDocument.lines.length,
+        adjustmentCount: invoiceDocument.adjustments.length,
+        // Legacy invoice priced with a Pay Config that changed since - the rates shown don't add up to the subtotal
+        rateMismatch: invoiceDocument.rateMismatch
+      });
+    });
+    
+    return {
+      success: true,
+      message: `Generated ${files.length} invoice PDFs` + (skipped.length > 0 ? ` (${skipped.length} voided skipped)` : ''),
+      invoiceNumber: String(invoiceNumber),
+      folder: {
+        id: folder.getId(),
+        url: folder.getUrl()
+      },
+      files: files,
+      skipped: skipped
+    };
+    
+  } catch (error) {
+    Logger.log('Error in generateInvoiceDocuments: ' + error.toString());
+    return {
+      success: false,
+      error: error.toString()
+    };
+  }
+}
+
+/**
+ * Build the template data for one contractor invoice
+ * 
+ * @param {Function} value - Reads a column of the contractor's Invoicing row by header
+ * @param {string} currency - Invoice currency
+ * @param {Array} tasks - Task lines ({ taskType, league, round, teams, doneDate, rate })
+ * @param {Array} adjustments - Adjustments applied on this invoice ({ amount, reason })
+ * @return {Object} Data for InvoiceTemplate.html (money values already formatted)
+ */
+function buildInvoiceDocument_(value, currency, tasks, adjustments) {
+  const invoiceDate = value('Date') instanceof Date ? value('Date') : new Date(value('Date') || new Date());
+  const dueDate = new Date(invoiceDate.getTime() + CONFIG.invoiceDueDays * 24 * 60 * 60 * 1000);
+  const formatDocumentDate = date => Utilities.formatDate(date, Session.getScriptTimeZone(), 'dd MMM yyyy');
+  
+  const taskTotal = tasks.reduce((sum, task) => sum + task.rate, 0);
+  const lines = tasks.map(task => ({
+    ...task,
+    rate: formatCurrency_(task.rate, currency)
+  }));
+  
+  const adjustmentTotal = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+  // Rows written before the tax columns existed only have a Total
+  const subtotal = value('Subtotal') !== '' ? Number(value('Subtotal') || 0) : Number(value('Total') || 0);
+  const tax = Number(value('Tax') || 0);
+  const withholding = Number(value('Withholding') || 0);
+  const netPayable = value('Net Payable') !== '' ? Number(value('Net Payable') || 0) : subtotal + tax - withholding;
+  const billTo = CONFIG.invoiceBillTo;
+  
+  return {
+    invoiceNumber: String(value('Invoice Number')),
+    date: formatDocumentDate(invoiceDate),
+    dueDate: formatDocumentDate(dueDate),
+    currency: currency,
+    from: {
+      name: String(value('Contractor') || ''),
+      email: String(value('Email') || ''),
+      taxId: String(value('Tax ID') || '')
+    },
+    to: {
+      name: billTo.name || SpreadsheetApp.getActiveSpreadsheet().getName(),
+      address: billTo.address || '',
+      email: billTo.email || ''
+    },
+    lines: lines,
+    adjustments: adjustments.map(adjustment => ({
+      reason: adjustment.reason || 'Adjustment',
+      amount: formatAdjustmentAmount_(adjustment.amount, currency)
+    })),
+    totals: {
+      subtotal: formatCurrency_(subtotal, currency),
+      tax: tax ? formatCurrency_(tax, currency) : '',
+      total: formatCurrency_(subtotal + tax, currency),
+      withholding: withholding ? formatCurrency_(withholding, currency) : '',
+      netPayable: formatCurrency_(netPayable, currency)
+    },
+    bank: {
+      accountName: String(value('ACCOUNT NAME') || ''),
+      accountNumber: String(value('ACC NUMBER') || '').replace(/^'/, ''),
+      bank: String(value('BANK') || '')
+    },
+    netPayable: netPayable,
+    rateMismatch: Math.abs(taskTotal + adjustmentTotal - subtotal) > 0.005
+  };
+}
+
+// Build a task line from a MASTER row for invoices without Invoice Lines,
+// priced from the current Pay Config (0 when no rule matches)
+function buildLegacyInvoiceTask_(row, columns, currency, rateContext) {
+  const cell = name => columns[name] !== undefined && columns[name] !== -1 ? row[columns[name]] : '';
+  const taskType = resolveMatchKey_(cell('STATS LEVEL'), rateContext.payConfig, rateContext.taskTypeLookup);
+  let rate = 0;
+  
+  if (rateContext.payConfig[taskType]) {
+    const staffName = String(cell('Assign') || '');
+    const profile = findStaffProfile_(rateContext.staffRegistry, staffName);
+    const rule = resolveRateRule_(rateContext.payConfig[taskType].rules, {
+      staffName: staffName,
+      staffKey: profile ? profile.key : staffName,
+      league: cell('LEAGUE'),
+      round: cell('Round'),
+      doneDate: cell('Done Date')
+    }, currency);
+    rate = rule ? rule.rate : 0;
+  }
+  
+  return {
+    taskType: String(cell('STATS LEVEL') || ''),
+    league: String(cell('LEAGUE') || ''),
+    round: String(cell('Round') || ''),
+    teams: `${cell('Team 1')} vs ${cell('Team 2')}`,
+    doneDate: formatDateValue_(cell('Done Date')),
+    rate: rate
+  };
+}
+
+// Adjustments applied to invoices, by contractor invoice number
+function getAppliedAdjustments_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Adjustments');
+  const adjustments = {};
+  if (!sheet) {
+    return adjustments;
+  }
+  
+  const data = sheet.getDataRange().getValues();
+  const cols = {};
+  ['Amount', 'Reason', 'Applied Invoice'].forEach(name => cols[name] = data[0].indexOf(name));
+  
+  for (let i = 1; i < data.length; i++) {
+    const appliedInvoice = String(data[i][cols['Applied Invoice']] || '').trim();
+    if (!appliedInvoice) {
+      continue;
+    }
+    if (!adjustments[appliedInvoice]) {
+      adjustments[appliedInvoice] = [];
+    }
+    adjustments[appliedInvoice].push({
+      row: i + 1,
+      amount: parseFloat(String(data[i][cols['Amount']]).replace(/[^\d.-]/g, '')) || 0,
+      reason: String(data[i][cols['Reason']] || '')
+    });
+  }
+  return adjustments;
+}
+
+/**
+ * Save a PDF under <invoice folder>/yyyy/MM
+ * A file with the same name is trashed and replaced, or kept with the new copy saved as
+ * name_v2.pdf, name_v3.pdf... depending on existingFileMode.
+ * 
+ * @param {Blob} pdfBlob - Named PDF blob
+ * @param {Date} date - Decides the year and month folder
+ * @param {string} existingFileMode - 'replace' or 'version' (default CONFIG.pdfExistingFileMode)
+ * @return {Object} { fileId, url, fileName, folderId, folderPath, replacedFileIds }
+ */
+function savePdfToDrive_(pdfBlob, date, existingFileMode = CONFIG.pdfExistingFileMode) {
+  const mode = existingFileMode || CONFIG.pdfExistingFileMode;
+  if (mode !== 'replace' && mode !== 'version') {
+    throw new Error(`Invalid existing file mode "${mode}". Use 'replace' or 'version'`);
+  }
+  
+  const year = Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy');
+  const month = Utilities.formatDate(date, Session.getScriptTimeZone(), 'MM');
+  const folder = getOrCreateSubfolder_(getOrCreateSubfolder_(getInvoiceFolder_(), year), month);
+  
+  const fileName = pdfBlob.getName();
+  const existing = [];
+  const files = folder.getFilesByName(fileName);
+  while (files.hasNext()) {
+    existing.push(files.next());
+  }
+  
+  if (existing.length > 0 && mode === 'version') {
+    const baseName = fileName.replace(/\.pdf$/i, '');
+    let version = 2;
+    while (folder.getFilesByName(`${baseName}_v${version}.pdf`).hasNext()) {
+      version++;
+    }
+    pdfBlob.setName(`${baseName}_v${version}.pdf`);
+  }
+  
+  // Create the new file before trashing the old one, so a failed save never loses the previous export
+  const file = folder.createFile(pdfBlob);
+  const replacedFileIds = [];
+  if (mode === 'replace') {
+    existing.forEach(existingFile => {
+      existingFile.setTrashed(true);
+      replacedFileIds.push(existingFile.getId());
+    });
+  }
+  return {
+    fileId: file.getId(),
+    url: file.getUrl(),
+    fileName: file.getName(),
+    folderId: folder.getId(),
+    folderPath: `${year}/${month}`,
+    replacedFileIds: replacedFileIds
+  };
+}
+
+// Get a child folder by name, creating it if missing
+function getOrCreateSubfolder_(parent, name) {
+  const folders = parent.getFoldersByName(name);
+  return folders.hasNext() ? folders.next() : parent.createFolder(name);
+}
+
+// Get the Drive folder invoice PDFs are saved to, creating it on first use
+function getInvoiceFolder_() {
+  const properties = PropertiesService.getScriptProperties();
+  const folderId = properties.getProperty('INVOICE_FOLDER_ID') || CONFIG.invoiceFolderId;
+  if (folderId) {
+    return DriveApp.getFolderById(folderId);
+  }
+  
+  const folders = DriveApp.getFoldersByName(CONFIG.invoiceFolderName);
+  const folder = folders.hasNext() ? folders.next() : DriveApp.createFolder(CONFIG.invoiceFolderName);
+  properties.setProperty('INVOICE_FOLDER_ID', folder.getId());
+  Logger.log(`Using invoice folder "${CONFIG.invoiceFolderName}" (${folder.getId()})`);
+  return folder;
+}
+
+/**
+ * Google Sheets UI version - generates the contractor PDFs for an invoice
+ */
+function generateInvoiceDocumentsUI() {
+  const ui = SpreadsheetApp.getUi();
+  
+  try {
+    const denied = requireRole_('preparer', 'generate invoice PDFs');
+    if (denied) {
+      ui.alert('Permission denied', denied.error, ui.ButtonSet.OK);
+      return;
+    }
+    
+    const invoiceResponse = ui.prompt('Generate Invoice PDFs', 'Invoice number (base number for all contractors):', ui.ButtonSet.OK_CANCEL);
+    if (invoiceResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    
+    const result = generateInvoiceDocuments(invoiceResponse.getResponseText().trim());
+    
+    if (result.success) {
+      const fileList = result.files.map(file => `${file.fileName}${file.rateMismatch ? ' (rates changed since invoicing)' : ''}`).join('\n');
+      ui.alert('Success', `${result.message}\n\n${fileList}\n\nFolder: ${result.folder.url}`, ui.ButtonSet.OK);
+    } else {
+      ui.alert('Error', result.error, ui.ButtonSet.OK);
+    }
+    
+  } catch (error) {
+    ui.alert('Error', 'An error occurred: ' + error.toString(), ui.ButtonSet.OK);
+    Logger.log(error);
+  }
+}